@@ -2,138 +2,918 @@
 
 // ── Page content extraction ───────────────────────────────────────────────
 
-function extractPageContent() {
-  try {
-    const selectors = ['article','main','[role="main"]','.article-body','.article-content','.post-content','#article-body','#main-content','#content'];
-    let el = null;
-    for (const s of selectors) { el = document.querySelector(s); if (el) break; }
-    if (!el) el = document.body;
-
-    let content = (el.innerText || el.textContent || '')
-      .replace(/\t/g,' ').replace(/ {2,}/g,' ').replace(/\n{3,}/g,'\n\n').trim();
-    if (content.length > 10000) content = content.slice(0, 10000) + '\n[…truncated]';
+// readability.js, loaded before this script, finds the main content and turns
+// it into Markdown; extractTab reads fetched pages with it too.
 
-    return { success: true, data: { title: document.title, url: location.href, content, contentLength: content.length } };
+function extractPageContent(maxChars = 10000) {
+  try {
+    return { success: true, data: readable.page(document, { maxChars, live: true, url: location.href }) };
   } catch (e) {
     return { success: false, error: e.message };
   }
 }
 
-// ── Accessibility tree ────────────────────────────────────────────────────
+// ── Tables & lists ────────────────────────────────────────────────────────
+//
+// innerText loses table structure, so extraction also gets the page's tables
+// as Markdown and its runs of repeated items (result cards, product tiles, list
+// entries) one per line, with their first link.
 
-function buildPageTree() {
-  window.__la_refs = {};
-  let counter = 0;
+function cellText(el) {
+  const text = (el.innerText || el.textContent || '').replace(/\s+/g, ' ').trim();
+  const links = el.querySelectorAll('a[href]');
+  return links.length === 1 && !links[0].href.startsWith('javascript:') ? `${text} <${links[0].href}>` : text;
+}
 
-  const TAG_ROLES = { a:'link', button:'button', input:'input', textarea:'textbox', select:'combobox', h1:'heading', h2:'heading', h3:'heading', img:'img', form:'form' };
+function isShown(el) {
+  return !!(el.offsetWidth || el.offsetHeight || el.getClientRects().length);
+}
 
-  function getRole(el) { return el.getAttribute('role') || TAG_ROLES[el.tagName.toLowerCase()] || null; }
+function tableMarkdown(table, n) {
+  const rows = [...table.rows].map(r => [...r.cells].map(c => cellText(c).replace(/\|/g, '/')));
+  if (rows.length < 2) return null;
+  const width = Math.max(...rows.map(r => r.length));
+  const [head, ...body] = rows.map(r => [...r, ...Array(width - r.length).fill('')]);
+  const caption = table.caption ? `: ${table.caption.innerText.trim()}` : '';
+  return [`Table ${n}${caption}`, `| ${head.join(' | ')} |`, `|${' --- |'.repeat(width)}`, ...body.map(r => `| ${r.join(' | ')} |`)].join('\n');
+}
 
-  function getLabel(el) {
-    return (el.getAttribute('aria-label') || el.getAttribute('placeholder') || el.getAttribute('alt') || el.getAttribute('title') || el.innerText?.trim().replace(/\s+/g,' ') || '').slice(0, 80);
+/** Groups of 3+ siblings sharing a tag and class — the usual shape of result lists and card grids. */
+function repeatedItems() {
+  const groups = [];
+  for (const parent of document.body.querySelectorAll('*')) {
+    if (parent.children.length < 3 || parent.closest('nav, header, footer, table, script, style')) continue;
+    const bySig = new Map();
+    for (const child of parent.children) {
+      const sig = `${child.tagName}.${[...child.classList].sort().join('.')}`;
+      if (!bySig.has(sig)) bySig.set(sig, []);
+      bySig.get(sig).push(child);
+    }
+    for (const items of bySig.values()) {
+      if (items.length < 3 || items.length < parent.children.length / 2) continue;
+      const texts = items.filter(isShown).map(cellText).filter(t => t.length >= 2 && t.length <= 1500);
+      if (texts.length >= 3) groups.push({ parent, texts, size: texts.join('').length });
+    }
   }
+  // Keep the outermost of nested groups, biggest first
+  return groups
+    .filter(g => !groups.some(o => o !== g && o.parent.contains(g.parent) && o.size >= g.size * 0.8))
+    .sort((a, b) => b.size - a.size);
+}
 
-  function isInteractive(el) {
-    const t = el.tagName.toLowerCase();
-    return ['a','button','input','select','textarea'].includes(t)
-      || el.getAttribute('role') === 'button'
-      || el.getAttribute('role') === 'link'
-      || el.getAttribute('role') === 'textbox'
-      || el.isContentEditable
-      || el.getAttribute('onclick') !== null
-      || (el.getAttribute('tabindex') !== null && el.getAttribute('tabindex') !== '-1');
+function extractStructure(maxChars = 6000) {
+  const parts = [];
+  let n = 0;
+  for (const table of document.querySelectorAll('table')) {
+    if (!isShown(table) || table.querySelector('table')) continue;
+    const md = tableMarkdown(table, ++n);
+    if (md) parts.push(md);
   }
+  repeatedItems().slice(0, 8).forEach((g, i) => {
+    parts.push(`List ${i + 1} (${g.texts.length} items)\n${g.texts.map(t => `- ${t.slice(0, 400)}`).join('\n')}`);
+  });
+
+  let structure = parts.join('\n\n');
+  if (structure.length > maxChars) structure = structure.slice(0, maxChars) + '\n[…truncated]';
+  return { success: true, structure };
+}
+
+// ── Accessibility tree ────────────────────────────────────────────────────
+
+const TAG_ROLES = { a:'link', button:'button', input:'input', textarea:'textbox', select:'combobox', h1:'heading', h2:'heading', h3:'heading', img:'img', form:'form' };
+
+function getRole(el) { return el.getAttribute('role') || TAG_ROLES[el.tagName.toLowerCase()] || null; }
+
+const INTERACTIVE_ROLES = ['button','link','textbox','checkbox','radio','switch','combobox','listbox','option','menuitem','menuitemcheckbox','tab','slider','spinbutton'];
+
+function getLabel(el) {
+  const labelledBy = (el.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean)
+    .map(id => el.getRootNode().getElementById?.(id)?.innerText).filter(Boolean).join(' ');
+  const text = el instanceof HTMLSelectElement ? '' : el.innerText; // a select's text is every option
+  const value = el instanceof HTMLInputElement && ['submit', 'button', 'reset'].includes(el.type) ? el.value : '';
+  return (el.getAttribute('aria-label') || labelledBy || el.getAttribute('placeholder') || el.getAttribute('alt') || el.getAttribute('title')
+    || text?.trim() || el.labels?.[0]?.innerText || value || (el instanceof HTMLSelectElement ? el.name || 'select' : '')).trim().replace(/\s+/g,' ').slice(0, 80);
+}
+
+function isScrollable(el) {
+  if (el === document.body || el === document.documentElement || !(el instanceof Element)) return false;
+  if (el.scrollHeight <= el.clientHeight + 8 && el.scrollWidth <= el.clientWidth + 8) return false;
+  return /auto|scroll|overlay/.test(getComputedStyle(el).overflow);
+}
+
+/** The state the agent needs to choose its next action: checked, expanded, the selected option, … */
+function elementState(el, scrollable) {
+  let out = '';
+  const checked = isChecked(el);
+  if (checked !== null) out += checked ? ' [checked]' : ' [unchecked]';
+  const expanded = el.getAttribute('aria-expanded');
+  if (expanded) out += expanded === 'true' ? ' [expanded]' : ' [collapsed]';
+  if (el.disabled || el.getAttribute('aria-disabled') === 'true') out += ' [disabled]';
+  if (scrollable) out += ' [scrollable]';
+  if (el instanceof HTMLSelectElement) {
+    const opts = [...el.options].map(o => JSON.stringify(o.text.trim()));
+    out += ` [selected=${JSON.stringify(el.selectedOptions[0]?.text.trim() || '')}] options: ${opts.slice(0, 8).join(', ')}${opts.length > 8 ? `, … (${opts.length} in all)` : ''}`;
+  }
+  return out;
+}
+
+function isInteractive(el) {
+  const t = el.tagName.toLowerCase();
+  return ['a','button','input','select','textarea'].includes(t)
+    || INTERACTIVE_ROLES.includes(el.getAttribute('role'))
+    || el.isContentEditable
+    || el.getAttribute('onclick') !== null
+    || (el.getAttribute('tabindex') !== null && el.getAttribute('tabindex') !== '-1');
+}
+
+// An element keeps its ref for as long as it lives, so refs stay valid across
+// listings and the service worker can send only what changed.
+const REF_IDS = new WeakMap();
+let refCounter = 0;
+
+/**
+ * Lists the interactive elements of this frame. Open shadow roots are walked as
+ * rendered (slots show what is assigned to them). Each iframe becomes a
+ * `{{frame:N}}` placeholder that the service worker fills with that frame's
+ * own listing; refs in frame N are named fN_ref_… so actions find their frame.
+ */
+function buildPageTree(frameId = 0) {
+  window.__la_refs = {};
+  const prefix = frameId ? `f${frameId}_` : '';
+  const values = []; // field values: only their digest leaves the page, for stall detection
 
   function walk(el, depth) {
     if (depth > 12 || !el?.tagName) return '';
     const t = el.tagName.toLowerCase();
-    if (['script','style','noscript','head','svg','canvas','iframe'].includes(t)) return '';
+    if (['script','style','noscript','head','svg','canvas'].includes(t)) return '';
     if (el.hidden || el.getAttribute('aria-hidden') === 'true') return '';
+    if (t === 'slot') {
+      // No box of its own — stands in for the light DOM assigned to it (or its fallback content)
+      const assigned = el.assignedElements({ flatten: true });
+      return [...(assigned.length ? assigned : el.children)].map(child => walk(child, depth)).join('');
+    }
+    if (t === 'iframe' || t === 'frame') {
+      const rect = el.getBoundingClientRect();
+      let id = -1;
+      try { id = chrome.runtime.getFrameId(el); } catch {}
+      if (id < 0 || !rect.width || !rect.height) return '';
+      const label = (el.getAttribute('title') || el.getAttribute('aria-label') || el.name || el.src || '').slice(0, 80);
+      return `${'  '.repeat(depth)}iframe: "${label}" {{frame:${id}}}\n`;
+    }
 
     const rect = el.getBoundingClientRect();
     const isContainer = ['div','section','main','article','form','ul','ol','li','nav'].includes(t);
-    if (rect.width === 0 && rect.height === 0 && !isContainer) return '';
+    // File inputs are often hidden behind a styled button but still take uploads
+    const fileInput = el instanceof HTMLInputElement && el.type === 'file';
+    if (rect.width === 0 && rect.height === 0 && !isContainer && !fileInput) return '';
 
     let out = '';
-    if (isInteractive(el)) {
-      const label = getLabel(el);
+    const scrollable = isContainer && isScrollable(el);
+    if (isInteractive(el) || scrollable) {
+      const label = refLabel(el) || (scrollable ? t : '');
       if (label) {
-        const id = `ref_${counter++}`;
+        if (!REF_IDS.has(el)) REF_IDS.set(el, `${prefix}ref_${refCounter++}`);
+        const id = REF_IDS.get(el);
         window.__la_refs[id] = el;
+        if (typeof el.value === 'string' && !['checkbox', 'radio'].includes(el.type)) values.push(`${id}=${el.value}`);
         const role = getRole(el) || t;
         const extra = t === 'input' ? ` [type=${el.type||'text'}]` : t === 'a' && el.href ? ` [href=${el.href.slice(0,60)}]` : '';
         const editable = el.isContentEditable ? ' [editable]' : '';
-      out += `${'  '.repeat(depth)}[${id}] ${role}${extra}${editable}: "${label}"\n`;
+        out += `${'  '.repeat(depth)}[${id}] ${role}${extra}${editable}${elementState(el, scrollable)}: "${label}"\n`;
       }
     }
-    for (const child of el.children) out += walk(child, depth + 1);
+    for (const child of (el.shadowRoot || el).children) out += walk(child, depth + 1);
     return out;
   }
 
-  let tree = walk(document.body, 0);
-  if (tree.length > 8000) {
-    // Keep first 4000 (nav/main actions) + last 3000 (dialogs/modals rendered at end of DOM)
-    tree = tree.slice(0, 4000) + '\n…[middle truncated]…\n' + tree.slice(-3000);
+  const tree = walk(document.body, 0);
+  if (MARKS.on || MARKS.host) drawMarks();
+  return { title: document.title, url: location.href, tree, fields: digest(values.join('\n')) };
+}
+
+/** A short hash: tells that field values changed without saying what they are. */
+function digest(s) {
+  let h = 0;
+  for (let i = 0; i < s.length; i++) h = (h * 31 + s.charCodeAt(i)) | 0;
+  return (h >>> 0).toString(36);
+}
+
+/** The focused element, looking inside shadow roots (document.activeElement stops at the host). */
+function deepActiveElement() {
+  let el = document.activeElement;
+  while (el?.shadowRoot?.activeElement) el = el.shadowRoot.activeElement;
+  return el;
+}
+
+/**
+ * Summarise an element so the service worker can judge how risky acting on it
+ * is, and macros can find it again once its ref is gone.
+ */
+function describeElement(el) {
+  const t = el.tagName.toLowerCase();
+  return { tag: t, role: getRole(el) || t, type: t === 'input' ? (el.type || 'text') : null, label: refLabel(el) };
+}
+
+/**
+ * The label an element is listed and recorded under. A field with no label
+ * goes by its attributes — never its value, which is what the user typed and
+ * is gone by the time a macro replays.
+ */
+function refLabel(el) {
+  const label = getLabel(el);
+  if (label || !(el instanceof HTMLInputElement || el instanceof HTMLTextAreaElement)) return label;
+  if (el.type === 'file') return 'file upload';
+  const autocomplete = el.getAttribute('autocomplete');
+  return (el.name || el.id || (/^(on|off)?$/.test(autocomplete || '') ? '' : autocomplete) || el.type).slice(0, 80);
+}
+
+function describeRef(refId) {
+  const el = (window.__la_refs || {})[refId];
+  return el ? describeElement(el) : null;
+}
+
+// ── Set-of-marks overlay ──────────────────────────────────────────────────
+//
+// Numbered boxes over the ref'd elements (ref_12 → "12"), drawn in a closed
+// shadow root on a fixed, click-through layer so the page's styles and scripts
+// neither affect it nor see it.
+
+const MARKS = { host: null, root: null, on: false, active: null, frame: 0, timer: 0 };
+
+const MARKS_CSS = `
+  .box { position: fixed; box-sizing: border-box; border: 1.5px solid #3b82f6; border-radius: 3px; background: rgba(59,130,246,.06); }
+  .label { position: absolute; left: -1.5px; bottom: 100%; padding: 0 3px; border-radius: 3px 3px 3px 0;
+           font: 600 10px/13px system-ui, sans-serif; color: #fff; background: #3b82f6; white-space: nowrap; }
+  .box.active { border: 2.5px solid #f59e0b; background: rgba(245,158,11,.18); animation: pulse .45s ease-in-out 2; }
+  .box.active .label { background: #f59e0b; }
+  @keyframes pulse { 50% { box-shadow: 0 0 0 6px rgba(245,158,11,.35); } }
+`;
+
+function marksRoot() {
+  if (!MARKS.host?.isConnected) {
+    MARKS.host = document.createElement('local-agent-marks');
+    MARKS.host.style.cssText = 'all: initial; position: fixed; inset: 0; pointer-events: none; z-index: 2147483647;';
+    MARKS.root = MARKS.host.attachShadow({ mode: 'closed' });
+    document.documentElement.appendChild(MARKS.host);
   }
-  return `Page: ${document.title}\nURL: ${location.href}\n\n${tree || '(no interactive elements found)'}`;
+  return MARKS.root;
+}
+
+/** Draws every ref in view when marks are on; otherwise only the element about to be acted on. */
+function drawMarks() {
+  if (!MARKS.on && !MARKS.active) { MARKS.host?.remove(); return; }
+  const boxes = [];
+  for (const [id, el] of Object.entries(window.__la_refs || {})) {
+    if ((!MARKS.on && id !== MARKS.active) || !el.isConnected) continue;
+    const r = el.getBoundingClientRect();
+    if ((!r.width && !r.height) || r.bottom < 0 || r.right < 0 || r.top > innerHeight || r.left > innerWidth) continue;
+    const label = id.replace(/^(?:f(\d+)_)?ref_/, (_, frame) => frame ? `f${frame}:` : ''); // ref_12 → 12, f3_ref_12 → f3:12
+    boxes.push(`<div class="box${id === MARKS.active ? ' active' : ''}" style="left:${r.left}px;top:${r.top}px;width:${r.width}px;height:${r.height}px"><span class="label">${label}</span></div>`);
+  }
+  marksRoot().innerHTML = `<style>${MARKS_CSS}</style>${boxes.join('')}`;
+}
+
+function scheduleMarks() {
+  if (MARKS.frame || (!MARKS.on && !MARKS.active)) return;
+  MARKS.frame = requestAnimationFrame(() => { MARKS.frame = 0; drawMarks(); });
+}
+
+addEventListener('scroll', scheduleMarks, { capture: true, passive: true });
+addEventListener('resize', scheduleMarks, { passive: true });
+
+function setMarks(on) {
+  const was = MARKS.on;
+  MARKS.on = !!on;
+  drawMarks();
+  return { success: true, was };
+}
+
+/** Brings a ref'd element into view and highlights it for `ms`, just before the agent acts on it. */
+function flashRef(refId, ms = 1200) {
+  const el = (window.__la_refs || {})[refId];
+  if (!el) return { success: false };
+  el.scrollIntoView({ block: 'center', behavior: 'instant' });
+  MARKS.active = refId;
+  drawMarks();
+  clearTimeout(MARKS.timer);
+  MARKS.timer = setTimeout(() => { MARKS.active = null; drawMarks(); }, ms);
+  return { success: true };
 }
 
 // ── Tool execution ────────────────────────────────────────────────────────
+//
+// Synthetic events do not trigger the browser's own default actions, so the
+// few that tasks depend on (Tab moving focus, Enter submitting, Ctrl+A) are
+// carried out here after the page has had its chance to handle the event.
+
+const KEY_ALIASES = { ctrl: 'Control', control: 'Control', cmd: 'Meta', command: 'Meta', meta: 'Meta', win: 'Meta', alt: 'Alt', option: 'Alt', shift: 'Shift',
+  esc: 'Escape', escape: 'Escape', enter: 'Enter', return: 'Enter', tab: 'Tab', space: ' ', backspace: 'Backspace', del: 'Delete', delete: 'Delete',
+  up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight', pageup: 'PageUp', pagedown: 'PageDown', home: 'Home', end: 'End' };
+const MODIFIER_KEYS = { Control: 'ctrlKey', Shift: 'shiftKey', Alt: 'altKey', Meta: 'metaKey' };
+const KEY_CODES = { Enter: 13, Tab: 9, Escape: 27, ' ': 32, Backspace: 8, Delete: 46, ArrowLeft: 37, ArrowUp: 38, ArrowRight: 39, ArrowDown: 40, PageUp: 33, PageDown: 34, Home: 36, End: 35 };
+const REF_TOOLS = ['click', 'type', 'select', 'hover', 'toggle', 'scroll_to', 'upload'];
+const WAIT_MAX_MS = 20000;
+
+/** "Ctrl+Shift+A" → the key, its code and keyCode, and which modifiers are held. */
+function parseCombo(combo) {
+  const parts = String(combo).split(/\+(?!$)/).map(p => KEY_ALIASES[p.trim().toLowerCase()] || p.trim());
+  const mods = { ctrlKey: false, shiftKey: false, altKey: false, metaKey: false };
+  for (const p of parts.slice(0, -1)) if (MODIFIER_KEYS[p]) mods[MODIFIER_KEYS[p]] = true;
+  let key = parts[parts.length - 1] || '';
+  if (key.length === 1) key = mods.shiftKey ? key.toUpperCase() : key.toLowerCase();
+  const upper = key.toUpperCase();
+  const code = /^[A-Z]$/.test(upper) ? `Key${upper}` : /^\d$/.test(key) ? `Digit${key}` : key === ' ' ? 'Space' : key;
+  const keyCode = KEY_CODES[key] || (key.length === 1 ? upper.charCodeAt(0) : 0);
+  return { key, code, keyCode, mods };
+}
+
+function keyEvent(type, init, keyCode) {
+  const ev = new KeyboardEvent(type, init);
+  // Older handlers still read keyCode/which, which the constructor cannot set
+  Object.defineProperties(ev, { keyCode: { get: () => keyCode }, which: { get: () => keyCode } });
+  return ev;
+}
+
+function focusables() {
+  return [...document.querySelectorAll('a[href], button, input, select, textarea, [tabindex], [contenteditable="true"]')]
+    .filter(el => !el.disabled && el.tabIndex >= 0 && isShown(el));
+}
+
+function pressKey(target, combo) {
+  const { key, code, keyCode, mods } = parseCombo(combo);
+  if (!key) return { success: false, error: `No key in "${combo}"` };
+  const init = { key, code, bubbles: true, cancelable: true, composed: true, ...mods };
+  const allowed = target.dispatchEvent(keyEvent('keydown', init, keyCode));
+  if (allowed && key.length === 1 && !mods.ctrlKey && !mods.metaKey) target.dispatchEvent(keyEvent('keypress', init, keyCode));
+  if (allowed) {
+    if ((mods.ctrlKey || mods.metaKey) && key.toLowerCase() === 'a') {
+      if (target instanceof HTMLInputElement || target instanceof HTMLTextAreaElement) target.select();
+      else document.execCommand('selectAll', false, null);
+    } else if (key === 'Tab') {
+      const list = focusables();
+      const next = list[(list.indexOf(target) + (mods.shiftKey ? -1 : 1) + list.length) % list.length];
+      next?.focus();
+    } else if (key === 'Enter' && target instanceof HTMLInputElement && target.form) {
+      target.form.requestSubmit();
+    }
+  }
+  target.dispatchEvent(keyEvent('keyup', init, keyCode));
+  return { success: true };
+}
+
+function pointAt(el) {
+  const r = el.getBoundingClientRect();
+  return { clientX: r.left + r.width / 2, clientY: r.top + r.height / 2 };
+}
+
+/** Dispatches mouse and pointer events at the centre of `el`, the way a real pointer would. */
+function fireMouse(el, types) {
+  const at = pointAt(el);
+  for (const type of types) {
+    const init = { bubbles: !/enter|leave/.test(type), cancelable: true, composed: true, view: window, ...at };
+    el.dispatchEvent(type.startsWith('pointer')
+      ? new PointerEvent(type, { ...init, pointerId: 1, pointerType: 'mouse', isPrimary: true })
+      : new MouseEvent(type, init));
+  }
+}
+
+const PRESS = ['pointerdown', 'mousedown', 'pointerup', 'mouseup', 'click'];
+
+/** Sets a form control's value through the native setter, so frameworks that track it (React) see the change. */
+function setNativeValue(el, value) {
+  const proto = [HTMLInputElement, HTMLTextAreaElement, HTMLSelectElement].find(c => el instanceof c)?.prototype;
+  const setter = proto && Object.getOwnPropertyDescriptor(proto, 'value')?.set;
+  if (setter) setter.call(el, value); else el.value = value;
+  el.dispatchEvent(new Event('input', { bubbles: true }));
+  el.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+function typeText(el, text, clear) {
+  el.focus();
+  if (el instanceof HTMLInputElement || el instanceof HTMLTextAreaElement) {
+    setNativeValue(el, clear ? text : el.value + text);
+  } else if (el.isContentEditable) {
+    if (clear) document.execCommand('selectAll', false, null);
+    else { getSelection().selectAllChildren(el); getSelection().collapseToEnd(); }
+    if (text) document.execCommand('insertText', false, text);
+    else document.execCommand('delete', false, null);
+  } else {
+    el.value = clear ? text : (el.value || '') + text;
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+  }
+}
+
+function isChecked(el) {
+  if (el instanceof HTMLInputElement && (el.type === 'checkbox' || el.type === 'radio')) return el.checked;
+  const aria = el.getAttribute('aria-checked') ?? el.getAttribute('aria-pressed');
+  return aria === null ? null : aria === 'true';
+}
+
+/** The element that actually scrolls when `el` is scrolled: itself or its nearest scrollable ancestor. */
+function scrollParent(el) {
+  for (let node = el; node; node = node.parentElement || node.getRootNode().host) {
+    if (isScrollable(node)) return node;
+  }
+  return document.scrollingElement;
+}
+
+function* shadowRoots(root = document) {
+  for (const el of root.querySelectorAll('*')) {
+    if (el.shadowRoot) { yield el.shadowRoot; yield* shadowRoots(el.shadowRoot); }
+  }
+}
+
+function deepQuery(selector) {
+  const hit = document.querySelector(selector);
+  if (hit) return hit;
+  for (const root of shadowRoots()) { const el = root.querySelector(selector); if (el) return el; }
+  return null;
+}
+
+function deepText() {
+  let text = document.body.innerText;
+  for (const root of shadowRoots()) for (const el of root.children) text += '\n' + (el.innerText || '');
+  return text;
+}
+
+/** Resolves with check()'s first truthy result, polling until `ms` have passed (then null). */
+function waitUntil(check, ms) {
+  return new Promise(resolve => {
+    const t0 = Date.now();
+    (function poll() {
+      const found = check();
+      if (found) resolve(found);
+      else if (Date.now() - t0 >= ms) resolve(null);
+      else setTimeout(poll, 200);
+    })();
+  });
+}
+
+/** Chooses an option in a native <select>, an ARIA listbox, or a combobox that opens one. */
+async function selectOption(el, option) {
+  const want = String(option ?? '').trim().toLowerCase();
+  const pick = (items, text) => items.find(o => text(o) === want) || items.find(o => text(o).includes(want));
+  if (el instanceof HTMLSelectElement) {
+    const opts = [...el.options];
+    const opt = pick(opts, o => o.text.trim().toLowerCase()) || opts.find(o => o.value.toLowerCase() === want);
+    if (!opt) return { success: false, error: `No option "${option}". Options: ${opts.map(o => o.text.trim()).join(', ').slice(0, 300)}` };
+    el.focus();
+    setNativeValue(el, opt.value);
+    return { success: true, message: `Selected "${opt.text.trim()}".` };
+  }
+  const listbox = () => {
+    if (el.getAttribute('role') === 'listbox') return el;
+    const root = el.getRootNode();
+    for (const id of `${el.getAttribute('aria-controls') || ''} ${el.getAttribute('aria-owns') || ''}`.split(/\s+/).filter(Boolean)) {
+      const list = root.getElementById?.(id) || document.getElementById(id);
+      if (list && isShown(list)) return list;
+    }
+    return [...document.querySelectorAll('[role="listbox"]')].find(isShown) || null;
+  };
+  let list = listbox();
+  if (!list) {
+    el.scrollIntoView({ block: 'center', behavior: 'instant' });
+    fireMouse(el, PRESS);
+    list = await waitUntil(listbox, 1500);
+  }
+  if (!list) return { success: false, error: 'No list of options opened — try click, then pick the option from the updated page' };
+  const opts = [...list.querySelectorAll('[role="option"]')].filter(isShown);
+  const opt = pick(opts, o => (o.getAttribute('aria-label') || o.innerText || '').trim().replace(/\s+/g, ' ').toLowerCase());
+  if (!opt) return { success: false, error: `No option "${option}". Options: ${opts.map(o => o.innerText.trim()).join(', ').slice(0, 300)}` };
+  opt.scrollIntoView({ block: 'nearest', behavior: 'instant' });
+  fireMouse(opt, PRESS);
+  return { success: true, message: `Selected "${opt.innerText.trim().slice(0, 80)}".` };
+}
 
-function runTool(tool, args) {
+let hovered = null;
+
+function hover(el) {
+  el.scrollIntoView({ block: 'center', behavior: 'instant' });
+  if (hovered && hovered !== el && hovered.isConnected) fireMouse(hovered, ['pointerout', 'pointerleave', 'mouseout', 'mouseleave']);
+  fireMouse(el, ['pointerover', 'pointerenter', 'mouseover', 'mouseenter', 'pointermove', 'mousemove']);
+  hovered = el;
+}
+
+/** HTML5 drag and drop plus the pointer sequence, for libraries that implement dragging themselves. */
+function drag(from, to) {
+  from.scrollIntoView({ block: 'center', behavior: 'instant' });
+  const dataTransfer = new DataTransfer();
+  const dragEvent = (el, type) => el.dispatchEvent(new DragEvent(type, { bubbles: true, cancelable: true, composed: true, dataTransfer, ...pointAt(el) }));
+  fireMouse(from, ['pointerover', 'pointerdown', 'mousedown']);
+  dragEvent(from, 'dragstart');
+  fireMouse(to, ['pointermove', 'mousemove', 'pointerover', 'mouseover']);
+  dragEvent(to, 'dragenter');
+  dragEvent(to, 'dragover');
+  dragEvent(to, 'drop');
+  dragEvent(from, 'dragend');
+  fireMouse(to, ['pointerup', 'mouseup']);
+}
+
+function scrollBox(el, direction, amount) {
+  const box = el ? scrollParent(el) : document.scrollingElement;
+  const page = box === document.scrollingElement;
+  const across = direction === 'left' || direction === 'right';
+  const size = across ? (page ? innerWidth : box.clientWidth) : (page ? innerHeight : box.clientHeight);
+  const by = (Number(amount) || Math.max(200, Math.round(size * 0.8))) * (direction === 'up' || direction === 'left' ? -1 : 1);
+  const before = across ? box.scrollLeft : box.scrollTop;
+  box.scrollBy({ [across ? 'left' : 'top']: by, behavior: 'instant' });
+  const after = across ? box.scrollLeft : box.scrollTop;
+  const end = across ? box.scrollWidth - box.clientWidth : box.scrollHeight - box.clientHeight;
+  const what = page ? 'the page' : 'the container';
+  if (after === before) return { success: true, message: `${page ? 'The page' : 'The container'} cannot scroll further ${direction}.` };
+  const edge = after <= 0 ? ` — reached the ${across ? 'left edge' : 'top'}` : after >= end - 1 ? ` — reached the ${across ? 'right edge' : 'bottom'}` : '';
+  return { success: true, message: `Scrolled ${what} ${direction}${edge}.` };
+}
+
+async function runTool(tool, args) {
   const refs = window.__la_refs || {};
+  const el = refs[args.refId];
+  if (args.refId && !el) return { success: false, error: `${args.refId} not found — try getTree again` };
+  if (REF_TOOLS.includes(tool) && !el) return { success: false, error: `${tool} needs a refId from the page listing` };
   try {
     if (tool === 'click') {
-      const el = refs[args.refId];
-      if (!el) return { success: false, error: `${args.refId} not found — try getTree again` };
       el.scrollIntoView({ block: 'center', behavior: 'instant' });
       el.focus(); el.click();
       return { success: true };
     }
     if (tool === 'type') {
-      const el = refs[args.refId];
-      if (!el) return { success: false, error: `${args.refId} not found` };
-      el.focus();
-      if (el instanceof HTMLInputElement || el instanceof HTMLTextAreaElement) {
-        const proto = el instanceof HTMLTextAreaElement ? window.HTMLTextAreaElement.prototype : window.HTMLInputElement.prototype;
-        const setter = Object.getOwnPropertyDescriptor(proto, 'value')?.set;
-        if (setter) setter.call(el, args.text); else el.value = args.text;
-        el.dispatchEvent(new Event('input', { bubbles: true }));
-        el.dispatchEvent(new Event('change', { bubbles: true }));
-      } else if (el.isContentEditable) {
-        el.focus();
-        document.execCommand('selectAll', false, null);
-        document.execCommand('insertText', false, args.text);
-      } else {
-        el.value = args.text;
-        el.dispatchEvent(new Event('input', { bubbles: true }));
-      }
+      typeText(el, String(args.text ?? ''), args.clear !== false);
       return { success: true };
     }
-    if (tool === 'scroll') {
-      window.scrollBy({ top: args.direction === 'up' ? -500 : 500, behavior: 'smooth' });
+    if (tool === 'select') return await selectOption(el, args.option);
+    if (tool === 'hover') {
+      hover(el);
+      return { success: true };
+    }
+    if (tool === 'drag') {
+      const from = refs[args.fromRefId], to = refs[args.toRefId];
+      if (!from || !to) return { success: false, error: `${from ? args.toRefId : args.fromRefId} not found — both refs must be in the same frame` };
+      drag(from, to);
+      return { success: true };
+    }
+    if (tool === 'toggle') {
+      const before = isChecked(el);
+      if (before === null) return { success: false, error: `${args.refId} is not a checkbox, radio button or switch` };
+      if (typeof args.checked !== 'boolean' || args.checked !== before) {
+        el.scrollIntoView({ block: 'center', behavior: 'instant' });
+        el.click();
+        await new Promise(r => setTimeout(r, 50)); // let the page re-render its state
+      }
+      const now = isChecked(el);
+      const stuck = typeof args.checked === 'boolean' && now !== args.checked ? ' It did not change — it may be disabled or controlled by another element.' : '';
+      return { success: true, message: `"${getLabel(el)}" is now ${now ? 'checked' : 'unchecked'}.${stuck}` };
+    }
+    if (tool === 'scroll') return scrollBox(el, args.direction || 'down', args.amount);
+    if (tool === 'scroll_to') {
+      el.scrollIntoView({ block: 'center', behavior: 'instant' });
       return { success: true };
     }
     if (tool === 'key') {
-      const el = document.activeElement || document.body;
-      el.dispatchEvent(new KeyboardEvent('keydown', { key: args.key, bubbles: true }));
-      el.dispatchEvent(new KeyboardEvent('keyup',   { key: args.key, bubbles: true }));
+      if (el) el.focus();
+      return pressKey(el || deepActiveElement() || document.body, args.key);
+    }
+    if (tool === 'upload') {
+      const dataTransfer = new DataTransfer();
+      dataTransfer.items.add(new File([String(args.content ?? '')], args.name || 'file.txt', { type: args.mime || 'text/plain' }));
+      if (el instanceof HTMLInputElement && el.type === 'file') {
+        el.files = dataTransfer.files;
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+        el.dispatchEvent(new Event('change', { bubbles: true }));
+      } else {
+        // A drop zone rather than a file input
+        for (const type of ['dragenter', 'dragover', 'drop']) el.dispatchEvent(new DragEvent(type, { bubbles: true, cancelable: true, composed: true, dataTransfer, ...pointAt(el) }));
+      }
       return { success: true };
     }
+    if (tool === 'wait_for') {
+      if (!args.text && !args.selector) return { success: false, error: 'Give the text or selector to wait for' };
+      const text = String(args.text || '').toLowerCase();
+      const present = () => (!text || deepText().toLowerCase().includes(text)) && (!args.selector || !!deepQuery(args.selector));
+      const ms = Math.min((Number(args.timeout) || 5) * 1000, WAIT_MAX_MS);
+      const what = [args.text && `"${args.text}"`, args.selector && `"${args.selector}"`].filter(Boolean).join(' and ');
+      const t0 = Date.now();
+      const ok = await waitUntil(() => present() !== !!args.gone, ms);
+      const secs = ((Date.now() - t0) / 1000).toFixed(1);
+      return ok
+        ? { success: true, message: `${what} ${args.gone ? 'is gone' : 'appeared'} after ${secs} s.` }
+        : { success: false, error: `Timed out after ${secs} s — ${what} ${args.gone ? 'is still there' : 'did not appear'}` };
+    }
     return { success: false, error: `Unknown tool: ${tool}` };
   } catch (e) {
     return { success: false, error: e.message };
   }
 }
 
+// ── Page settle ───────────────────────────────────────────────────────────
+//
+// After an action the page has settled once its DOM has been quiet for
+// SETTLE_QUIET_MS and none of its fetch/XHR requests is pending (page-hook.js,
+// which the service worker injects before agent actions, counts those in the
+// page's own world and reports over a DOM event).
+
+const SETTLE_QUIET_MS = 400;
+const NET_EVENT       = 'local-agent:net';
+
+let netPending = 0;
+document.addEventListener(NET_EVENT, e => { netPending = Number(e.detail) || 0; });
+
+function pendingRequests() {
+  document.dispatchEvent(new CustomEvent(`${NET_EVENT}?`)); // answered synchronously by the hook
+  return netPending;
+}
+
+function openDialogs() {
+  return [...document.querySelectorAll('dialog[open], [role="dialog"], [role="alertdialog"], [aria-modal="true"]')].filter(isShown);
+}
+
+/** Counts real changes: not the marks overlay, and not inline-style churn from animations. */
+function countMutations(records) {
+  return records.filter(r => r.target !== MARKS.host
+    && !(r.type === 'attributes' && r.attributeName === 'style')
+    && ![...r.addedNodes, ...r.removedNodes].includes(MARKS.host)).length;
+}
+
+/** Resolves once the page is quiet, or after `maxMs` with settled: false. */
+function waitSettled(maxMs) {
+  return new Promise(resolve => {
+    const t0 = Date.now();
+    let mutations = 0, last = t0;
+    const observer = new MutationObserver(records => {
+      const n = countMutations(records);
+      if (n) { mutations += n; last = Date.now(); }
+    });
+    observer.observe(document, { childList: true, subtree: true, attributes: true, characterData: true });
+    (function poll() {
+      const now = Date.now();
+      const quiet = now - last >= SETTLE_QUIET_MS && pendingRequests() === 0;
+      if (quiet || now - t0 >= maxMs) { observer.disconnect(); resolve({ settled: quiet, mutations, ms: now - t0 }); }
+      else setTimeout(poll, 100);
+    })();
+  });
+}
+
+/** Runs a tool, then waits for the page to settle and reports what the action did to it. */
+async function executeTool(tool, args, settleMs) {
+  const url = location.href;
+  const before = new Set(openDialogs());
+  const result = await runTool(tool, args);
+  if (!result.success || !settleMs || tool === 'wait_for') return result;
+  const { settled, mutations, ms } = await waitSettled(settleMs);
+  const dialog = openDialogs().find(d => !before.has(d));
+  return { ...result, settled, mutations, ms, dialog: dialog ? getLabel(dialog) || 'dialog' : null, url: location.href !== url ? location.href : null };
+}
+
+// ── Macro recording ───────────────────────────────────────────────────────
+//
+// While the side panel records a macro, the user's own clicks, typing and
+// choices become macro steps, with elements described as describeRef would
+// describe them. The service worker arms the recorder only in the frames of
+// the recorded tab; nothing is watched anywhere else.
+
+const NOT_TEXT_INPUTS = ['checkbox', 'radio', 'file', 'submit', 'button', 'reset', 'image', 'range', 'color'];
+
+let recording = false;
+const recordedText = new WeakMap(); // field -> the text last recorded for it
+
+function isTextField(el) {
+  return el instanceof HTMLTextAreaElement || (el instanceof HTMLInputElement && !NOT_TEXT_INPUTS.includes(el.type)) || !!el.isContentEditable;
+}
+
+function sendStep(tool, args, el) {
+  chrome.runtime.sendMessage({ action: 'recordStep', step: { tool, args, ...(el ? { target: describeElement(el) } : {}), url: location.href } }).catch(() => {});
+}
+
+function recordTyping(el) {
+  const text = el.isContentEditable ? el.innerText : el.value;
+  if (recordedText.get(el) === text) return;
+  recordedText.set(el, text);
+  // Passwords are not kept — the macro asks for one each time it runs
+  sendStep('type', { text: el.type === 'password' ? '{{password}}' : text }, el);
+}
+
+function onRecordClick(e) {
+  if (!e.isTrusted || PICKER.on) return; // a pick is not a step
+  const el = e.composedPath().find(n => n instanceof Element && isInteractive(n));
+  if (!el || isTextField(el) || el instanceof HTMLSelectElement || el instanceof HTMLOptionElement) return;
+  if (el instanceof HTMLInputElement && ['checkbox', 'radio', 'file'].includes(el.type)) return; // taken from the change event
+  if (getLabel(el)) sendStep('click', {}, el);
+}
+
+function onRecordChange(e) {
+  const el = e.composedPath()[0];
+  if (!e.isTrusted || !(el instanceof Element)) return;
+  if (el instanceof HTMLSelectElement) sendStep('select', { option: el.selectedOptions[0]?.text.trim() || '' }, el);
+  else if (el instanceof HTMLInputElement && ['checkbox', 'radio'].includes(el.type)) sendStep('toggle', { checked: el.checked }, el);
+  else if (isTextField(el)) recordTyping(el);
+}
+
+function onRecordKey(e) {
+  const el = e.composedPath()[0];
+  if (!e.isTrusted || e.key !== 'Enter' || e.shiftKey || !(el instanceof HTMLInputElement) || !isTextField(el)) return;
+  recordTyping(el); // Enter can submit the form before the field reports its change
+  sendStep('key', { key: 'Enter' }, el);
+}
+
+function onRecordBlur(e) {
+  const el = e.composedPath()[0];
+  if (e.isTrusted && el instanceof HTMLElement && el.isContentEditable) recordTyping(el);
+}
+
+const RECORD_EVENTS = [['click', onRecordClick], ['change', onRecordChange], ['keydown', onRecordKey], ['focusout', onRecordBlur]];
+
+function setRecording(on) {
+  if (on === recording) return;
+  recording = on;
+  for (const [type, fn] of RECORD_EVENTS) window[on ? 'addEventListener' : 'removeEventListener'](type, fn, true);
+}
+
+// ── Passage highlight ─────────────────────────────────────────────────────
+
+const HIGHLIGHT_NAME = 'local-agent-passage';
+const PROBE_CHARS    = 60;
+
+/**
+ * Finds `text` (a passage taken from extractPageContent) in the page, scrolls to
+ * it and highlights it. The passage is Markdown, so its markup is dropped first,
+ * and whitespace is ignored when matching: blocks are separated by line breaks
+ * that the text nodes do not have.
+ */
+function highlightText(text) {
+  // Every non-space character of the page, with the text node and offset it came from
+  const nodes = [], nodeOf = [], offsetOf = [];
+  let flat = '';
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+    acceptNode: n => n.parentElement?.closest('script,style,noscript,template') ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+  });
+  for (let n = walker.nextNode(); n; n = walker.nextNode()) {
+    const v = n.nodeValue;
+    for (let i = 0; i < v.length; i++) {
+      if (/\s/.test(v[i])) continue;
+      flat += v[i];
+      nodeOf.push(nodes.length);
+      offsetOf.push(i);
+    }
+    nodes.push(n);
+  }
+
+  // Match the first stretch of the passage that occurs on the page, then the last one after it
+  const target = readable.plainText(text).replace(/\s+/g, '');
+  const probe = Math.min(PROBE_CHARS, target.length);
+  let start = -1, end = -1;
+  for (let p = 0; p + probe <= target.length && start < 0; p += probe) start = flat.indexOf(target.slice(p, p + probe));
+  if (start < 0) return { success: true, found: false };
+  for (let q = target.length; q - probe >= 0 && end < 0; q -= probe) {
+    const at = flat.indexOf(target.slice(q - probe, q), start);
+    if (at >= 0) end = at + probe;
+  }
+  if (end < 0) end = start + probe;
+
+  const range = document.createRange();
+  range.setStart(nodes[nodeOf[start]], offsetOf[start]);
+  range.setEnd(nodes[nodeOf[end - 1]], offsetOf[end - 1] + 1);
+
+  if (window.CSS?.highlights && window.Highlight) {
+    CSS.highlights.set(HIGHLIGHT_NAME, new Highlight(range));
+    document.addEventListener('pointerdown', () => CSS.highlights.delete(HIGHLIGHT_NAME), { once: true });
+  } else {
+    const sel = getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+  }
+  range.startContainer.parentElement?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  return { success: true, found: true };
+}
+
+// ── Element picker ────────────────────────────────────────────────────────
+//
+// Lets the user point at the part of a page they want to ask about: hovering
+// outlines the element under the pointer, a click sends it to the side panel
+// as Markdown — or as HTML with Shift held. The arrow keys widen and narrow
+// the pick, Escape cancels. Page handlers see none of the picking clicks.
+
+const PICK_ATTRS = ['href', 'src', 'alt', 'title', 'id', 'class', 'role', 'name', 'type', 'value', 'placeholder', 'for', 'colspan', 'rowspan', 'datetime', 'lang'];
+const PICKER_CSS = `
+  .box { position: fixed; border: 2px solid #3b82f6; border-radius: 3px; background: rgba(59,130,246,.12); }
+  .tip { position: fixed; max-width: 70vw; padding: 3px 7px; border-radius: 4px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;
+         font: 500 11px/16px system-ui, sans-serif; color: #e2e8f0; background: #1e293b; box-shadow: 0 2px 8px rgba(0,0,0,.3); }
+  .tip b { color: #93c5fd; font-weight: 600; }
+`;
+
+const PICKER = { on: false, host: null, box: null, tip: null, el: null, wider: [] };
+let contextTarget = null; // the element last right-clicked, where a picker started from the context menu begins
+
+addEventListener('contextmenu', e => { contextTarget = e.composedPath()[0]; }, true);
+
+function pickerName(el) {
+  const classes = typeof el.className === 'string' ? el.className.trim().split(/\s+/).filter(Boolean).slice(0, 2) : [];
+  return `${el.tagName.toLowerCase()}${el.id ? `#${el.id}` : ''}${classes.map(c => `.${c}`).join('')}`;
+}
+
+/** How a picked element shows on its chip: its name and a heading or the first words inside it. */
+function pickerLabel(el) {
+  const heading = el.matches('h1,h2,h3,h4,h5,h6') ? el : el.querySelector('h1,h2,h3,h4,caption,legend');
+  const words = (el.getAttribute('aria-label') || heading?.textContent || el.textContent || '').replace(/\s+/g, ' ').trim();
+  return `<${pickerName(el)}>${words ? ` “${words.length > 40 ? words.slice(0, 40) + '…' : words}”` : ''}`;
+}
+
+function drawPicker() {
+  const el = PICKER.el;
+  PICKER.box.style.display = PICKER.tip.style.display = el?.isConnected ? '' : 'none';
+  if (!el?.isConnected) return;
+  const r = el.getBoundingClientRect();
+  Object.assign(PICKER.box.style, { left: `${r.left}px`, top: `${r.top}px`, width: `${r.width}px`, height: `${r.height}px` });
+  Object.assign(PICKER.tip.style, { left: `${Math.max(4, r.left)}px`, top: `${r.top > 28 ? r.top - 24 : Math.min(r.bottom + 4, innerHeight - 24)}px` });
+  PICKER.tip.firstChild.textContent = pickerName(el);
+}
+
+/** The element's HTML without scripts, styles, inline handlers or data: URLs, to keep it short. */
+function cleanHtml(el) {
+  const copy = el.cloneNode(true);
+  copy.querySelectorAll('script, style, noscript, template, svg, link, meta').forEach(n => n.remove());
+  for (const node of [copy, ...copy.querySelectorAll('*')]) {
+    for (const { name, value } of [...node.attributes]) {
+      if ((!PICK_ATTRS.includes(name) && !name.startsWith('aria-')) || value.startsWith('data:')) node.removeAttribute(name);
+    }
+  }
+  return copy.outerHTML.replace(/>\s+</g, '> <').replace(/\n\s*\n+/g, '\n');
+}
+
+function pickElement(el, asHtml) {
+  const text = asHtml ? cleanHtml(el) : readable.markdown(el, { live: true });
+  const label = pickerLabel(el);
+  setPicker(false);
+  if (!text.trim()) return;
+  chrome.runtime.sendMessage({ action: 'addSnippet', data: { kind: asHtml ? 'html' : 'element', label, text } }).catch(() => {});
+}
+
+function onPickMove(e) {
+  const el = e.composedPath()[0];
+  if (!(el instanceof Element) || el === PICKER.host || el === PICKER.el) return;
+  PICKER.el = el;
+  PICKER.wider = [];
+  drawPicker();
+}
+
+function onPickClick(e) {
+  e.preventDefault();
+  e.stopImmediatePropagation();
+  if (PICKER.el) pickElement(PICKER.el, e.shiftKey);
+}
+
+function onPickKey(e) {
+  const el = PICKER.el;
+  if (e.key === 'Escape') setPicker(false);
+  else if (e.key === 'Enter' && el) pickElement(el, e.shiftKey);
+  else if (e.key === 'ArrowUp' && el?.parentElement && el.parentElement !== document.documentElement) { PICKER.wider.push(el); PICKER.el = el.parentElement; drawPicker(); }
+  else if (e.key === 'ArrowDown' && PICKER.wider.length) { PICKER.el = PICKER.wider.pop(); drawPicker(); }
+  else return;
+  e.preventDefault();
+  e.stopImmediatePropagation();
+}
+
+function swallow(e) {
+  e.preventDefault();
+  e.stopImmediatePropagation();
+}
+
+const PICK_EVENTS = [['mouseover', onPickMove], ['click', onPickClick], ['keydown', onPickKey], ['scroll', drawPicker],
+  ['mousedown', swallow], ['mouseup', swallow], ['pointerdown', swallow], ['pointerup', swallow], ['auxclick', swallow], ['dblclick', swallow]];
+
+/** Turns the picker on or off; `from` is an element to start on, e.g. the one right-clicked. */
+function setPicker(on, from = null) {
+  if (on && !PICKER.on) {
+    PICKER.host = document.createElement('local-agent-picker');
+    PICKER.host.style.cssText = 'all: initial; position: fixed; inset: 0; pointer-events: none; z-index: 2147483647;';
+    const root = PICKER.host.attachShadow({ mode: 'closed' });
+    root.innerHTML = `<style>${PICKER_CSS}</style><div class="box"></div><div class="tip"><b></b> — click: text · Shift+click: HTML · ↑↓: wider/narrower · Esc: cancel</div>`;
+    [PICKER.box, PICKER.tip] = [root.querySelector('.box'), root.querySelector('.tip')];
+    document.documentElement.appendChild(PICKER.host);
+  }
+  if (!on) PICKER.host?.remove();
+  if (on !== PICKER.on) for (const [type, fn] of PICK_EVENTS) window[on ? 'addEventListener' : 'removeEventListener'](type, fn, true);
+  PICKER.on = on;
+  PICKER.el = on && from instanceof Element ? from : null;
+  PICKER.wider = [];
+  if (on) drawPicker();
+  return { success: true };
+}
+
 // ── Message listener ──────────────────────────────────────────────────────
 
 try {
   chrome.runtime.onMessage.addListener((req, _sender, respond) => {
-    if (req.action === 'extractContent') { respond(extractPageContent()); return true; }
-    if (req.action === 'getTree')        { try { respond({ success: true, tree: buildPageTree() }); } catch (e) { respond({ success: false, error: e.message }); } return true; }
-    if (req.action === 'executeTool')    { respond(runTool(req.tool, req.args)); return true; }
+    if (req.action === 'extractContent') { respond(extractPageContent(req.maxChars)); return true; }
+    if (req.action === 'getTree')        { try { if (req.marks !== undefined) MARKS.on = req.marks; respond({ success: true, ...buildPageTree(req.frameId) }); } catch (e) { respond({ success: false, error: e.message }); } return true; }
+    if (req.action === 'setMarks')       { respond(setMarks(req.on)); return true; }
+    if (req.action === 'flashRef')       { respond(flashRef(req.refId)); return true; }
+    if (req.action === 'executeTool')    { executeTool(req.tool, req.args, req.settleMs).then(respond); return true; }
+    if (req.action === 'describeRef')    { respond(describeRef(req.refId)); return true; }
+    if (req.action === 'extractStructure') { try { respond(extractStructure(req.maxChars)); } catch (e) { respond({ success: false, error: e.message }); } return true; }
+    if (req.action === 'startPicker')    { respond(setPicker(true, req.atContextMenu ? contextTarget : null)); return true; }
+    if (req.action === 'setRecording')   { setRecording(!!req.on); respond({ success: true }); return true; }
+    if (req.action === 'highlightText')  { try { respond(highlightText(req.text)); } catch (e) { respond({ success: false, error: e.message }); } return true; }
   });
+
 } catch (e) {
   // Extension was reloaded — this content script is stale, ignore silently
 }
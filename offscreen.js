@@ -0,0 +1,17 @@
+// Local-Agent Ollama — offscreen document
+//
+// The service worker has no DOM. When it has to fetch a page itself, it sends
+// the HTML here to be parsed and read by readability.js, the same extractor
+// content.js runs on open pages.
+
+chrome.runtime.onMessage.addListener((req, sender, respond) => {
+  if (req.action !== 'readHtml') return;
+  try {
+    const doc = new DOMParser().parseFromString(req.html, 'text/html');
+    const base = doc.querySelector('base[href]') ? new URL(doc.querySelector('base').getAttribute('href'), req.url).href : req.url;
+    respond({ success: true, data: readable.page(doc, { maxChars: req.maxChars, url: req.url, base }) });
+  } catch (e) {
+    respond({ success: false, error: e.message });
+  }
+  return true;
+});
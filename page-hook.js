@@ -0,0 +1,51 @@
+// Local-Agent Ollama — page hook
+//
+// Runs in the page's own JavaScript world, where the page's fetch and
+// XMLHttpRequest live (content scripts cannot see them), and only counts the
+// requests still in flight. content.js asks for the count to tell when a page
+// that loads data without navigating has settled after an agent action.
+// The service worker injects it into the frames an agent acts in, before each
+// action; no other page is touched.
+
+(() => {
+  const EVENT    = 'local-agent:net';
+  const STALE_MS = 5000; // long polls and streams never finish — stop counting them after this
+
+  const INSTALLED = Symbol.for(EVENT);
+  if (window[INSTALLED]) return;
+  window[INSTALLED] = true;
+
+  const pending = new Map(); // request id -> start time
+  let nextId = 0;
+
+  function count() {
+    const now = Date.now();
+    let n = 0;
+    for (const started of pending.values()) if (now - started < STALE_MS) n++;
+    return n;
+  }
+
+  const report = () => document.dispatchEvent(new CustomEvent(EVENT, { detail: count() }));
+
+  function track() {
+    const id = nextId++;
+    pending.set(id, Date.now());
+    report();
+    return () => { pending.delete(id); report(); };
+  }
+
+  const pageFetch = window.fetch;
+  window.fetch = function (...args) {
+    const done = track();
+    return pageFetch.apply(this, args).finally(done);
+  };
+
+  const send = XMLHttpRequest.prototype.send;
+  XMLHttpRequest.prototype.send = function (...args) {
+    this.addEventListener('loadend', track(), { once: true });
+    return send.apply(this, args);
+  };
+
+  // content.js asks for the current count before it trusts a quiet DOM
+  document.addEventListener(`${EVENT}?`, report);
+})();
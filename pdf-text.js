@@ -0,0 +1,771 @@
+// Local-Agent Ollama — PDF text extraction
+//
+// Reads the text layer of a PDF: just enough of the format to find the pages,
+// inflate their content streams, map character codes to Unicode through each
+// font's ToUnicode map or encoding, and rebuild lines and word spaces from
+// where the text is drawn. Encrypted files are read when they open without a
+// password. Images, annotations and password-protected files are out of
+// scope, and scanned PDFs have no text to find. The service worker runs it on
+// PDFs it fetches for extractTab, so the file never leaves the machine.
+
+class PdfName   { constructor(name) { this.name = name; } }
+class PdfRef    { constructor(num) { this.num = num; } }
+class PdfOp     { constructor(op) { this.op = op; } }
+class PdfStream { constructor(dict, raw) { this.dict = dict; this.raw = raw; } }
+class PdfString { constructor(bytes) { this.bytes = bytes; } } // a binary string, one char per byte
+
+const WHITESPACE = '\0\t\n\f\r ';
+const DELIMITERS = '()<>[]{}/%';
+const IDENTITY   = [1, 0, 0, 1, 0, 0];
+
+const MAX_PDF_BYTES = 64 * 1024 * 1024;
+const MAX_FORM_DEPTH = 6; // form XObjects drawn inside each other
+
+/** Bytes as a binary string. TextDecoder's "latin1" is really windows-1252, which would change bytes 0x80–0x9F. */
+function binary(bytes) {
+  let s = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) s += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  return s;
+}
+
+function toBytes(s) {
+  const bytes = new Uint8Array(s.length);
+  for (let i = 0; i < s.length; i++) bytes[i] = s.charCodeAt(i);
+  return bytes;
+}
+
+// ── Lexer ──
+
+class Lexer {
+  /** `refs` turns `n g R` into references; content streams have none, and looking ahead for them is slow. */
+  constructor(s, pos = 0, refs = true) {
+    this.s = s;
+    this.pos = pos;
+    this.refs = refs;
+  }
+
+  skipSpace() {
+    const s = this.s;
+    for (;;) {
+      while (this.pos < s.length && WHITESPACE.includes(s[this.pos])) this.pos++;
+      if (s[this.pos] !== '%') return;
+      while (this.pos < s.length && s[this.pos] !== '\n' && s[this.pos] !== '\r') this.pos++;
+    }
+  }
+
+  word() {
+    const s = this.s, start = this.pos;
+    while (this.pos < s.length && !WHITESPACE.includes(s[this.pos]) && !DELIMITERS.includes(s[this.pos])) this.pos++;
+    return s.slice(start, this.pos);
+  }
+
+  /** The next token: a value, an operator, or one of '[', ']', '<<', '>>'. Undefined at the end. */
+  token() {
+    this.skipSpace();
+    const s = this.s, c = s[this.pos];
+    if (c === undefined) return undefined;
+    if (c === '(') return this.literal();
+    if (c === '/') {
+      this.pos++;
+      return new PdfName(this.word().replace(/#([0-9a-fA-F]{2})/g, (_, h) => String.fromCharCode(parseInt(h, 16))));
+    }
+    if (c === '<') {
+      if (s[this.pos + 1] === '<') { this.pos += 2; return '<<'; }
+      const end = s.indexOf('>', this.pos);
+      const hex = s.slice(this.pos + 1, end < 0 ? s.length : end).replace(/[^0-9a-fA-F]/g, '');
+      this.pos = end < 0 ? s.length : end + 1;
+      let bytes = '';
+      for (let i = 0; i < hex.length; i += 2) bytes += String.fromCharCode(parseInt(hex.substr(i, 2).padEnd(2, '0'), 16));
+      return new PdfString(bytes);
+    }
+    if (c === '>') { this.pos += s[this.pos + 1] === '>' ? 2 : 1; return '>>'; }
+    if ('[]{}'.includes(c)) { this.pos++; return c; }
+    if (c === ')') { this.pos++; return this.token(); } // stray
+    const word = this.word();
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) return Number(word);
+    if (word === 'true' || word === 'false') return word === 'true';
+    if (word === 'null') return null;
+    return new PdfOp(word);
+  }
+
+  literal() {
+    const s = this.s;
+    let depth = 0, out = '', i = this.pos;
+    for (; i < s.length; i++) {
+      const c = s[i];
+      if (c === '\\') {
+        const n = s[++i];
+        const escaped = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' }[n];
+        if (escaped) out += escaped;
+        else if (n >= '0' && n <= '7') {
+          let oct = n;
+          while (oct.length < 3 && s[i + 1] >= '0' && s[i + 1] <= '7') oct += s[++i];
+          out += String.fromCharCode(parseInt(oct, 8) & 0xff);
+        } else if (n === '\r') { if (s[i + 1] === '\n') i++; } // a line continuation
+        else if (n !== '\n' && n !== undefined) out += n;
+      } else if (c === '(') { if (depth++) out += c; }
+      else if (c === ')') { if (--depth === 0) break; out += c; }
+      else out += c;
+    }
+    this.pos = i + 1;
+    return new PdfString(out);
+  }
+
+  /** One value, with arrays and dictionaries assembled; operators come back as PdfOp. */
+  value(tok = this.token()) {
+    if (tok === '[') {
+      const arr = [];
+      for (let t = this.token(); t !== ']' && t !== undefined; t = this.token()) arr.push(this.value(t));
+      return arr;
+    }
+    if (tok === '<<') {
+      const dict = {};
+      for (let t = this.token(); t !== '>>' && t !== undefined; t = this.token()) {
+        if (t instanceof PdfName) dict[t.name] = this.value();
+      }
+      return dict;
+    }
+    if (this.refs && Number.isInteger(tok)) {
+      const save = this.pos;
+      if (Number.isInteger(this.token()) && this.token()?.op === 'R') return new PdfRef(tok);
+      this.pos = save;
+    }
+    return tok;
+  }
+}
+
+// ── Stream filters ──
+
+async function decompress(bytes, format) {
+  const ds = new DecompressionStream(format);
+  const writer = ds.writable.getWriter();
+  writer.write(bytes).catch(() => {});
+  writer.close().catch(() => {});
+  const reader = ds.readable.getReader();
+  const chunks = [];
+  let size = 0;
+  // Many files end their streams with stray bytes — keep what inflated before the error
+  try {
+    for (let r = await reader.read(); !r.done; r = await reader.read()) { chunks.push(r.value); size += r.value.length; }
+  } catch {}
+  const out = new Uint8Array(size);
+  let at = 0;
+  for (const c of chunks) { out.set(c, at); at += c.length; }
+  return out;
+}
+
+async function inflate(data) {
+  const bytes = toBytes(data);
+  const out = await decompress(bytes, 'deflate');
+  return binary(out.length ? out : await decompress(bytes, 'deflate-raw'));
+}
+
+function asciiHex(data) {
+  const hex = data.replace(/>[\s\S]*$/, '').replace(/[^0-9a-fA-F]/g, '');
+  let out = '';
+  for (let i = 0; i < hex.length; i += 2) out += String.fromCharCode(parseInt(hex.substr(i, 2).padEnd(2, '0'), 16));
+  return out;
+}
+
+function ascii85(data) {
+  const s = data.replace(/^\s*<~/, '').replace(/~>[\s\S]*$/, '').replace(/\s+/g, '');
+  let out = '';
+  for (let i = 0; i < s.length;) {
+    if (s[i] === 'z') { out += '\0\0\0\0'; i++; continue; }
+    const group = s.slice(i, i + 5);
+    i += 5;
+    let n = 0;
+    for (const ch of group.padEnd(5, 'u')) n = n * 85 + (ch.charCodeAt(0) - 33);
+    out += String.fromCharCode(n >>> 24, (n >>> 16) & 255, (n >>> 8) & 255, n & 255).slice(0, group.length - 1);
+  }
+  return out;
+}
+
+// ── Decryption ──
+//
+// The standard security handler, for files whose user password is empty: they
+// open without asking, and the owner password only restricts printing or
+// copying. RC4 and AES-128 keys (revisions 2–4) come from MD5, which Web
+// Crypto lacks; AES-256 (revisions 5 and 6) uses SHA-2 and AES from it.
+
+const PASSWORD_PAD = toBytes('\x28\xbf\x4e\x5e\x4e\x75\x8a\x41\x64\x00\x4e\x56\xff\xfa\x01\x08\x2e\x2e\x00\xb6\xd0\x68\x3e\x80\x2f\x0c\xa9\xfe\x64\x53\x69\x7a');
+const NO_BYTES     = new Uint8Array(0);
+const NEEDS_PASSWORD = 'the file is protected by a password';
+
+const MD5_SHIFTS = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+const MD5_K = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) | 0);
+
+function concat(...parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let at = 0;
+  for (const p of parts) { out.set(p, at); at += p.length; }
+  return out;
+}
+
+function sameBytes(a, b) {
+  return a.length === b.length && a.every((x, i) => x === b[i]);
+}
+
+function md5(bytes) {
+  const blocks = ((bytes.length + 8) >> 6) + 1;
+  const w = new Int32Array(blocks * 16);
+  for (let i = 0; i < bytes.length; i++) w[i >> 2] |= bytes[i] << (i % 4 * 8);
+  w[bytes.length >> 2] |= 0x80 << (bytes.length % 4 * 8);
+  w[blocks * 16 - 2] = bytes.length * 8; // MAX_PDF_BYTES keeps the bit count in one word
+  let a0 = 0x67452301, b0 = 0xefcdab89 | 0, c0 = 0x98badcfe | 0, d0 = 0x10325476;
+  for (let off = 0; off < w.length; off += 16) {
+    let a = a0, b = b0, c = c0, d = d0;
+    for (let i = 0; i < 64; i++) {
+      const round = i >> 4;
+      let f, g;
+      if (round === 0)      { f = (b & c) | (~b & d); g = i; }
+      else if (round === 1) { f = (d & b) | (~d & c); g = (5 * i + 1) % 16; }
+      else if (round === 2) { f = b ^ c ^ d;          g = (3 * i + 5) % 16; }
+      else                  { f = c ^ (b | ~d);       g = (7 * i) % 16; }
+      const sum = (a + f + MD5_K[i] + w[off + g]) | 0, s = MD5_SHIFTS[round * 4 + i % 4];
+      a = d; d = c; c = b;
+      b = (b + ((sum << s) | (sum >>> (32 - s)))) | 0;
+    }
+    a0 = (a0 + a) | 0; b0 = (b0 + b) | 0; c0 = (c0 + c) | 0; d0 = (d0 + d) | 0;
+  }
+  const out = new Uint8Array(16);
+  [a0, b0, c0, d0].forEach((v, i) => { for (let k = 0; k < 4; k++) out[i * 4 + k] = v >>> (k * 8); });
+  return out;
+}
+
+function rc4(key, data) {
+  const s = Uint8Array.from({ length: 256 }, (_, i) => i);
+  for (let i = 0, j = 0; i < 256; i++) {
+    j = (j + s[i] + key[i % key.length]) & 255;
+    [s[i], s[j]] = [s[j], s[i]];
+  }
+  const out = new Uint8Array(data.length);
+  for (let k = 0, i = 0, j = 0; k < data.length; k++) {
+    i = (i + 1) & 255;
+    j = (j + s[i]) & 255;
+    [s[i], s[j]] = [s[j], s[i]];
+    out[k] = data[k] ^ s[(s[i] + s[j]) & 255];
+  }
+  return out;
+}
+
+async function sha(algorithm, data) {
+  return new Uint8Array(await crypto.subtle.digest(algorithm, data));
+}
+
+/** AES-CBC of whole blocks without padding: Web Crypto adds a block of padding, which is cut off. */
+async function aesEncrypt(key, iv, data) {
+  const k = await crypto.subtle.importKey('raw', key, 'AES-CBC', false, ['encrypt']);
+  return new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-CBC', iv }, k, data)).subarray(0, data.length);
+}
+
+/**
+ * AES-CBC decryption. Web Crypto insists on PKCS#7 padding, so data without
+ * any (`padded` false) gets a block appended that decrypts to a full block of
+ * padding: the encryption of nothing, chained on the last block.
+ */
+async function aesDecrypt(key, iv, data, padded = true) {
+  const k = await crypto.subtle.importKey('raw', key, 'AES-CBC', false, ['encrypt', 'decrypt']);
+  if (!padded) {
+    const last = data.length ? data.subarray(data.length - 16) : iv;
+    data = concat(data, new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-CBC', iv: last }, k, NO_BYTES)));
+  }
+  return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-CBC', iv }, k, data));
+}
+
+/** The revision 6 password hash (ISO 32000-2, algorithm 2.B). */
+async function hash2B(password, salt, userKey = NO_BYTES) {
+  let k = await sha('SHA-256', concat(password, salt, userKey));
+  for (let round = 0; ; round++) {
+    const k1 = concat(password, k, userKey);
+    const e = await aesEncrypt(k.subarray(0, 16), k.subarray(16, 32), concat(...Array(64).fill(k1)));
+    const sum = e.subarray(0, 16).reduce((n, b) => n + b, 0);
+    k = await sha(['SHA-256', 'SHA-384', 'SHA-512'][sum % 3], e);
+    if (round >= 63 && e[e.length - 1] <= round - 31) break;
+  }
+  return k.subarray(0, 32);
+}
+
+/** The crypt method a V4 encryption dictionary names for strings or streams: 'RC4', 'AES' or 'None'. */
+function cryptMethod(doc, enc, filter) {
+  const name = doc.name(filter) ?? 'Identity';
+  if (name === 'Identity') return 'None';
+  const cfm = doc.name(doc.dict(doc.dict(enc.CF)?.[name])?.CFM);
+  return cfm === 'AESV2' || cfm === 'AESV3' ? 'AES' : cfm === 'V2' ? 'RC4' : 'None';
+}
+
+/**
+ * The file key and methods for a file encrypted with an empty user password,
+ * as { key, str, stm }. Throws when opening the file takes a password.
+ */
+async function securityHandler(doc, enc, fileId) {
+  if (doc.name(enc.Filter) !== 'Standard') throw new Error('the file is encrypted with an unsupported security handler');
+  const V = doc.get(enc.V) || 0, R = doc.get(enc.R) || 0;
+  const bytesOf = v => toBytes(doc.get(v)?.bytes || '');
+  const O = bytesOf(enc.O), U = bytesOf(enc.U);
+
+  if (V >= 5) {
+    // The empty password is right when its hash with U's validation salt is U's first 32 bytes
+    const hash = salt => R >= 6 ? hash2B(NO_BYTES, salt) : sha('SHA-256', salt);
+    if (!sameBytes(await hash(U.subarray(32, 40)), U.subarray(0, 32))) throw new Error(NEEDS_PASSWORD);
+    const key = await aesDecrypt(await hash(U.subarray(40, 48)), new Uint8Array(16), bytesOf(enc.UE).subarray(0, 32), false);
+    const method = filter => cryptMethod(doc, enc, filter) === 'None' ? 'None' : 'AES256';
+    return { key, str: method(enc.StrF), stm: method(enc.StmF) };
+  }
+
+  const length = V === 1 ? 5 : (doc.get(enc.Length) || (V === 4 ? 128 : 40)) / 8;
+  const p = doc.get(enc.P) | 0;
+  const allMetadata = R < 4 || doc.get(enc.EncryptMetadata) !== false;
+  let hash = md5(concat(PASSWORD_PAD, O.subarray(0, 32), Uint8Array.of(p, p >> 8, p >> 16, p >> 24), fileId, allMetadata ? NO_BYTES : Uint8Array.of(255, 255, 255, 255)));
+  if (R >= 3) for (let i = 0; i < 50; i++) hash = md5(hash.subarray(0, length));
+  const key = hash.subarray(0, length);
+
+  // The empty password is right when the key turns the padding into U
+  let check;
+  if (R === 2) check = rc4(key, PASSWORD_PAD);
+  else {
+    check = md5(concat(PASSWORD_PAD, fileId));
+    for (let i = 0; i < 20; i++) check = rc4(key.map(b => b ^ i), check);
+  }
+  const n = R === 2 ? 32 : 16;
+  if (!sameBytes(check.subarray(0, n), U.subarray(0, n))) throw new Error(NEEDS_PASSWORD);
+  if (V === 4) return { key, str: cryptMethod(doc, enc, enc.StrF), stm: cryptMethod(doc, enc, enc.StmF) };
+  return { key, str: 'RC4', stm: 'RC4' };
+}
+
+/** One string or stream of object `num`, decrypted; both are binary strings. */
+async function decryptData(crypt, method, data, num, gen) {
+  if (method === 'None') return data;
+  let key = crypt.key;
+  if (method !== 'AES256') {
+    // Revisions 2–4 key each object on its own
+    const salt = method === 'AES' ? toBytes('sAlT') : NO_BYTES;
+    key = md5(concat(key, Uint8Array.of(num, num >> 8, num >> 16, gen, gen >> 8), salt)).subarray(0, Math.min(key.length + 5, 16));
+  }
+  const bytes = toBytes(data);
+  if (method === 'RC4') return binary(rc4(key, bytes));
+  // AES data is a 16-byte IV, then whole blocks
+  if (bytes.length < 32) return '';
+  const iv = bytes.subarray(0, 16), body = bytes.subarray(16, 16 + ((bytes.length - 16) & ~15));
+  try { return binary(await aesDecrypt(key, iv, body)); }
+  catch { return binary(await aesDecrypt(key, iv, body, false)); } // padding broken — keep what is there
+}
+
+// ── Fonts ──
+
+// WinAnsiEncoding where it differs from Latin-1
+const WIN_ANSI_HIGH = [0x20ac, 0, 0x201a, 0x192, 0x201e, 0x2026, 0x2020, 0x2021, 0x2c6, 0x2030, 0x160, 0x2039, 0x152, 0, 0x17d, 0,
+  0, 0x2018, 0x2019, 0x201c, 0x201d, 0x2022, 0x2013, 0x2014, 0x2dc, 0x2122, 0x161, 0x203a, 0x153, 0, 0x17e, 0x178];
+
+const GLYPHS = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%', ampersand: '&', quotesingle: "'",
+  parenleft: '(', parenright: ')', asterisk: '*', plus: '+', comma: ',', hyphen: '-', period: '.', slash: '/', colon: ':',
+  semicolon: ';', less: '<', equal: '=', greater: '>', question: '?', at: '@', bracketleft: '[', backslash: '\\',
+  bracketright: ']', asciicircum: '^', underscore: '_', grave: '`', braceleft: '{', bar: '|', braceright: '}', asciitilde: '~',
+  quoteleft: '‘', quoteright: '’', quotedblleft: '“', quotedblright: '”', quotesinglbase: '‚', quotedblbase: '„',
+  endash: '–', emdash: '—', bullet: '•', ellipsis: '…', minus: '−', periodcentered: '·', copyright: '©', registered: '®',
+  trademark: '™', degree: '°', section: '§', paragraph: '¶', dagger: '†', daggerdbl: '‡', fi: 'fi', fl: 'fl', ff: 'ff',
+  ffi: 'ffi', ffl: 'ffl', germandbls: 'ß', ae: 'æ', AE: 'Æ', oe: 'œ', OE: 'Œ', oslash: 'ø', Oslash: 'Ø', euro: '€',
+  sterling: '£', yen: '¥', cent: '¢', multiply: '×', divide: '÷', plusminus: '±', nbspace: ' ', dotlessi: 'ı'
+};
+const DIGIT_NAMES = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine'];
+const ACCENTS = { acute: '́', grave: '̀', circumflex: '̂', dieresis: '̈', tilde: '̃', cedilla: '̧', ring: '̊', caron: '̌' };
+
+/** The text of a glyph name from an encoding's /Differences; undefined for made-up names like "g123". */
+function glyphText(name) {
+  if (Object.hasOwn(GLYPHS, name)) return GLYPHS[name];
+  if (/^[A-Za-z]$/.test(name)) return name;
+  if (DIGIT_NAMES.includes(name)) return String(DIGIT_NAMES.indexOf(name));
+  let m = /^uni([0-9A-F]{4})/i.exec(name) || /^u([0-9A-F]{4,6})$/i.exec(name);
+  if (m) return String.fromCodePoint(parseInt(m[1], 16));
+  m = /^([A-Za-z])(acute|grave|circumflex|dieresis|tilde|cedilla|ring|caron)$/.exec(name);
+  return m ? (m[1] + ACCENTS[m[2]]).normalize('NFC') : undefined;
+}
+
+function utf16(hex) {
+  let s = '';
+  for (let i = 0; i + 4 <= hex.length; i += 4) s += String.fromCharCode(parseInt(hex.substr(i, 4), 16));
+  if (hex.length % 4 === 2) s += String.fromCharCode(parseInt(hex.slice(-2), 16));
+  return s;
+}
+
+/** A ToUnicode CMap: code -> text, and how many bytes a code takes. */
+function parseCMap(text) {
+  const map = new Map();
+  const space = /begincodespacerange\s*<([0-9a-fA-F]+)>/.exec(text);
+  for (const [, body] of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const [, src, dst] of body.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) map.set(parseInt(src, 16), utf16(dst));
+  }
+  for (const [, body] of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const [, lo, hi, dst, list] of body.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(?:<([0-9a-fA-F]*)>|\[([^\]]*)\])/g)) {
+      const first = parseInt(lo, 16), last = Math.min(parseInt(hi, 16), first + 0xffff);
+      if (list !== undefined) {
+        [...list.matchAll(/<([0-9a-fA-F]*)>/g)].forEach((m, k) => map.set(first + k, utf16(m[1])));
+        continue;
+      }
+      // Each code in the range maps to the destination with its last character counted up
+      const tail = dst.length > 4 ? 4 : dst.length, prefix = utf16(dst.slice(0, -tail)), start = parseInt(dst.slice(-tail) || '0', 16);
+      for (let code = first; code <= last; code++) map.set(code, prefix + String.fromCharCode(start + code - first));
+    }
+  }
+  return { map, codeBytes: space ? Math.ceil(space[1].length / 2) : 0 };
+}
+
+// ── Document ──
+
+class PdfDoc {
+  constructor(s) {
+    this.s = s;
+    this.objects = new Map(); // object number -> value
+    this.gens    = new Map(); // object number -> generation, which encrypted files key objects on
+    this.decoded = new Map(); // PdfStream -> its decoded data
+    this.fonts = new Map();   // font dictionary -> font
+    this.scan();
+  }
+
+  /**
+   * Finds every "n g obj" in the file rather than trusting the xref table,
+   * which is often wrong in files that were edited. Later definitions win,
+   * as they do in incremental updates.
+   */
+  scan() {
+    const s = this.s, re = /(\d+)\s+(\d+)\s+obj\b/g;
+    for (let m = re.exec(s); m; m = re.exec(s)) {
+      const lx = new Lexer(s, re.lastIndex);
+      let value = lx.value();
+      lx.skipSpace();
+      let end = lx.pos;
+      if (value?.constructor === Object && s.startsWith('stream', lx.pos)) {
+        let start = lx.pos + 6;
+        if (s[start] === '\r') start++;
+        if (s[start] === '\n') start++;
+        end = Number.isInteger(value.Length) ? start + value.Length : -1;
+        if (end < 0 || !s.slice(end, end + 24).includes('endstream')) end = s.indexOf('endstream', start);
+        if (end < 0) end = s.length;
+        value = new PdfStream(value, s.slice(start, end));
+      }
+      this.objects.set(Number(m[1]), value);
+      this.gens.set(Number(m[1]), Number(m[2]));
+      re.lastIndex = Math.max(re.lastIndex, end);
+    }
+  }
+
+  /**
+   * Decrypts every string and stream in place, for a file that opens without
+   * a password. The trailer (or the xref stream that holds it) names the
+   * encryption dictionary and the file ID; neither of them is encrypted.
+   */
+  async unlock() {
+    const s = this.s;
+    const encAt = [...s.matchAll(/\/Encrypt\b/g)].pop();
+    const idAt = [...s.matchAll(/\/ID\s*\[/g)].pop();
+    const encValue = new Lexer(s, encAt.index + 8).value();
+    const id = idAt ? this.get(new Lexer(s, idAt.index + 3).value()) : null;
+    const enc = this.dict(encValue);
+    if (!enc) throw new Error('the file is encrypted');
+    const crypt = await securityHandler(this, enc, toBytes(this.get(id?.[0])?.bytes || ''));
+
+    const walk = async (v, num, gen) => {
+      if (v instanceof PdfString) v.bytes = await decryptData(crypt, crypt.str, v.bytes, num, gen);
+      else if (Array.isArray(v)) for (const x of v) await walk(x, num, gen);
+      else if (v?.constructor === Object) for (const x of Object.values(v)) await walk(x, num, gen);
+    };
+    for (const [num, value] of this.objects) {
+      if (encValue instanceof PdfRef && num === encValue.num) continue;
+      const gen = this.gens.get(num) || 0;
+      if (!(value instanceof PdfStream)) { await walk(value, num, gen); continue; }
+      if (this.name(value.dict.Type) === 'XRef') continue;
+      await walk(value.dict, num, gen);
+      value.raw = await decryptData(crypt, crypt.stm, value.raw, num, gen);
+    }
+  }
+
+  /** PDF 1.5 files keep most objects compressed inside object streams. */
+  async expandObjectStreams() {
+    for (const value of [...this.objects.values()]) {
+      if (!(value instanceof PdfStream) || this.name(value.dict.Type) !== 'ObjStm') continue;
+      const data = await this.decode(value);
+      if (!data) continue;
+      const head = new Lexer(data), first = this.get(value.dict.First);
+      for (let i = 0; i < this.get(value.dict.N); i++) {
+        const num = head.token(), offset = head.token();
+        if (!Number.isInteger(num) || !Number.isInteger(offset)) break;
+        if (!this.objects.has(num)) this.objects.set(num, new Lexer(data, first + offset).value());
+      }
+    }
+  }
+
+  get(v) {
+    for (let hops = 0; v instanceof PdfRef && hops < 32; hops++) v = this.objects.get(v.num);
+    return v;
+  }
+
+  dict(v) {
+    v = this.get(v);
+    return v instanceof PdfStream ? v.dict : v?.constructor === Object ? v : null;
+  }
+
+  name(v) {
+    v = this.get(v);
+    return v instanceof PdfName ? v.name : undefined;
+  }
+
+  /** A stream's data with its filters undone; null for image codecs and LZW, which hold no text worth the code. */
+  async decode(stream) {
+    if (this.decoded.has(stream)) return this.decoded.get(stream);
+    let data = stream.raw;
+    for (const filter of [this.get(stream.dict.Filter)].flat().filter(Boolean)) {
+      const f = this.name(filter);
+      if (f === 'FlateDecode' || f === 'Fl') data = await inflate(data);
+      else if (f === 'ASCIIHexDecode' || f === 'AHx') data = asciiHex(data);
+      else if (f === 'ASCII85Decode' || f === 'A85') data = ascii85(data);
+      else { data = null; break; }
+    }
+    this.decoded.set(stream, data);
+    return data;
+  }
+
+  async font(ref) {
+    const dict = this.dict(ref) || {};
+    if (this.fonts.has(dict)) return this.fonts.get(dict);
+
+    const type0 = this.name(dict.Subtype) === 'Type0';
+    const font = { codeBytes: type0 ? 2 : 1, map: null, differences: null, width: () => 0.5 };
+    // The predefined Unicode CMaps need no map: the codes are UTF-16 already
+    const ucs2 = type0 && /^Uni\w*-(UCS2|UTF16)-[HV]$/.test(this.name(dict.Encoding) || '');
+    const cmap = this.get(dict.ToUnicode);
+    if (cmap instanceof PdfStream) {
+      const data = await this.decode(cmap);
+      if (data) {
+        const { map, codeBytes } = parseCMap(data);
+        font.map = map;
+        if (type0 && codeBytes) font.codeBytes = codeBytes;
+      }
+    }
+
+    if (type0) {
+      const cid = this.dict(this.get(dict.DescendantFonts)?.[0]) || {};
+      const dw = this.get(cid.DW) ?? 1000, ranges = [];
+      const w = this.get(cid.W) || [];
+      for (let i = 0; i < w.length;) {
+        const first = this.get(w[i]), next = this.get(w[i + 1]);
+        if (Array.isArray(next)) { next.forEach((v, k) => ranges.push([first + k, first + k, this.get(v)])); i += 2; }
+        else { ranges.push([first, next, this.get(w[i + 2])]); i += 3; }
+      }
+      font.width = code => (ranges.find(([a, b]) => code >= a && code <= b)?.[2] ?? dw) / 1000;
+    } else {
+      const widths = this.get(dict.Widths), firstChar = this.get(dict.FirstChar) ?? 0;
+      // Type3 glyphs are measured in their own units
+      const scale = this.name(dict.Subtype) === 'Type3' ? this.get(this.get(dict.FontMatrix)?.[0]) ?? 0.001 : 0.001;
+      const missing = this.get(this.dict(dict.FontDescriptor)?.MissingWidth);
+      if (Array.isArray(widths)) font.width = code => (this.get(widths[code - firstChar]) ?? missing ?? 500) * scale;
+      const differences = this.get(this.dict(dict.Encoding)?.Differences);
+      if (Array.isArray(differences)) {
+        font.differences = new Map();
+        let code = 0;
+        for (const d of differences) {
+          const v = this.get(d);
+          if (typeof v === 'number') code = v;
+          else if (v instanceof PdfName) font.differences.set(code++, glyphText(v.name));
+        }
+      }
+    }
+
+    font.text = code => {
+      const mapped = font.map?.get(code) ?? font.differences?.get(code);
+      if (mapped !== undefined) return mapped;
+      if (font.codeBytes > 1) return ucs2 ? String.fromCharCode(code) : '';
+      return String.fromCharCode(code >= 0x80 && code <= 0x9f ? WIN_ANSI_HIGH[code - 0x80] || 0x20 : code);
+    };
+    this.fonts.set(dict, font);
+    return font;
+  }
+
+  /** The pages in reading order, each with the resources it inherits from the page tree. */
+  pages() {
+    const list = [], seen = new Set();
+    const walk = (node, inherited, depth) => {
+      const dict = this.dict(node);
+      if (!dict || seen.has(dict) || depth > 64) return;
+      seen.add(dict);
+      const resources = dict.Resources ?? inherited;
+      const kids = this.get(dict.Kids);
+      if (Array.isArray(kids)) for (const kid of kids) walk(kid, resources, depth + 1);
+      else list.push({ dict, resources });
+    };
+    const catalog = [...this.objects.values()].filter(v => this.name(v?.Type) === 'Catalog').pop();
+    if (catalog) walk(catalog.Pages, undefined, 0);
+    if (!list.length) {
+      for (const v of this.objects.values()) if (this.name(v?.Type) === 'Page') list.push({ dict: v, resources: v.Resources });
+    }
+    return list;
+  }
+
+  async pageText({ dict, resources }) {
+    const layout = new TextLayout();
+    let data = '';
+    for (const part of [this.get(dict.Contents)].flat()) {
+      const stream = this.get(part);
+      if (stream instanceof PdfStream) data += (await this.decode(stream) || '') + '\n';
+    }
+    await this.draw(data, this.dict(resources) || {}, IDENTITY, layout, 0);
+    return layout.text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  /** Runs a content stream, laying out the text it shows. Only what affects where text lands is tracked. */
+  async draw(data, resources, ctm, layout, depth) {
+    const lx = new Lexer(data, 0, false);
+    const operands = [];
+    let st = { ctm, font: null, size: 0, tc: 0, tw: 0, th: 1, tl: 0 };
+    const saved = [];
+    let tm = IDENTITY, lm = IDENTITY;
+
+    const moveLine = (tx, ty) => { lm = multiply([1, 0, 0, 1, tx, ty], lm); tm = lm; };
+    const show = str => {
+      if (!(str instanceof PdfString)) return;
+      const font = st.font || DEFAULT_FONT;
+      const start = multiply(tm, st.ctm);
+      let text = '', advance = 0;
+      for (let i = 0; i < str.bytes.length; i += font.codeBytes) {
+        const code = font.codeBytes === 2 ? (str.bytes.charCodeAt(i) << 8) | (str.bytes.charCodeAt(i + 1) || 0) : str.bytes.charCodeAt(i);
+        text += font.text(code);
+        advance += (font.width(code) * st.size + st.tc + (font.codeBytes === 1 && code === 32 ? st.tw : 0)) * st.th;
+      }
+      tm = multiply([1, 0, 0, 1, advance, 0], tm);
+      const end = multiply(tm, st.ctm);
+      layout.add(text.replace(/[\0-\x08\x0b-\x1f]/g, ''), start[4], start[5], end[4], Math.abs(st.size * Math.hypot(start[2], start[3])) || st.size);
+    };
+
+    for (let tok = lx.token(); tok !== undefined; tok = lx.token()) {
+      if (!(tok instanceof PdfOp)) { operands.push(lx.value(tok)); continue; }
+      const [a, b] = operands;
+      switch (tok.op) {
+        case 'q':  saved.push(st); st = { ...st }; break;
+        case 'Q':  st = saved.pop() || st; break;
+        case 'cm': if (operands.length >= 6) st.ctm = multiply(operands.slice(-6), st.ctm); break;
+        case 'BT': tm = lm = IDENTITY; break;
+        case 'Tf': st.font = await this.font(this.dict(resources.Font)?.[a?.name]); st.size = b || 0; break;
+        case 'Td': moveLine(a || 0, b || 0); break;
+        case 'TD': st.tl = -(b || 0); moveLine(a || 0, b || 0); break;
+        case 'Tm': if (operands.length >= 6) tm = lm = operands.slice(-6); break;
+        case 'T*': moveLine(0, -st.tl); break;
+        case 'TL': st.tl = a || 0; break;
+        case 'Tc': st.tc = a || 0; break;
+        case 'Tw': st.tw = a || 0; break;
+        case 'Tz': st.th = (a ?? 100) / 100; break;
+        case 'Tj': show(a); break;
+        case "'":  moveLine(0, -st.tl); show(a); break;
+        case '"':  st.tw = a || 0; st.tc = b || 0; moveLine(0, -st.tl); show(operands[2]); break;
+        case 'TJ':
+          for (const part of Array.isArray(a) ? a : []) {
+            if (typeof part === 'number') tm = multiply([1, 0, 0, 1, -part / 1000 * st.size * st.th, 0], tm);
+            else show(part);
+          }
+          break;
+        case 'Do': {
+          const form = this.get(this.dict(resources.XObject)?.[a?.name]);
+          if (!(form instanceof PdfStream) || this.name(form.dict.Subtype) !== 'Form' || depth >= MAX_FORM_DEPTH) break;
+          const matrix = this.get(form.dict.Matrix);
+          const formData = await this.decode(form);
+          if (formData) await this.draw(formData, this.dict(form.dict.Resources) || resources, Array.isArray(matrix) ? multiply(matrix, st.ctm) : st.ctm, layout, depth + 1);
+          break;
+        }
+        case 'ID': { // inline image data runs to the next "EI" standing on its own
+          let end = lx.pos;
+          do end = data.indexOf('EI', end + 1);
+          while (end >= 0 && !(WHITESPACE.includes(data[end - 1]) && (end + 2 >= data.length || WHITESPACE.includes(data[end + 2]))));
+          lx.pos = end < 0 ? data.length : end + 2;
+          break;
+        }
+      }
+      operands.length = 0;
+    }
+  }
+
+  info() {
+    const ref = [...this.s.matchAll(/\/Info\s+(\d+)\s+\d+\s+R/g)].pop();
+    const info = ref ? this.dict(new PdfRef(Number(ref[1]))) : null;
+    const text = v => (v = this.get(v)) instanceof PdfString ? decodeText(v.bytes) : '';
+    const created = /^D:(\d{4})(\d{2})?(\d{2})?/.exec(text(info?.CreationDate));
+    return {
+      title: text(info?.Title),
+      author: text(info?.Author),
+      created: created ? [created[1], created[2], created[3]].filter(Boolean).join('-') : ''
+    };
+  }
+}
+
+const DEFAULT_FONT = { codeBytes: 1, width: () => 0.5, text: code => String.fromCharCode(code) };
+
+function multiply([a, b, c, d, e, f], [A, B, C, D, E, F]) {
+  return [a * A + b * C, a * B + b * D, c * A + d * C, c * B + d * D, e * A + f * C + E, e * B + f * D + F];
+}
+
+/** Document info strings are UTF-16 with a byte order mark, or PDFDocEncoding (close enough to Latin-1). */
+function decodeText(bytes) {
+  let s = bytes;
+  if (bytes.startsWith('\xfe\xff')) {
+    s = '';
+    for (let i = 2; i + 1 < bytes.length; i += 2) s += String.fromCharCode((bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1));
+  } else if (bytes.startsWith('\xef\xbb\xbf')) {
+    s = new TextDecoder().decode(toBytes(bytes.slice(3)));
+  }
+  return s.replace(/\0/g, '').trim();
+}
+
+/**
+ * Puts shown strings together into lines and paragraphs by where they are
+ * drawn: a drop of more than half a line starts a new line, a bigger drop
+ * (or a jump up, to a new column) a new paragraph, and a gap along the line
+ * a space.
+ */
+class TextLayout {
+  constructor() {
+    this.text = '';
+    this.x = 0;
+    this.y = null;
+    this.size = 0;
+  }
+
+  add(text, x, y, endX, size) {
+    if (!text) return;
+    if (this.y !== null) {
+      const line = Math.max(size, this.size);
+      if (Math.abs(y - this.y) > line * 0.5) {
+        this.text = this.text.trimEnd() + (this.y - y > line * 1.8 || y > this.y ? '\n\n' : '\n');
+      } else if (x - this.x > size * 0.2 && !/\s$/.test(this.text) && !/^\s/.test(text)) {
+        this.text += ' ';
+      }
+    }
+    this.text += text;
+    this.x = endX;
+    this.y = y;
+    this.size = size;
+  }
+}
+
+/**
+ * The text of a PDF, with a "--- Page n ---" line before each page. Stops
+ * reading once it has `maxChars`; `pages` is the document's page count and
+ * `read` how many of them were read.
+ */
+export async function pdfText(bytes, { maxChars = Infinity } = {}) {
+  if (bytes.length > MAX_PDF_BYTES) throw new Error('the file is too large');
+  const s = binary(bytes);
+  const header = s.indexOf('%PDF-');
+  if (header < 0 || header > 1024) throw new Error('the file is not a PDF');
+
+  const doc = new PdfDoc(s);
+  if (/\/Encrypt\s*(?:\d+\s+\d+\s+R|<<)/.test(s)) await doc.unlock();
+  await doc.expandObjectStreams();
+  const pages = doc.pages();
+  const parts = [];
+  let chars = 0, read = 0;
+  for (; read < pages.length && chars < maxChars; read++) {
+    const text = await doc.pageText(pages[read]);
+    if (!text) continue;
+    parts.push(`--- Page ${read + 1} ---\n${text}`);
+    chars += text.length;
+  }
+  return { pages: pages.length, read, info: doc.info(), text: parts.join('\n\n') };
+}
@@ -0,0 +1,318 @@
+// Local-Agent Ollama — readable page extraction
+//
+// Finds a page's main content the way reader views do — blocks of text are
+// scored by length, commas and link density, with class names and ids as
+// hints — and converts it to Markdown that keeps headings, list nesting,
+// tables, code, link targets and image alt text. Also reads the page's
+// metadata: author, dates, canonical URL, OpenGraph and JSON-LD.
+//
+// content.js runs it on the live page; offscreen.js on pages the service
+// worker fetched, which are never laid out. Both give the same Markdown, so an
+// answer does not depend on which path read the page. It can be injected into
+// a page more than once, so it defines its one global only the first time.
+
+globalThis.readable ??= (() => {
+  const SKIP_TAGS   = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'CANVAS', 'IFRAME', 'FRAME', 'OBJECT', 'EMBED', 'INPUT', 'SELECT', 'OPTION', 'TEXTAREA', 'BUTTON', 'DIALOG', 'HEAD', 'META', 'LINK']);
+  const CHROME_TAGS = new Set(['NAV', 'ASIDE', 'FOOTER']);
+  const BLOCK_TAGS  = new Set(['P', 'DIV', 'SECTION', 'ARTICLE', 'MAIN', 'HEADER', 'FIGURE', 'DETAILS', 'SUMMARY', 'ADDRESS', 'DL', 'DD', 'CENTER', 'HGROUP', 'LI', 'TR', 'TD', 'TH']);
+  const TEXT_BLOCKS = 'p, div, section, article, pre, table, ul, ol, blockquote, h1, h2, h3, h4, h5, h6';
+  const CHROME_ROLES = ['navigation', 'banner', 'contentinfo', 'complementary', 'dialog', 'alertdialog', 'menu', 'menubar', 'search'];
+
+  // Hints from class names and ids, after Mozilla's Readability
+  const UNLIKELY = /banner|breadcrumb|combx|comment|community|cookie|consent|disqus|extra|footer|gdpr|header|legends|menu|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|supplemental|ad-break|agegate|pager|popup|share|newsletter|promo|subscribe/i;
+  const MAYBE    = /and|article|body|column|content|main|shadow/i;
+  const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+  const NEGATIVE = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+  // Inside the picked content only what is plainly not the article is dropped — "entry-header" holds its title
+  const CLUTTER  = /comment|share|sharing|social|related|newsletter|subscribe|cookie|consent|popup|promo|sponsor|ad-break|outbrain|taboola/i;
+
+  const MIN_CONTENT = 250; // characters a pick needs before it is trusted over the whole body
+
+  function hints(el) {
+    return `${typeof el.className === 'string' ? el.className : ''} ${el.id || ''}`;
+  }
+
+  function classWeight(el) {
+    const h = hints(el).trim();
+    if (!h) return 0;
+    return (POSITIVE.test(h) ? 25 : 0) - (NEGATIVE.test(h) ? 25 : 0);
+  }
+
+  function isUnlikely(el) {
+    if (el.tagName === 'BODY' || el.tagName === 'A') return false;
+    if (CHROME_TAGS.has(el.tagName) || CHROME_ROLES.includes(el.getAttribute('role'))) return true;
+    const h = hints(el);
+    return UNLIKELY.test(h) && !MAYBE.test(h);
+  }
+
+  function isClutter(el) {
+    return CHROME_TAGS.has(el.tagName) || CHROME_ROLES.includes(el.getAttribute('role')) || CLUTTER.test(hints(el));
+  }
+
+  /** Hidden by markup — and on the live page, by having no box at all. */
+  function isHidden(el, live) {
+    if (el.hidden || el.getAttribute('aria-hidden') === 'true') return true;
+    if (/display\s*:\s*none|visibility\s*:\s*hidden/i.test(el.getAttribute('style') || '')) return true;
+    return live && !el.getClientRects().length && getComputedStyle(el).display !== 'contents';
+  }
+
+  function textOf(el) {
+    return (el.textContent || '').replace(/\s+/g, ' ').trim();
+  }
+
+  function linkDensity(el) {
+    const total = textOf(el).length;
+    if (!total) return 0;
+    let links = 0;
+    for (const a of el.querySelectorAll('a')) links += textOf(a).length * ((a.getAttribute('href') || '').startsWith('#') ? 0.3 : 1);
+    return Math.min(1, links / total);
+  }
+
+  const TAG_SCORES = { DIV: 5, ARTICLE: 10, MAIN: 10, SECTION: 3, PRE: 3, TD: 3, BLOCKQUOTE: 3, FORM: -3, OL: -3, UL: -3, DL: -3, ADDRESS: -3, LI: -3, TH: -5, H1: -5, H2: -5, H3: -5, H4: -5, H5: -5, H6: -5 };
+
+  /** The elements that hold the main content, in page order: the best-scored block and its worthwhile siblings. */
+  function findMain(doc, live) {
+    const body = doc.body;
+    if (!body) return [];
+
+    const paragraphs = [];
+    (function walk(el) {
+      for (const child of el.children) {
+        if (SKIP_TAGS.has(child.tagName) || isUnlikely(child) || isHidden(child, live)) continue;
+        if (['P', 'PRE', 'TD', 'BLOCKQUOTE'].includes(child.tagName) || (child.tagName === 'DIV' && !child.querySelector(TEXT_BLOCKS))) paragraphs.push(child);
+        walk(child);
+      }
+    })(body);
+
+    // Each paragraph scores its parent in full, its grandparent half and the next one up a sixth
+    const scores = new Map();
+    for (const p of paragraphs) {
+      const text = textOf(p);
+      if (text.length < 25) continue;
+      const score = 1 + (text.match(/[,，、]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+      let el = p.parentElement;
+      for (let level = 0; el && level < 3; level++, el = el.parentElement) {
+        if (!scores.has(el)) scores.set(el, (TAG_SCORES[el.tagName] || 0) + classWeight(el));
+        scores.set(el, scores.get(el) + score / [1, 2, 6][level]);
+        if (el === body) break;
+      }
+    }
+
+    let top = null, topScore = 0;
+    for (const [el, score] of scores) {
+      const final = score * (1 - linkDensity(el));
+      scores.set(el, final);
+      if (final > topScore) { top = el; topScore = final; }
+    }
+    if (!top || top === body || textOf(top).length < MIN_CONTENT) return [body];
+
+    // Siblings that score well, or read like paragraphs, belong to the article too
+    const threshold = Math.max(10, topScore * 0.2);
+    return [...top.parentElement.children].filter(sib => {
+      if (sib === top) return true;
+      if (SKIP_TAGS.has(sib.tagName) || isUnlikely(sib) || isHidden(sib, live)) return false;
+      if ((scores.get(sib) || 0) >= threshold) return true;
+      if (sib.tagName !== 'P') return false;
+      const text = textOf(sib), density = linkDensity(sib);
+      return (text.length > 80 && density < 0.25) || (text.length > 0 && density === 0 && /\.( |$)/.test(text));
+    });
+  }
+
+  // ── Markdown ──
+
+  function absolute(url, base) {
+    try { return new URL(url, base).href.replace(/\(/g, '%28').replace(/\)/g, '%29'); } catch { return url; }
+  }
+
+  /** Wraps inline text in a marker (**, *, ~~) outside of its surrounding spaces. */
+  function wrap(text, mark) {
+    const inner = text.trim();
+    return inner ? `${text.match(/^\s*/)[0]}${mark}${inner.replace(/\n+/g, ' ')}${mark}${text.match(/\s*$/)[0]}` : text;
+  }
+
+  function convertChildren(el, ctx) {
+    let out = '';
+    for (const child of el.childNodes) out += convert(child, ctx);
+    return out;
+  }
+
+  function convert(node, ctx) {
+    if (node.nodeType === 3) return ctx.pre ? node.nodeValue : node.nodeValue.replace(/\s+/g, ' ');
+    if (node.nodeType !== 1) return '';
+    const el = node, tag = el.tagName;
+    if (tag === 'BR') return '\n';
+    if (SKIP_TAGS.has(tag) || isHidden(el, ctx.live) || (ctx.dropClutter && !ctx.roots.has(el) && isClutter(el))) return '';
+
+    if (/^H[1-6]$/.test(tag)) {
+      const text = convertChildren(el, ctx).replace(/\s+/g, ' ').trim();
+      return text ? `\n\n${'#'.repeat(Number(tag[1]))} ${text}\n\n` : '';
+    }
+    switch (tag) {
+      case 'HR': return '\n\n---\n\n';
+      case 'STRONG': case 'B': return wrap(convertChildren(el, ctx), '**');
+      case 'EM': case 'I': return wrap(convertChildren(el, ctx), '*');
+      case 'DEL': case 'S': return wrap(convertChildren(el, ctx), '~~');
+      case 'CODE': case 'KBD': case 'SAMP': {
+        const text = el.textContent.replace(/\s+/g, ' ');
+        const tick = text.includes('`') ? '``' : '`';
+        return text.trim() ? `${tick}${text}${tick}` : '';
+      }
+      case 'PRE': return codeBlock(el, ctx);
+      case 'A': return link(el, ctx);
+      case 'IMG': return image(el, ctx);
+      case 'UL': case 'OL': return list(el, ctx);
+      case 'TABLE': return table(el, ctx);
+      case 'BLOCKQUOTE': {
+        const inner = tidy(convertChildren(el, ctx));
+        return inner ? `\n\n${inner.split('\n').map(l => `> ${l}`.trimEnd()).join('\n')}\n\n` : '';
+      }
+      case 'FIGCAPTION': return `\n\n${wrap(convertChildren(el, ctx), '*')}\n\n`;
+      case 'DT': return `\n\n${wrap(convertChildren(el, ctx), '**')}\n`;
+    }
+    const inner = convertChildren(el, ctx);
+    return BLOCK_TAGS.has(tag) ? `\n\n${inner}\n\n` : inner;
+  }
+
+  // Code blocks are set aside and put back at the end, so tidying whitespace cannot touch them
+  function codeBlock(el, ctx) {
+    const code = el.querySelector('code');
+    const lang = /(?:lang|language)-([\w+#-]+)/.exec(`${code?.className || ''} ${el.className || ''}`)?.[1] || '';
+    const text = el.textContent.replace(/^\n|\n$/g, '');
+    if (!text.trim()) return '';
+    const fence = text.includes('```') ? '~~~' : '```';
+    ctx.code.push(`${fence}${lang}\n${text}\n${fence}`);
+    return `\n\n\u0000${ctx.code.length - 1}\u0000\n\n`;
+  }
+
+  function link(el, ctx) {
+    const text = convertChildren(el, ctx);
+    const label = text.replace(/\s+/g, ' ').trim();
+    const href = el.getAttribute('href') || '';
+    if (!label || !href || href.startsWith('#') || /^javascript:/i.test(href)) return text;
+    return `${text.match(/^\s*/)[0]}[${label}](${absolute(href, ctx.base)})${text.match(/\s*$/)[0]}`;
+  }
+
+  function image(el, ctx) {
+    const alt = (el.getAttribute('alt') || '').replace(/\s+/g, ' ').trim();
+    if (!alt) return '';
+    const src = el.getAttribute('src') || el.getAttribute('data-src') || '';
+    return `![${alt.replace(/[[\]]/g, '')}](${src && !src.startsWith('data:') ? absolute(src, ctx.base) : ''})`;
+  }
+
+  function list(el, ctx) {
+    const ordered = el.tagName === 'OL';
+    let n = Number(el.getAttribute('start')) || 1;
+    const items = [];
+    for (const li of el.children) {
+      if (li.tagName !== 'LI' || isHidden(li, ctx.live)) continue;
+      const text = tidy(convertChildren(li, ctx)).replace(/\n{2,}/g, '\n');
+      if (!text) continue;
+      const marker = ordered ? `${n++}. ` : '- ';
+      items.push(marker + text.split('\n').map((line, i) => i ? ' '.repeat(marker.length) + line : line).join('\n'));
+    }
+    return items.length ? `\n\n${items.join('\n')}\n\n` : '';
+  }
+
+  function table(el, ctx) {
+    const rows = [...el.rows].filter(r => !isHidden(r, ctx.live));
+    // Tables used for layout hold blocks, not data
+    if (!rows.length || el.querySelector('table') || rows.every(r => r.cells.length < 2)) return `\n\n${convertChildren(el, ctx)}\n\n`;
+    const cells = rows.map(r => [...r.cells].map(c => tidy(convertChildren(c, ctx)).replace(/\s*\n+\s*/g, ' ').replace(/\|/g, '\\|')));
+    const width = Math.max(...cells.map(r => r.length));
+    const [head, ...body] = cells.map(r => [...r, ...Array(width - r.length).fill('')]);
+    const caption = el.caption ? `${wrap(textOf(el.caption), '*')}\n\n` : '';
+    return `\n\n${caption}| ${head.join(' | ')} |\n|${' --- |'.repeat(width)}\n${body.map(r => `| ${r.join(' | ')} |`).join('\n')}\n\n`;
+  }
+
+  function tidy(text) {
+    return text
+      .replace(/(\S)[ \t]{2,}/g, '$1 ')
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/^ (?=\S)/gm, '')
+      .replace(/\n[ \t]+(?=\n)/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  // ── Metadata ──
+
+  /** The page's main JSON-LD item — an article if there is one. */
+  function jsonLd(doc) {
+    const items = [];
+    for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        const data = JSON.parse(script.textContent);
+        for (const item of [data].flat()) items.push(item, ...[item?.['@graph'] || []].flat());
+      } catch {}
+    }
+    const typed = items.filter(i => i && typeof i === 'object');
+    return typed.find(i => /Article|Posting|Report|Recipe|Review/.test([i['@type']].flat().join(' '))) || typed.find(i => i.datePublished || i.author) || {};
+  }
+
+  function names(value) {
+    return [value].flat().map(v => typeof v === 'string' ? v : v?.name).filter(Boolean).join(', ');
+  }
+
+  function metadata(doc, base) {
+    const meta = (...keys) => {
+      for (const key of keys) {
+        const v = doc.querySelector(`meta[property="${key}"], meta[name="${key}"], meta[itemprop="${key}"]`)?.getAttribute('content')?.trim();
+        if (v) return v;
+      }
+      return '';
+    };
+    const ld = jsonLd(doc);
+    const metaAuthor = meta('author', 'article:author', 'parsely-author', 'dc.creator', 'twitter:creator');
+    const byline = doc.querySelector('[rel="author"], [itemprop="author"], .byline, .author');
+    const canonical = doc.querySelector('link[rel="canonical"]')?.getAttribute('href');
+    const fields = {
+      title:       meta('og:title', 'twitter:title') || names(ld.headline) || (doc.title || '').trim(),
+      description: meta('og:description', 'description', 'twitter:description') || names(ld.description),
+      author:      (metaAuthor && !/^https?:/.test(metaAuthor) ? metaAuthor : '') || names(ld.author) || (byline ? textOf(byline).slice(0, 100) : ''),
+      published:   meta('article:published_time', 'datePublished', 'date', 'dc.date', 'pubdate') || names(ld.datePublished) || doc.querySelector('time[datetime]')?.getAttribute('datetime') || '',
+      modified:    meta('article:modified_time', 'dateModified', 'og:updated_time') || names(ld.dateModified),
+      siteName:    meta('og:site_name', 'application-name') || names(ld.publisher),
+      canonical:   canonical ? absolute(canonical, base) : meta('og:url'),
+      image:       meta('og:image', 'twitter:image'),
+      type:        meta('og:type') || names(ld['@type']),
+      lang:        doc.documentElement.getAttribute('lang') || ''
+    };
+    return Object.fromEntries(Object.entries(fields).filter(([, v]) => v));
+  }
+
+  function render(roots, { base, live, dropClutter }) {
+    const ctx = { base, live, dropClutter, roots: new Set(roots), code: [] };
+    return tidy(roots.map(el => convert(el, ctx)).join('\n\n'))
+      .replace(/\u0000(\d+)\u0000/g, (_, i) => ctx.code[i]);
+  }
+
+  /**
+   * The readable part of `doc` as Markdown, with its metadata. `live` is for
+   * the page the user sees, where what is not laid out is hidden; `base`
+   * resolves links in parsed documents, whose own address is about:blank.
+   */
+  function page(doc, { maxChars = Infinity, live = false, url = doc.URL, base = doc.baseURI } = {}) {
+    let content = render(findMain(doc, live), { base, live, dropClutter: true });
+    if (content.length > maxChars) content = content.slice(0, maxChars) + '\n[…truncated]';
+    const meta = metadata(doc, base);
+    return { title: meta.title || url, url, metadata: meta, content, contentLength: content.length };
+  }
+
+  /** One element as Markdown, all of it — the user picked it, so nothing inside counts as clutter. */
+  function markdown(el, { live = false, base = el.ownerDocument.baseURI } = {}) {
+    return render([el], { base, live, dropClutter: false });
+  }
+
+  /** Markdown back to the words it shows, for finding a passage of it on the page. */
+  function plainText(md) {
+    return md
+      .replace(/^(```|~~~).*$/gm, '')
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/^\s*(#{1,6}|>|-|\d+\.)\s+/gm, '')
+      .replace(/^\|?[\s|:-]+\|?$/gm, '')
+      .replace(/\||\*\*|\*|~~|`|\\/g, ' ');
+  }
+
+  return { page, markdown, plainText };
+})();
@@ -1,33 +1,189 @@
 // Local-Agent Ollama — background service worker
 // (loaded as module for Chrome compatibility with cached registration)
 
+import { pdfText } from './pdf-text.js';
+
+// ── Settings ──────────────────────────────────────────────────────────────
+
+// Edited on the settings page (settings.html) and stored in chrome.storage.sync
+// under `settings`; anything left blank there falls back to these.
+const SETTINGS_DEFAULTS = {
+  // Generation — null / '' means "let the server decide"
+  temperature: null,
+  numCtx: null,
+  seed: null,
+  keepAlive: '',
+  // Agent
+  maxSteps: 20,
+  settleTimeout: 5000,     // most ms to wait for the page to settle after a click/type/key
+  loadTimeout: 8000,       // ms to wait for a navigation to finish
+  initialTreeChars: 3500,  // page listing sent with the task
+  stepTreeChars: 3000,     // page listing sent after every action
+  pageUpdates: 'diff',     // after an action: 'diff' (only what changed) or 'full' listing
+  agentProtocol: 'auto',   // 'auto', 'tools' or 'text' — how the agent asks for actions
+  agentPlan: 'off',        // 'on': write a plan first and revise it when the agent gets stuck
+  // Pages
+  extractChars: 10000,
+  // Retrieval — off until an embedding model is chosen
+  embedModel: '',
+  retrievalChunks: 6,      // passages sent per question
+  chunkChars: 1200
+};
+
+let settingsCache = null;
+
+async function getSettings() {
+  if (!settingsCache) {
+    const { settings = {} } = await chrome.storage.sync.get('settings');
+    settingsCache = { ...SETTINGS_DEFAULTS, ...settings };
+  }
+  return settingsCache;
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && changes.settings) settingsCache = null;
+});
+
+// ── Site rules ────────────────────────────────────────────────────────────
+//
+// Instructions the user keeps for a site, edited on the settings page and
+// stored in chrome.storage.sync one item per rule ("siteRule:<id>" →
+// { id, domain, instructions }). A rule covers its domain and subdomains and
+// is added to the prompt whenever a tab the model reads is on it.
+
+const SITE_RULE_PREFIX = 'siteRule:';
+let siteRulesCache = null;
+
+async function siteRules() {
+  if (!siteRulesCache) {
+    const all = await chrome.storage.sync.get(null);
+    siteRulesCache = Object.entries(all).filter(([k]) => k.startsWith(SITE_RULE_PREFIX)).map(([, r]) => r);
+  }
+  return siteRulesCache;
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && Object.keys(changes).some(k => k.startsWith(SITE_RULE_PREFIX))) siteRulesCache = null;
+});
+
+/** The rules for the sites of `urls`. */
+async function rulesFor(urls) {
+  const hosts = urls.map(u => { try { return new URL(u).hostname; } catch { return ''; } }).filter(Boolean);
+  if (!hosts.length) return [];
+  return (await siteRules()).filter(r => hosts.some(h => h === r.domain || h.endsWith(`.${r.domain}`)));
+}
+
+const formatRules = rules => rules.map(r => `- On ${r.domain}: ${r.instructions}`).join('\n');
+
+/** The rules for these pages as a system prompt addition, '' when none apply. */
+async function siteNotes(urls) {
+  const rules = await rulesFor(urls);
+  return rules.length ? `\n\nThe user's instructions for these sites:\n${formatRules(rules)}` : '';
+}
+
+/** The URL of the tab the user is looking at. */
+async function activeTabUrl() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  return tab?.url || '';
+}
+
+// ── LLM providers ─────────────────────────────────────────────────────────
+//
+// Each backend is an adapter with the same surface, so the chat handler and
+// the agent loop never deal with a wire format:
+//   models(cfg)      → [{ name }]
+//   ping(cfg)        → true when the server answers
+//   info(cfg, model) → { contextLength, capabilities }   (whatever the server reports; [] = unknown)
+//   chat(cfg, req)   → { content, tool_calls }   req: { model, messages, tools?, format?, onChunk?, signal?, settings? }
+//   embed(cfg, req)  → [vector]                  req: { model, input: [text], signal? }
+// Messages use Ollama's shape; tool calls carry an `id` and an already-parsed
+// `arguments` object whichever server produced them. `format` is a JSON schema
+// the reply must follow. Images ride along as base64 strings in a message's
+// `images`.
+
+const PROVIDER_DEFAULTS = {
+  ollama: { baseUrl: '', apiKey: '' },                       // empty baseUrl = auto-detect on port 11434
+  openai: { baseUrl: 'http://localhost:8080', apiKey: '' }   // llama.cpp server, LM Studio, vLLM…
+};
+
+// Base URLs sync with the rest of the settings; API keys stay in chrome.storage.local
+async function getProvider() {
+  const { provider, providerConfig = {} } = await chrome.storage.sync.get(['provider', 'providerConfig']);
+  const { providerKeys = {} } = await chrome.storage.local.get('providerKeys');
+  const id = PROVIDERS[provider] ? provider : 'ollama';
+  return { id, adapter: PROVIDERS[id], cfg: { ...PROVIDER_DEFAULTS[id], ...providerConfig[id], apiKey: providerKeys[id] || '' } };
+}
+
+/** Moves API keys that older versions kept in the synced providerConfig into local storage. */
+async function migrateProviderKeys() {
+  const { providerConfig } = await chrome.storage.sync.get('providerConfig');
+  if (!providerConfig || !Object.values(providerConfig).some(c => c?.apiKey)) return;
+  const { providerKeys = {} } = await chrome.storage.local.get('providerKeys');
+  for (const [id, c] of Object.entries(providerConfig)) {
+    if (c?.apiKey && !providerKeys[id]) providerKeys[id] = c.apiKey;
+    if (c) delete c.apiKey;
+  }
+  await chrome.storage.local.set({ providerKeys });
+  await chrome.storage.sync.set({ providerConfig });
+}
+
+chrome.runtime.onInstalled.addListener(migrateProviderKeys);
+
+function jsonHeaders(cfg) {
+  return { 'Content-Type': 'application/json', ...(cfg.apiKey ? { Authorization: `Bearer ${cfg.apiKey}` } : {}) };
+}
+
+/** Feeds each complete line of a streamed body to onLine; stops early if onLine returns false or `signal` aborts. */
+async function readLines(body, signal, onLine) {
+  const reader = body.getReader();
+  const dec = new TextDecoder();
+  let buf = '';
+  while (true) {
+    let chunk;
+    try { chunk = await reader.read(); }
+    catch (e) { if (signal?.aborted) return; throw e; }
+    if (chunk.done) break;
+    buf += dec.decode(chunk.value, { stream: true });
+    const lines = buf.split('\n');
+    buf = lines.pop();
+    for (const line of lines) if (line.trim() && onLine(line.trim()) === false) return;
+  }
+  if (buf.trim()) onLine(buf.trim());
+}
+
+function definedOnly(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== null && v !== undefined && v !== ''));
+}
+
+/** Gives every tool call an id and an arguments object (OpenAI sends JSON strings, Ollama sends objects). */
+function normalizeToolCalls(calls) {
+  if (!calls?.length) return undefined;
+  const turn = Date.now().toString(36);
+  return calls.map((tc, i) => {
+    let args = tc.function?.arguments ?? {};
+    if (typeof args === 'string') { try { args = JSON.parse(args || '{}'); } catch { args = {}; } }
+    return { id: tc.id || `call_${turn}_${i}`, function: { name: tc.function?.name, arguments: args } };
+  });
+}
+
+// ── Ollama adapter ────────────────────────────────────────────────────────
+
 // Try localhost first, fall back to 127.0.0.1 (some systems resolve differently)
 let OLLAMA = 'http://localhost:11434';
 
-async function findOllama() {
-  for (const base of ['http://localhost:11434', 'http://127.0.0.1:11434']) {
+async function findOllama(cfg = PROVIDER_DEFAULTS.ollama) {
+  const candidates = cfg.baseUrl ? [cfg.baseUrl.replace(/\/+$/, '')] : ['http://localhost:11434', 'http://127.0.0.1:11434'];
+  for (const base of candidates) {
     try {
-      const r = await fetch(`${base}/api/tags`);
+      const r = await fetch(`${base}/api/tags`, { headers: jsonHeaders(cfg) });
       if (r.ok) { OLLAMA = base; return base; }
     } catch {}
   }
   return null;
 }
 
-// ── Ollama helpers ────────────────────────────────────────────────────────
-
-async function ollamaModels() {
-  const base = await findOllama();
-  if (!base) throw new Error('Ollama not reachable. Make sure it is running:\n  ollama serve\n\nIf it is running, restart it with:\n  OLLAMA_ORIGINS="*" ollama serve');
-  const r = await fetch(`${base}/api/tags`);
-  if (!r.ok) throw new Error(`Ollama ${r.status}`);
-  const d = await r.json();
-  return d.models || [];
-}
-
-async function ollamaPing() {
-  const base = await findOllama();
-  return base !== null;
+function ollamaBase(cfg) {
+  return cfg.baseUrl ? cfg.baseUrl.replace(/\/+$/, '') : OLLAMA;
 }
 
 function ollamaError(status) {
@@ -35,45 +191,861 @@ function ollamaError(status) {
   return `Ollama returned ${status}`;
 }
 
-/** Streaming chat — calls onChunk(token) for each piece, returns full text. */
-async function ollamaChat(model, messages, onChunk) {
-  const r = await fetch(`${OLLAMA}/api/chat`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ model, messages, stream: true })
-  });
-  if (!r.ok) throw new Error(ollamaError(r.status));
+const ollamaProvider = {
+  label: 'Ollama',
+
+  async models(cfg) {
+    const base = await findOllama(cfg);
+    if (!base) throw new Error('Ollama not reachable. Make sure it is running:\n  ollama serve\n\nIf it is running, restart it with:\n  OLLAMA_ORIGINS="*" ollama serve');
+    const r = await fetch(`${base}/api/tags`, { headers: jsonHeaders(cfg) });
+    if (!r.ok) throw new Error(ollamaError(r.status));
+    const d = await r.json();
+    return d.models || [];
+  },
+
+  async ping(cfg) {
+    return (await findOllama(cfg)) !== null;
+  },
+
+  async info(cfg, model) {
+    const r = await fetch(`${ollamaBase(cfg)}/api/show`, { method: 'POST', headers: jsonHeaders(cfg), body: JSON.stringify({ model }) });
+    if (!r.ok) throw new Error(ollamaError(r.status));
+    const d = await r.json();
+    const ctxKey = Object.keys(d.model_info || {}).find(k => k.endsWith('.context_length'));
+    return { contextLength: ctxKey ? d.model_info[ctxKey] : null, capabilities: d.capabilities || [] };
+  },
+
+  async chat(cfg, { model, messages, tools, format, onChunk, signal, settings = SETTINGS_DEFAULTS }) {
+    const stream = !!onChunk;
+    const base = ollamaBase(cfg);
+    const options = definedOnly({ temperature: settings.temperature, num_ctx: settings.numCtx, seed: settings.seed });
+    const r = await fetch(`${base}/api/chat`, {
+      method: 'POST',
+      headers: jsonHeaders(cfg),
+      body: JSON.stringify({
+        model, messages, stream,
+        ...(tools ? { tools } : {}),
+        ...(format ? { format } : {}),
+        ...(Object.keys(options).length ? { options } : {}),
+        ...(settings.keepAlive ? { keep_alive: settings.keepAlive } : {})
+      }),
+      signal
+    });
+    if (!r.ok) throw new Error(ollamaError(r.status));
 
-  const reader = r.body.getReader();
-  const dec = new TextDecoder();
-  let full = '';
+    if (!stream) {
+      const m = (await r.json()).message || {};
+      return { content: m.content || '', tool_calls: normalizeToolCalls(m.tool_calls) };
+    }
 
-  while (true) {
-    const { done, value } = await reader.read();
-    if (done) break;
-    for (const line of dec.decode(value).split('\n')) {
-      if (!line.trim()) continue;
-      try {
-        const d = JSON.parse(line);
-        const token = d.message?.content || '';
-        if (token) { full += token; onChunk?.(token); }
-        if (d.done) return full;
-      } catch {}
+    let full = '';
+    await readLines(r.body, signal, line => {
+      let d;
+      try { d = JSON.parse(line); } catch { return; }
+      if (d.error) throw new Error(d.error);
+      const token = d.message?.content || '';
+      if (token) { full += token; onChunk(token); }
+      if (d.done) return false;
+    });
+    return { content: full };
+  },
+
+  async embed(cfg, { model, input, signal }) {
+    const r = await fetch(`${ollamaBase(cfg)}/api/embed`, {
+      method: 'POST', headers: jsonHeaders(cfg), body: JSON.stringify({ model, input }), signal
+    });
+    if (r.status === 404) throw new Error(`Embedding model "${model}" is not installed. Pull it with:\n  ollama pull ${model}`);
+    if (!r.ok) throw new Error(ollamaError(r.status));
+    return (await r.json()).embeddings || [];
+  }
+};
+
+// ── OpenAI-compatible adapter ─────────────────────────────────────────────
+
+// Accept both "http://host:port" and "http://host:port/v1"
+function openaiBase(cfg) {
+  return (cfg.baseUrl || PROVIDER_DEFAULTS.openai.baseUrl).replace(/\/+$/, '').replace(/\/v1$/, '');
+}
+
+function openaiError(status) {
+  if (status === 401 || status === 403) return `The server rejected the request (${status}).\n\nCheck the API key in the provider settings.`;
+  if (status === 404) return 'The server returned 404.\n\nCheck that the base URL points at an OpenAI-compatible server (one that serves /v1/chat/completions).';
+  return `Server returned ${status}`;
+}
+
+async function openaiFetch(cfg, path, init) {
+  try { return await fetch(`${openaiBase(cfg)}${path}`, init); }
+  catch (e) {
+    if (init?.signal?.aborted) throw e;
+    throw new Error(`Cannot reach ${openaiBase(cfg)}. Make sure the server is running.`);
+  }
+}
+
+function toOpenAIMessage(m) {
+  const out = { role: m.role, content: m.content ?? '' };
+  if (m.images?.length) {
+    out.content = [
+      { type: 'text', text: m.content ?? '' },
+      ...m.images.map(b64 => ({ type: 'image_url', image_url: { url: `data:${imageMime(b64)};base64,${b64}` } }))
+    ];
+  }
+  if (m.tool_calls?.length) {
+    out.tool_calls = m.tool_calls.map(tc => ({
+      id: tc.id, type: 'function',
+      function: { name: tc.function.name, arguments: JSON.stringify(tc.function.arguments ?? {}) }
+    }));
+  }
+  if (m.role === 'tool') out.tool_call_id = m.tool_call_id;
+  return out;
+}
+
+const openaiProvider = {
+  label: 'OpenAI-compatible',
+
+  async models(cfg) {
+    const r = await openaiFetch(cfg, '/v1/models', { headers: jsonHeaders(cfg) });
+    if (!r.ok) throw new Error(openaiError(r.status));
+    const d = await r.json();
+    return (d.data || []).map(m => ({ name: m.id }));
+  },
+
+  async ping(cfg) {
+    try { return (await openaiFetch(cfg, '/v1/models', { headers: jsonHeaders(cfg) })).ok; } catch { return false; }
+  },
+
+  // There is no standard way to ask; vLLM reports max_model_len in its model list
+  async info(cfg, model) {
+    const r = await openaiFetch(cfg, '/v1/models', { headers: jsonHeaders(cfg) });
+    if (!r.ok) return {};
+    const m = ((await r.json()).data || []).find(m => m.id === model);
+    return { contextLength: m?.max_model_len || null, capabilities: [] };
+  },
+
+  async chat(cfg, { model, messages, tools, format, onChunk, signal, settings = SETTINGS_DEFAULTS }) {
+    const stream = !!onChunk;
+    // num_ctx and keep_alive are Ollama-only; the context size is fixed when these servers start
+    const r = await openaiFetch(cfg, '/v1/chat/completions', {
+      method: 'POST',
+      headers: jsonHeaders(cfg),
+      body: JSON.stringify({
+        model, messages: messages.map(toOpenAIMessage), stream,
+        ...(tools ? { tools } : {}),
+        ...(format ? { response_format: { type: 'json_schema', json_schema: { name: 'extraction', schema: format } } } : {}),
+        ...definedOnly({ temperature: settings.temperature, seed: settings.seed })
+      }),
+      signal
+    });
+    if (!r.ok) throw new Error(openaiError(r.status));
+
+    if (!stream) {
+      const m = (await r.json()).choices?.[0]?.message || {};
+      return { content: m.content || '', tool_calls: normalizeToolCalls(m.tool_calls) };
     }
+
+    // Server-sent events: "data: {json}" lines, terminated by "data: [DONE]"
+    let full = '';
+    await readLines(r.body, signal, line => {
+      if (!line.startsWith('data:')) return;
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') return false;
+      let d;
+      try { d = JSON.parse(data); } catch { return; }
+      if (d.error) throw new Error(d.error.message || String(d.error));
+      const token = d.choices?.[0]?.delta?.content || '';
+      if (token) { full += token; onChunk(token); }
+    });
+    return { content: full };
+  },
+
+  async embed(cfg, { model, input, signal }) {
+    const r = await openaiFetch(cfg, '/v1/embeddings', {
+      method: 'POST', headers: jsonHeaders(cfg), body: JSON.stringify({ model, input }), signal
+    });
+    if (!r.ok) throw new Error(openaiError(r.status));
+    return ((await r.json()).data || []).sort((a, b) => a.index - b.index).map(d => d.embedding);
+  }
+};
+
+const PROVIDERS = { ollama: ollamaProvider, openai: openaiProvider };
+
+// ── LLM helpers ───────────────────────────────────────────────────────────
+
+async function llmModels() {
+  const { adapter, cfg } = await getProvider();
+  return adapter.models(cfg);
+}
+
+async function llmPing() {
+  const { id, adapter, cfg } = await getProvider();
+  return { connected: await adapter.ping(cfg), provider: id, label: adapter.label };
+}
+
+const modelInfoCache = new Map(); // "provider:model" -> Promise<{ contextLength, capabilities }>
+
+/** true/false from the model's reported capabilities; null when the server does not say. */
+async function supportsTools(model) {
+  const { capabilities } = await modelInfo(model);
+  return capabilities?.length ? capabilities.includes('tools') : null;
+}
+
+async function modelInfo(model) {
+  const { id, adapter, cfg } = await getProvider();
+  const key = `${id}:${model}`;
+  if (!modelInfoCache.has(key)) {
+    modelInfoCache.set(key, adapter.info(cfg, model).catch(() => { modelInfoCache.delete(key); return {}; }));
   }
-  return full;
+  return modelInfoCache.get(key);
+}
+
+/** Streaming chat — calls onChunk(token) for each piece, returns full text. Aborting `signal` returns the text so far. */
+async function llmChat(model, messages, onChunk, signal, overrides) {
+  const { adapter, cfg } = await getProvider();
+  const settings = { ...await getSettings(), ...overrides };
+  return (await adapter.chat(cfg, { model, messages, onChunk, signal, settings })).content;
 }
 
-/** Non-streaming single call for agent steps. */
-async function ollamaOnce(model, messages) {
-  const r = await fetch(`${OLLAMA}/api/chat`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ model, messages, stream: false })
+/** Non-streaming single call; returns the assistant message { content, tool_calls }. */
+async function llmOnce(model, messages, { tools, format, signal, overrides } = {}) {
+  const { adapter, cfg } = await getProvider();
+  const settings = { ...await getSettings(), ...overrides };
+  return adapter.chat(cfg, { model, messages, tools, format, signal, settings });
+}
+
+/** Embeds each text in `input`; returns one vector per text. */
+async function llmEmbed(model, input, signal) {
+  const { adapter, cfg } = await getProvider();
+  return adapter.embed(cfg, { model, input, signal });
+}
+
+// ── Context budget ────────────────────────────────────────────────────────
+//
+// Token counts are estimates (~4 characters per token for English text) —
+// close enough to keep prompts inside the window, which Ollama otherwise
+// truncates silently from the start, system prompt first. Requests send the
+// planned window as num_ctx so Ollama really allocates it.
+
+const CHARS_PER_TOKEN  = 4;
+const AUTO_CONTEXT_CAP = 8192;  // window used when num_ctx is not set; bigger ones cost a lot of memory
+const SUMMARY_TOKENS   = 300;   // room kept for the summary of dropped history
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+/** The window we plan for: num_ctx if set, else what the server reports, capped. */
+async function contextWindow(model) {
+  const { numCtx } = await getSettings();
+  if (numCtx) return numCtx;
+  const { contextLength } = await modelInfo(model);
+  return Math.min(contextLength || 4096, AUTO_CONTEXT_CAP);
+}
+
+/** Splits a window between reply, fixed prompt parts, history and pages. */
+function planBudget(limit, { system, query, tabCount, images = 0 }) {
+  const reserve = Math.max(512, Math.round(limit * 0.2));           // room for the answer
+  const fixed = estimateTokens(system) + estimateTokens(query) + images * IMAGE_TOKENS + 32;
+  const free = Math.max(0, limit - reserve - fixed);
+  // With pages attached, history may take up to a third; pages get the rest
+  return { limit, reserve, fixed, free, historyShare: tabCount ? Math.round(free / 3) : free };
+}
+
+/** Keeps the newest turns that fit; older ones are returned to be summarized. */
+function fitHistory(history, budget) {
+  const cost = h => estimateTokens(h.text) + 4;
+  const total = history.reduce((n, h) => n + cost(h), 0);
+  if (total <= budget) return { kept: history, dropped: [], tokens: total };
+
+  budget -= SUMMARY_TOKENS;
+  let k = history.length, used = 0;
+  while (k > 0 && used + cost(history[k - 1]) <= budget) used += cost(history[--k]);
+  // Drop in blocks of four so the cached summary survives a few more turns
+  k = Math.min(history.length, Math.ceil(k / 4) * 4);
+  const kept = history.slice(k);
+  return { kept, dropped: history.slice(0, k), tokens: kept.reduce((n, h) => n + cost(h), 0) + SUMMARY_TOKENS };
+}
+
+function pageShare(plan, historyTokens, tabCount) {
+  return Math.max(256, Math.floor((plan.free - historyTokens) / Math.max(1, tabCount)));
+}
+
+function hashText(s) {
+  let h = 0;
+  for (let i = 0; i < s.length; i++) h = (h * 31 + s.charCodeAt(i)) | 0;
+  return `${(h >>> 0).toString(36)}.${s.length}`;
+}
+
+const summaryCache = new Map(); // hash of dropped turns -> summary
+
+async function summarizeTurns(model, turns, limit, signal) {
+  const transcript = turns.map(t => `${t.role === 'user' ? 'User' : 'Assistant'}: ${t.text}`).join('\n\n');
+  const key = hashText(transcript);
+  if (summaryCache.has(key)) return summaryCache.get(key);
+
+  // The transcript itself must fit too — keep its most recent part
+  const room = Math.floor(limit * 0.6) * CHARS_PER_TOKEN;
+  const msg = await llmOnce(model, [
+    { role: 'system', content: 'Summarize the earlier part of a conversation in under 150 words. Keep names, numbers, decisions and open questions. Reply with the summary only.' },
+    { role: 'user', content: transcript.slice(-room) }
+  ], { signal, overrides: { numCtx: limit } });
+  const summary = msg.content.replace(/<think>[\s\S]*?<\/think>/g, '').trim();
+
+  summaryCache.set(key, summary);
+  if (summaryCache.size > 20) summaryCache.delete(summaryCache.keys().next().value);
+  return summary;
+}
+
+// Full-page sizes for the meter, so typing does not re-extract tabs on every keystroke
+const pageSizeCache = new Map(); // tabId -> { url, tokens, at }
+
+async function pageTokens(tab) {
+  const hit = pageSizeCache.get(tab.id);
+  if (hit && hit.url === tab.url && Date.now() - hit.at < 30000) return hit.tokens;
+  const tokens = estimateTokens(await extractTab(tab.id, Infinity));
+  pageSizeCache.set(tab.id, { url: tab.url, tokens, at: Date.now() });
+  return tokens;
+}
+
+const CHAT_SYSTEM  = 'You are a helpful assistant.';
+const PAGES_RULE   = 'Use only the page content provided to answer. Do not invent information not found in the content.';
+const PAGES_SYSTEM = `${CHAT_SYSTEM} ${PAGES_RULE}`;
+
+/** The chat system prompt: the user's own for this message if given, still held to the pages when there are some. */
+function chatSystem(pageCount, instructions) {
+  if (!instructions) return pageCount ? PAGES_SYSTEM : CHAT_SYSTEM;
+  return pageCount ? `${instructions}\n\n${PAGES_RULE}` : instructions;
+}
+
+/** What the next chat message would cost, for the meter under the input. */
+async function estimateContext({ query, model, mentionedTabs = [], library = null, snippets = [], images = 0, history = [], system: instructions }) {
+  const limit = await contextWindow(model);
+  const pageCount = mentionedTabs.length + (library ? 1 : 0);
+  const system = chatSystem(pageCount, instructions) + await siteNotes([...mentionedTabs.map(t => t.url), await activeTabUrl()]);
+  const plan = planBudget(limit, { system, query: (snippets.length ? snippetContext(snippets) : '') + query, tabCount: pageCount, images });
+  const fit = fitHistory(history.map(withSnippets), plan.historyShare);
+
+  let pages = 0, trimmed = false;
+  if (pageCount) {
+    const share = pageShare(plan, fit.tokens, pageCount);
+    for (const t of mentionedTabs) {
+      const full = await pageTokens(t);
+      pages += Math.min(full, share);
+      if (full > share) trimmed = true;
+    }
+    // Library matches are not known until sending; count the most they can take
+    if (library) {
+      const { retrievalChunks, chunkChars } = await getSettings();
+      pages += Math.min(share, Math.ceil(retrievalChunks * chunkChars / CHARS_PER_TOKEN));
+    }
+  }
+  return {
+    limit, reserve: plan.reserve,
+    used: plan.fixed + fit.tokens + pages,
+    parts: { prompt: plan.fixed, history: fit.tokens, pages },
+    summarized: fit.dropped.length, trimmed,
+    retrieval: trimmed && !!(await getSettings()).embedModel
+  };
+}
+
+// ── Vision ────────────────────────────────────────────────────────────────
+//
+// Screenshots and the user's own images are sent as base64 in a message's
+// `images`, to models that can see. Screenshots are scaled down first: a
+// full-resolution capture costs far more tokens than it adds detail.
+
+const IMAGE_TOKENS        = 800;   // rough prompt cost of one image
+const SCREENSHOT_MAX_SIDE = 1280;
+
+/** true or false from Ollama's capabilities; null when the server does not say (OpenAI-compatible servers). */
+async function supportsVision(model) {
+  const { capabilities } = await modelInfo(model);
+  return capabilities?.length ? capabilities.includes('vision') : null;
+}
+
+function imageMime(b64) {
+  if (b64.startsWith('/9j/')) return 'image/jpeg';
+  if (b64.startsWith('R0lG')) return 'image/gif';
+  if (b64.startsWith('UklG')) return 'image/webp';
+  return 'image/png';
+}
+
+function base64ToBytes(b64) {
+  const bin = atob(b64);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+function bytesToBase64(bytes) {
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+}
+
+/** Scales a base64 image down to fit `maxSide` pixels; returns base64 JPEG (or the input if already small). */
+async function shrinkImage(b64, maxSide) {
+  const bitmap = await createImageBitmap(new Blob([base64ToBytes(b64)], { type: imageMime(b64) }));
+  const scale = Math.min(1, maxSide / Math.max(bitmap.width, bitmap.height));
+  if (scale === 1) { bitmap.close(); return b64; }
+  const canvas = new OffscreenCanvas(Math.round(bitmap.width * scale), Math.round(bitmap.height * scale));
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.8 });
+  return bytesToBase64(new Uint8Array(await blob.arrayBuffer()));
+}
+
+/**
+ * Screenshot of a tab as base64 JPEG. Only the visible tab of a window can be
+ * captured, so it is brought to the front. With `marks`, the ref labels are
+ * drawn for the shot so a vision model can match refs to what it sees.
+ */
+async function captureTab(tabId, { marks = false } = {}) {
+  let tab = await chrome.tabs.get(tabId);
+  if (!tab.active) {
+    tab = await chrome.tabs.update(tabId, { active: true });
+    await sleep(300); // let it paint
+  }
+  const before = marks ? await setTabMarks(tabId, true) : new Map();
+  if (before.size) await sleep(100);
+  let dataUrl;
+  try { dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'jpeg', quality: 85 }); }
+  catch (e) { throw new Error(`Cannot take a screenshot of this page (${e.message})`); }
+  finally {
+    for (const [frameId, was] of before) chrome.tabs.sendMessage(tabId, { action: 'setMarks', on: was }, { frameId }).catch(() => {});
+  }
+  return shrinkImage(dataUrl.replace(/^data:[^,]*,/, ''), SCREENSHOT_MAX_SIDE);
+}
+
+/** Turns the ref labels on or off in each frame of a tab; resolves to frameId → whether they were on. */
+async function setTabMarks(tabId, on) {
+  const frames = await chrome.webNavigation.getAllFrames({ tabId }).catch(() => null) || [{ frameId: 0 }];
+  const was = new Map();
+  await Promise.all(frames.map(({ frameId }) =>
+    chrome.tabs.sendMessage(tabId, { action: 'setMarks', on }, { frameId })
+      .then(res => { if (res) was.set(frameId, res.was); })
+      .catch(() => {})));
+  return was;
+}
+
+// ── Local database ────────────────────────────────────────────────────────
+//
+// IndexedDB, so large data stays out of chrome.storage. Bump DB_VERSION and
+// add a step to the upgrade when a store is added.
+
+const DB_NAME    = 'local-agent';
+const DB_VERSION = 2;
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = e => {
+        const db = req.result;
+        if (e.oldVersion < 1) {
+          // One record per page version and embedding model: { url, hash, model, chunks: [{ text, vector }], at }
+          db.createObjectStore('embeddings', { keyPath: ['url', 'hash', 'model'] }).createIndex('url', 'url');
+        }
+        if (e.oldVersion < 2) {
+          // Saved pages: { id, title, url, text, tags, savedAt }
+          db.createObjectStore('library', { keyPath: 'id' }).createIndex('url', 'url', { unique: true });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => { dbPromise = null; reject(req.error); };
+    });
+  }
+  return dbPromise;
+}
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function idbDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = tx.onabort = () => reject(tx.error);
   });
-  if (!r.ok) throw new Error(ollamaError(r.status));
-  const d = await r.json();
-  return d.message?.content?.trim() || '';
+}
+
+// ── Retrieval ─────────────────────────────────────────────────────────────
+//
+// With an embedding model set, @tab pages that do not fit their share of the
+// window are split into chunks and embedded once per page version; each
+// question then gets the closest chunks, numbered so the answer can cite them.
+
+const EMBED_BATCH = 32;
+
+const KEYWORD_WEIGHT = 0.3;  // how much matching query words adds to a passage's similarity score
+
+const CITATION_RULES = '\n\nNumbered passages like [2] are excerpts from the user\'s pages. Cite the passages you use by number in square brackets, like [2]. If they do not contain the answer, say so.';
+
+const STOPWORDS = new Set('the a an and or of to in on for is are was were be with what which who how does do did this that it as at by from about'.split(' '));
+
+function queryTerms(text) {
+  return [...new Set(text.toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || [])].filter(t => !STOPWORDS.has(t));
+}
+
+/** Share of the query terms that occur in `text`, 0–1. */
+function keywordScore(terms, text) {
+  if (!terms.length) return 0;
+  const lower = text.toLowerCase();
+  return terms.filter(t => lower.includes(t)).length / terms.length;
+}
+
+/** The question without its @tab, @library and #collection mentions — what passages are matched against. */
+function stripMentions(query) {
+  return query.replace(/@"[^"]+"|@library\b|#[\w-]+/g, ' ').replace(/\s+/g, ' ').trim() || query;
+}
+
+/** Splits page text into chunks of up to `size` characters, on line breaks where possible. */
+function chunkText(text, size) {
+  const chunks = [];
+  let cur = '';
+  for (let line of text.split(/\n+/)) {
+    line = line.trim();
+    if (!line) continue;
+    if (cur && cur.length + line.length + 1 > size) { chunks.push(cur); cur = ''; }
+    // A single line longer than a chunk is cut at sentence ends
+    while (line.length > size) {
+      const stop = line.lastIndexOf('. ', size);
+      const at = stop > size / 2 ? stop + 1 : size;
+      chunks.push(line.slice(0, at).trim());
+      line = line.slice(at).trim();
+    }
+    cur = cur ? `${cur}\n${line}` : line;
+  }
+  if (cur) chunks.push(cur);
+  return chunks;
+}
+
+function cosine(a, b) {
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < a.length; i++) { dot += a[i] * b[i]; na += a[i] * a[i]; nb += b[i] * b[i]; }
+  return dot / (Math.sqrt(na * nb) || 1);
+}
+
+/** Chunks of a page with their vectors — from IndexedDB when this version of the page was embedded before. */
+async function pageChunks(url, text, signal) {
+  const { embedModel: model, chunkChars } = await getSettings();
+  const hash = `${hashText(text)}.${chunkChars}`;
+  const db = await openDb();
+  const hit = await idbRequest(db.transaction('embeddings').objectStore('embeddings').get([url, hash, model]));
+  if (hit) return hit.chunks;
+
+  const texts = chunkText(text, chunkChars);
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += EMBED_BATCH) {
+    vectors.push(...await llmEmbed(model, texts.slice(i, i + EMBED_BATCH), signal));
+  }
+  if (vectors.length !== texts.length) throw new Error(`The embedding model "${model}" returned ${vectors.length} vectors for ${texts.length} passages.`);
+  const chunks = texts.map((t, i) => ({ text: t, vector: Float32Array.from(vectors[i]) }));
+
+  // Keep one version per page and model
+  const tx = db.transaction('embeddings', 'readwrite');
+  const store = tx.objectStore('embeddings');
+  store.index('url').openCursor(IDBKeyRange.only(url)).onsuccess = e => {
+    const cur = e.target.result;
+    if (!cur) return;
+    if (cur.value.model === model) cur.delete();
+    cur.continue();
+  };
+  store.put({ url, hash, model, chunks, at: Date.now() });
+  await idbDone(tx);
+  return chunks;
+}
+
+/** The best-scoring passages — at most `retrievalChunks` and `maxChars` in total — back in page order. */
+async function pickPassages(scored, maxChars) {
+  const { retrievalChunks } = await getSettings();
+  scored.sort((a, b) => b.score - a.score);
+  const picked = [];
+  let used = 0;
+  for (const s of scored) {
+    if (picked.length >= retrievalChunks) break;
+    if (picked.length && used + s.text.length > maxChars) continue;
+    picked.push(s);
+    used += s.text.length;
+  }
+  return picked.sort((a, b) => a.page - b.page || a.index - b.index);
+}
+
+/** The chunks of `tabs` (whose extracted text is `pages`) closest to `question`. Numbered by the caller. */
+async function retrievePassages(question, tabs, pages, maxChars, signal) {
+  const { embedModel } = await getSettings();
+  const [qv] = await llmEmbed(embedModel, [question], signal);
+  const terms = queryTerms(question);
+
+  const scored = [];
+  for (let p = 0; p < tabs.length; p++) {
+    // Drop the Title/URL header extractTab puts in front of the text
+    const body = pages[p].replace(PAGE_HEADER, '');
+    const chunks = await pageChunks(tabs[p].url, body, signal);
+    chunks.forEach((c, i) => scored.push({
+      page: p, index: i, tabId: tabs[p].id, title: tabs[p].title, url: tabs[p].url, text: c.text,
+      score: cosine(qv, c.vector) + KEYWORD_WEIGHT * keywordScore(terms, c.text)
+    }));
+  }
+  return (await pickPassages(scored, maxChars)).map(({ tabId, title, url, text }) => ({ tabId, title, url, text }));
+}
+
+/** Switches to the tab a cited passage came from (reopening it if closed) and highlights the passage. */
+async function showSource({ tabId, url, text }) {
+  // Library passages have no tab; find one showing the page, or open it
+  let tab = tabId ? await chrome.tabs.get(tabId).catch(() => null) : null;
+  if (!tab || tab.url !== url) tab = (await chrome.tabs.query({})).find(t => t.url === url);
+  if (!tab) {
+    tab = await chrome.tabs.create({ url });
+    await waitLoad(tab.id);
+  }
+  await chrome.tabs.update(tab.id, { active: true });
+  await chrome.windows.update(tab.windowId, { focused: true });
+
+  // Injected from here rather than by the page's content script so page CSP cannot block it
+  await chrome.scripting.insertCSS({
+    target: { tabId: tab.id },
+    css: '::highlight(local-agent-passage) { background-color: rgba(250, 204, 21, .55); color: inherit; }'
+  }).catch(() => {});
+  const res = await chrome.tabs.sendMessage(tab.id, { action: 'highlightText', text }, { frameId: 0 }).catch(() => null);
+  return !!res?.found;
+}
+
+// ── Library ───────────────────────────────────────────────────────────────
+//
+// Pages saved for later, in the `library` store. A chat message with @library
+// searches all of them; #name searches the ones tagged "name" (a collection).
+
+function normalizeTags(tags = []) {
+  return [...new Set(tags.map(t => String(t).trim().toLowerCase().replace(/^#/, '').replace(/[^\p{L}\p{N}_-]+/gu, '-')).filter(Boolean))];
+}
+
+async function libraryDocs() {
+  const db = await openDb();
+  return idbRequest(db.transaction('library').objectStore('library').getAll());
+}
+
+/** Saved pages without their text, newest first; `query` matches title, URL, tags and text. */
+async function libraryList({ query = '', tag = '' } = {}) {
+  const q = query.trim().toLowerCase();
+  return (await libraryDocs())
+    .filter(d => !tag || d.tags.includes(tag))
+    .filter(d => !q || [d.title, d.url, d.tags.join(' '), d.text].some(s => s.toLowerCase().includes(q)))
+    .sort((a, b) => b.savedAt - a.savedAt)
+    .map(({ text, ...d }) => ({ ...d, chars: text.length }));
+}
+
+async function libraryTags() {
+  return [...new Set((await libraryDocs()).flatMap(d => d.tags))].sort();
+}
+
+/** Saves (or re-saves) a tab's extracted text; saving a URL twice updates the earlier copy. */
+async function librarySave({ tabId, tags = [] }) {
+  const tab = await chrome.tabs.get(tabId);
+  const extracted = await extractTab(tabId, Infinity);
+  if (/^\[[^\]]+\]$/.test(extracted)) throw new Error(extracted.slice(1, -1));
+  const text = extracted.replace(PAGE_HEADER, '');
+
+  const db = await openDb();
+  const prev = await idbRequest(db.transaction('library').objectStore('library').index('url').get(tab.url));
+  const doc = {
+    id: prev?.id || `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    title: tab.title || tab.url, url: tab.url, text,
+    tags: normalizeTags([...(prev?.tags || []), ...tags]),
+    savedAt: Date.now()
+  };
+  await idbRequest(db.transaction('library', 'readwrite').objectStore('library').put(doc));
+
+  // Embed now so the first @library question does not wait for it
+  if ((await getSettings()).embedModel) pageChunks(doc.url, doc.text).catch(() => {});
+  return { id: doc.id, updated: !!prev };
+}
+
+async function libraryUpdate({ id, title, tags }) {
+  const db = await openDb();
+  const store = db.transaction('library', 'readwrite').objectStore('library');
+  const doc = await idbRequest(store.get(id));
+  if (!doc) throw new Error('That page is no longer in the library');
+  if (title?.trim()) doc.title = title.trim();
+  if (tags) doc.tags = normalizeTags(tags);
+  await idbRequest(store.put(doc));
+}
+
+async function libraryDelete({ id }) {
+  const db = await openDb();
+  const doc = await idbRequest(db.transaction('library').objectStore('library').get(id));
+  if (!doc) return;
+  const tx = db.transaction(['library', 'embeddings'], 'readwrite');
+  tx.objectStore('library').delete(id);
+  tx.objectStore('embeddings').index('url').openCursor(IDBKeyRange.only(doc.url)).onsuccess = e => {
+    const cur = e.target.result;
+    if (cur) { cur.delete(); cur.continue(); }
+  };
+  await idbDone(tx);
+}
+
+/** The saved pages with `ids` (all when omitted) as a shareable JSON document. */
+async function libraryExport({ ids } = {}) {
+  const docs = (await libraryDocs()).filter(d => !ids || ids.includes(d.id));
+  return { format: 'local-agent-library', version: 1, exported: new Date().toISOString(), documents: docs.map(({ id, ...d }) => d) };
+}
+
+/** Adds the pages of an exported library; ones already saved (same URL) are replaced and keep their tags. */
+async function libraryImport({ data }) {
+  const docs = data?.format === 'local-agent-library' ? data.documents : null;
+  if (!Array.isArray(docs)) throw new Error('Not a Local-Agent library export');
+
+  const db = await openDb();
+  const existing = new Map((await libraryDocs()).map(d => [d.url, d]));
+  const tx = db.transaction('library', 'readwrite');
+  const store = tx.objectStore('library');
+  const imported = new Set();
+  for (const d of docs) {
+    if (typeof d?.url !== 'string' || typeof d.text !== 'string') continue;
+    // Merged collections list a page more than once: later copies update the first
+    const prev = existing.get(d.url);
+    const entry = {
+      id: prev?.id || `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      title: String(d.title || d.url), url: d.url, text: d.text,
+      tags: normalizeTags([...(prev?.tags || []), ...(Array.isArray(d.tags) ? d.tags : [])]),
+      savedAt: Number(d.savedAt) || Date.now()
+    };
+    store.put(entry);
+    existing.set(d.url, entry);
+    imported.add(d.url);
+  }
+  await idbDone(tx);
+  return imported.size;
+}
+
+/**
+ * Passages from saved pages (only those tagged with one of `tags`, if any) for
+ * `question`: by embedding similarity plus keyword matches when an embedding
+ * model is set, by keywords alone otherwise.
+ */
+async function searchLibrary(question, tags, maxChars, signal) {
+  const { embedModel, chunkChars } = await getSettings();
+  const docs = (await libraryDocs()).filter(d => !tags.length || d.tags.some(t => tags.includes(t)));
+  if (!docs.length) return [];
+
+  const terms = queryTerms(question);
+  const qv = embedModel ? (await llmEmbed(embedModel, [question], signal))[0] : null;
+  const scored = [];
+  for (let p = 0; p < docs.length; p++) {
+    const d = docs[p];
+    const chunks = qv ? await pageChunks(d.url, d.text, signal) : chunkText(d.text, chunkChars).map(text => ({ text }));
+    chunks.forEach((c, i) => {
+      const kw = keywordScore(terms, `${d.title}\n${c.text}`);
+      const score = (qv ? cosine(qv, c.vector) : 0) + KEYWORD_WEIGHT * kw;
+      if (score > 0) scored.push({ page: p, index: i, title: d.title, url: d.url, text: c.text, score });
+    });
+  }
+  return (await pickPassages(scored, maxChars)).map(({ title, url, text }) => ({ title, url, text, library: true }));
+}
+
+// ── Structured extraction ─────────────────────────────────────────────────
+//
+// Pulls rows of data out of a page into JSON that follows a schema: the page's
+// tables and repeated items (from the content script) and its text go to the
+// model with `format` set, so the reply is valid JSON of that shape.
+
+const FIELD_TYPES = ['string', 'number', 'integer', 'boolean'];
+
+const EXTRACT_SYSTEM = 'You extract data from web pages into JSON. Fill the schema with values copied from the page — look at the tables and lists first, then the text. Include every matching item on the page, in page order. Use null for values the page does not give. Never invent items or values.';
+
+/** "name, price:number, url" → schema for `{ items: [{ name, price, url }] }`. */
+function fieldsToSchema(fields) {
+  const properties = {};
+  for (const f of fields.split(/[,\n]+/)) {
+    const [name, type = 'string'] = f.split(':').map(s => s.trim());
+    if (name) properties[name] = { type: [FIELD_TYPES.includes(type) ? type : 'string', 'null'] };
+  }
+  if (!Object.keys(properties).length) throw new Error('List at least one field, e.g. "name, price:number, url"');
+  return {
+    type: 'object',
+    properties: { items: { type: 'array', items: { type: 'object', properties, required: Object.keys(properties) } } },
+    required: ['items']
+  };
+}
+
+/** A JSON schema as given (text starting with "{"), or built from a field list. */
+function parseSchema(schema) {
+  if (typeof schema !== 'string') return schema;
+  const text = schema.trim();
+  if (!text.startsWith('{')) return fieldsToSchema(text);
+  try { return JSON.parse(text); }
+  catch (e) { throw new Error(`The schema is not valid JSON: ${e.message}`); }
+}
+
+/** The list of records in an extraction result — the result itself, or its first array of objects. */
+function rowsOf(data) {
+  if (Array.isArray(data)) return data;
+  if (data && typeof data === 'object') {
+    const list = Object.values(data).find(v => Array.isArray(v) && v.every(r => r && typeof r === 'object'));
+    return list || [data];
+  }
+  return [{ value: data }];
+}
+
+async function pageStructure(tabId, maxChars) {
+  try {
+    const res = await chrome.tabs.sendMessage(tabId, { action: 'extractStructure', maxChars }, { frameId: 0 });
+    if (res?.success) return res.structure;
+  } catch {}
+  return '';
+}
+
+/** Returns { data, rows } — the JSON the model produced and the records in it. */
+async function extractStructured({ tabId, schema, instructions = '', model, signal }) {
+  const format = parseSchema(schema);
+  const limit = await contextWindow(model);
+  // JSON replies are long — keep a third of the window for the answer
+  const room = Math.max(2000, (limit - Math.round(limit / 3) - estimateTokens(JSON.stringify(format)) - 200) * CHARS_PER_TOKEN);
+  const structure = await pageStructure(tabId, Math.floor(room * 0.6));
+  const text = await extractTab(tabId, Math.max(1000, room - structure.length));
+
+  const msg = await llmOnce(model, [
+    { role: 'system', content: EXTRACT_SYSTEM },
+    { role: 'user', content: `${instructions ? `What to extract: ${instructions}\n\n` : ''}JSON schema:\n${JSON.stringify(format)}\n\nTABLES AND LISTS ON THE PAGE:\n${structure || '(none found)'}\n\nPAGE TEXT:\n${text}` }
+  ], { format, signal, overrides: { numCtx: limit, temperature: 0 } });
+
+  let data;
+  try { data = JSON.parse(msg.content.replace(/<think>[\s\S]*?<\/think>/g, '').trim()); }
+  catch { throw new Error('The model did not return valid JSON. Try fewer fields or a larger model.'); }
+  return { data, rows: rowsOf(data) };
+}
+
+async function handleExtract(data) {
+  const signal = startRun(data.messageId);
+  try {
+    return await extractStructured({ ...data, signal });
+  } catch (e) {
+    throw signal.aborted ? new Error('Extraction stopped') : e;
+  } finally {
+    endRun(data.messageId);
+  }
+}
+
+// ── Cancellation ──────────────────────────────────────────────────────────
+
+// One AbortController per running chat stream or agent task, keyed by messageId
+const runs = {};
+
+function startRun(messageId) {
+  const ctrl = new AbortController();
+  runs[messageId] = ctrl;
+  return ctrl.signal;
+}
+
+function endRun(messageId) { delete runs[messageId]; }
+
+function cancelRun(messageId) {
+  const ctrl = runs[messageId];
+  if (!ctrl) return false;
+  ctrl.abort();
+  return true;
 }
 
 // ── Tab helpers ───────────────────────────────────────────────────────────
@@ -83,7 +1055,45 @@ async function getAllTabs() {
   return tabs.map(t => ({ id: t.id, title: t.title, url: t.url, active: t.active, favIconUrl: t.favIconUrl || '' }));
 }
 
-async function extractTab(tabId) {
+const PAGE_HEADER = /^Title: .*\nURL: .*\n(?:[\w ]+: .*\n)*\n/;
+
+/** A page as the models read it: title, address and what else is known about it, then its Markdown. */
+function formatPage({ title, url, extractor, metadata = {}, content }) {
+  const about = [
+    `Title: ${title}`,
+    `URL: ${url}`,
+    extractor && `Extractor: ${extractor}`,
+    metadata.author && `Author: ${metadata.author}`,
+    metadata.published && `Published: ${metadata.published}`,
+    metadata.modified && metadata.modified !== metadata.published && `Updated: ${metadata.modified}`,
+    metadata.siteName && `Site: ${metadata.siteName}`,
+    metadata.canonical && metadata.canonical !== url && `Canonical URL: ${metadata.canonical}`,
+    metadata.description && `Description: ${metadata.description}`
+  ].filter(Boolean).map(line => line.replace(/\s+/g, ' '));
+  return `${about.join('\n')}\n\n${content}`;
+}
+
+// The service worker has no DOM, so fetched pages are read in an offscreen
+// document that runs readability.js, like the content script does.
+const OFFSCREEN_URL = 'offscreen.html';
+let offscreenOpening = null;
+
+async function readHtml(html, url, maxChars) {
+  if (!await chrome.offscreen.hasDocument()) {
+    offscreenOpening ??= chrome.offscreen.createDocument({
+      url: OFFSCREEN_URL,
+      reasons: ['DOM_PARSER'],
+      justification: 'Extract the readable content of pages fetched in the background'
+    }).finally(() => { offscreenOpening = null; });
+    await offscreenOpening;
+  }
+  const res = await chrome.runtime.sendMessage({ action: 'readHtml', html, url, maxChars });
+  if (!res?.success) throw new Error(res?.error || 'Could not read the page');
+  return res.data;
+}
+
+/** Page text for the model; `maxChars` defaults to the "page text limit" setting. */
+async function extractTab(tabId, maxChars) {
   let tab;
   try { tab = await chrome.tabs.get(tabId); } catch { return '[Tab not found]'; }
 
@@ -91,76 +1101,306 @@ async function extractTab(tabId) {
   if (!url || url.startsWith('chrome://') || url.startsWith('chrome-extension://') || url.startsWith('about:') || url.startsWith('data:'))
     return '[Cannot access this page]';
 
+  // Infinity ("whole page") would arrive as null — messages and script args are JSON
+  const extractChars = Math.min(maxChars ?? (await getSettings()).extractChars, Number.MAX_SAFE_INTEGER);
+
+  // PDFs, videos and plain files have their own readers; everything else is HTML
+  const source = await sourceType(tab);
+  let note = '';
+  if (source !== 'html') {
+    try {
+      const data = await readSource(tab, source);
+      if (data) return formatPage({ ...data, content: clip(data.content, extractChars) });
+    } catch (e) {
+      if (source === 'pdf') return `[Could not read this PDF: ${e.message}]`;
+    }
+    if (source === 'video') note = ' — no transcript found';
+  }
+
   // Try content script first
   try {
-    const res = await chrome.tabs.sendMessage(tabId, { action: 'extractContent' });
-    if (res?.success && res.data?.content?.length > 200)
-      return `Title: ${res.data.title}\nURL: ${res.data.url}\n\n${res.data.content}`;
+    const res = await chrome.tabs.sendMessage(tabId, { action: 'extractContent', maxChars: extractChars }, { frameId: 0 });
+    if (res?.success && res.data?.content?.length > 200) return formatPage({ ...res.data, extractor: `Readable HTML${note}` });
   } catch {}
 
-  // Fallback: inject extraction script directly (works even if content script not loaded)
+  // Fallback: inject the extractor directly (works even if content script not loaded)
   try {
+    await chrome.scripting.executeScript({ target: { tabId }, files: ['readability.js'] });
     const results = await chrome.scripting.executeScript({
       target: { tabId },
-      func: () => {
-        const selectors = ['article','main','[role="main"]','.article-body','.article-content','.post-content','#article-body','#main-content','#content'];
-        let el = null;
-        for (const s of selectors) { el = document.querySelector(s); if (el) break; }
-        if (!el) el = document.body;
-        let content = (el.innerText || el.textContent || '')
-          .replace(/\t/g,' ').replace(/ {2,}/g,' ').replace(/\n{3,}/g,'\n\n').trim();
-        if (content.length > 10000) content = content.slice(0, 10000) + '\n[…truncated]';
-        return { title: document.title, url: location.href, content };
-      }
+      args: [extractChars],
+      func: maxChars => readable.page(document, { maxChars, live: true })
     });
     const data = results?.[0]?.result;
-    if (data?.content?.length > 200)
-      return `Title: ${data.title}\nURL: ${data.url}\n\n${data.content}`;
+    if (data?.content?.length > 200) return formatPage({ ...data, extractor: `Readable HTML${note}` });
   } catch {}
 
-  // Last fallback: fetch directly
+  // Last fallback: fetch directly and read it with the same extractor
   try {
     const res = await fetch(url);
     if (!res.ok) return '[Could not fetch page]';
-    let html = await res.text();
-    html = html
-      .replace(/<script[\s\S]*?<\/script>/gi, '')
-      .replace(/<style[\s\S]*?<\/style>/gi, '')
-      .replace(/<nav[\s\S]*?<\/nav>/gi, '')
-      .replace(/<header[\s\S]*?<\/header>/gi, '')
-      .replace(/<footer[\s\S]*?<\/footer>/gi, '')
-      .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, '\n$2\n')
-      .replace(/<p[^>]*>([\s\S]*?)<\/p>/gi, '\n$1\n')
-      .replace(/<li[^>]*>([\s\S]*?)<\/li>/gi, '\n• $1')
-      .replace(/<br\s*\/?>/gi, '\n')
-      .replace(/<[^>]+>/g, '')
-      .replace(/&nbsp;/g,' ').replace(/&amp;/g,'&').replace(/&lt;/g,'<').replace(/&gt;/g,'>').replace(/&quot;/g,'"')
-      .replace(/\n{3,}/g, '\n\n').trim();
-    if (html.length > 8000) html = html.slice(0, 8000) + '\n[…truncated]';
-    if (html.length > 200) return `Title: ${tab.title}\nURL: ${url}\n\n${html}`;
+    const data = await readHtml(await res.text(), url, extractChars);
+    if (data?.content?.length > 200) return formatPage({ ...data, extractor: `Readable HTML (fetched copy)${note}` });
   } catch {}
 
   return '[Could not extract page content]';
 }
 
+const clip = (text, maxChars) => text.length > maxChars ? text.slice(0, maxChars) + '\n[…truncated]' : text;
+
+// ── Source extractors ─────────────────────────────────────────────────────
+// Tabs that are not web pages get their own readers. PDFs are fetched and
+// parsed here by pdf-text.js; video pages give the transcript from one of
+// their caption tracks; plain text, JSON and Markdown files come through as
+// they are. Each result names its reader on the "Extractor:" line.
+
+const TEXT_TYPES = /^(text\/(plain|markdown|x-markdown|csv)|application\/(json|ld\+json|x-ndjson))$/;
+const PDF_PATH   = /\.pdf$/i;
+const VIDEO_PAGE = /^https:\/\/(www\.|m\.)?youtube\.com\/(watch|live\/)/;
+const VIDEO_PAGE_TEXT = 1500; // a captioned video is the page when the page says little more than this
+
+const SOURCE_CACHE_MS   = 5 * 60 * 1000; // the agent and the context meter read the same PDF again and again
+const SOURCE_CACHE_SIZE = 4;
+const sourceCache = new Map(); // url -> { at, data }, whole (unclipped) results
+
+const TRANSCRIPT_PARAGRAPH_S = 30;
+
+/** 'pdf', 'video', 'text' or 'html', from what the tab reports as its content type. */
+async function sourceType(tab) {
+  if (VIDEO_PAGE.test(tab.url)) return 'video';
+  let type = '';
+  try {
+    // An article with a captioned clip in it is still read as an article
+    const [{ result }] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      args: [VIDEO_PAGE_TEXT],
+      func: maxText => ({
+        type: document.contentType,
+        videoPage: !!document.querySelector('video track[src]') && (document.body?.innerText || '').trim().length <= maxText
+      })
+    });
+    if (result.videoPage) return 'video';
+    type = result.type;
+  } catch {
+    // Chrome's PDF viewer and some file tabs can't be scripted — ask the server
+    try { type = (await fetch(tab.url, { method: 'HEAD' })).headers.get('content-type')?.split(';')[0].trim() || ''; } catch {}
+    if (!type && PDF_PATH.test(new URL(tab.url).pathname)) return 'pdf';
+  }
+  if (type === 'application/pdf') return 'pdf';
+  if (TEXT_TYPES.test(type)) return 'text';
+  return 'html';
+}
+
+const SOURCE_READERS = { pdf: extractPdf, video: extractVideo, text: extractText };
+
+/** A tab's content as `{ title, url, extractor, metadata, content }`, or null when its reader found none. */
+async function readSource(tab, source) {
+  if (source === 'text') return extractText(tab); // cheap, and log files change
+  const hit = sourceCache.get(tab.url);
+  if (hit && Date.now() - hit.at < SOURCE_CACHE_MS) return hit.data;
+  const data = await SOURCE_READERS[source](tab);
+  sourceCache.delete(tab.url);
+  sourceCache.set(tab.url, { at: Date.now(), data });
+  if (sourceCache.size > SOURCE_CACHE_SIZE) sourceCache.delete(sourceCache.keys().next().value);
+  return data;
+}
+
+async function extractPdf(tab) {
+  const res = await fetch(tab.url);
+  if (!res.ok) throw new Error(`the server answered ${res.status}`);
+  const pdf = await pdfText(new Uint8Array(await res.arrayBuffer()));
+  if (!pdf.text) throw new Error('it has no text layer — it may be scanned images');
+  return {
+    title: pdf.info.title || tab.title,
+    url: tab.url,
+    extractor: `PDF text (${pdf.pages} page${pdf.pages === 1 ? '' : 's'})`,
+    metadata: { author: pdf.info.author, published: pdf.info.created },
+    content: pdf.text
+  };
+}
+
+async function extractText(tab) {
+  let type, text;
+  try {
+    const [{ result }] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      // Chrome shows plain files in a <pre>; its JSON viewer adds controls beside it
+      func: () => ({ type: document.contentType, text: document.querySelector('body > pre')?.textContent ?? document.body.innerText })
+    });
+    ({ type, text } = result);
+  } catch {
+    const res = await fetch(tab.url);
+    if (!res.ok) throw new Error(`the server answered ${res.status}`);
+    type = res.headers.get('content-type')?.split(';')[0].trim();
+    text = await res.text();
+  }
+  if (/json$/.test(type)) try { text = JSON.stringify(JSON.parse(text), null, 2); } catch {}
+  return { title: tab.title, url: tab.url, extractor: `Raw text (${type})`, content: text };
+}
+
+async function extractVideo(tab) {
+  const [{ result }] = await chrome.scripting.executeScript({ target: { tabId: tab.id }, world: 'MAIN', func: pageCaptionTracks });
+  const track = pickTrack(result.tracks);
+  if (!track) return null;
+  const transcript = transcriptText(parseCaptions(await captionBody(tab.id, track)));
+  if (!transcript) return null;
+  const { about } = result;
+  return {
+    title: about?.title || tab.title,
+    url: tab.url,
+    extractor: `Video transcript (${track.name}${track.auto ? ', auto-generated' : ''})`,
+    metadata: { author: about?.author },
+    content: [about?.description && `## Description\n\n${about.description}`, `## Transcript\n\n${transcript}`].filter(Boolean).join('\n\n')
+  };
+}
+
+/**
+ * Runs in the page: the caption tracks of its <video> elements, plus those
+ * YouTube's player lists, which never appear in the DOM.
+ */
+function pageCaptionTracks() {
+  const tracks = [...document.querySelectorAll('video track[src]')]
+    .filter(t => !t.kind || t.kind === 'subtitles' || t.kind === 'captions')
+    .map(t => ({ url: t.src, name: t.label || t.srclang || 'captions', lang: t.srclang, auto: false }));
+
+  // The player swaps videos without reloading the page, so check it is showing this one
+  const player = document.getElementById('movie_player')?.getPlayerResponse?.() || window.ytInitialPlayerResponse;
+  const videoId = new URLSearchParams(location.search).get('v') || location.pathname.split('/')[2];
+  let about = null;
+  if (player?.videoDetails?.videoId === videoId) {
+    const d = player.videoDetails;
+    about = { title: d.title, author: d.author, description: d.shortDescription };
+    for (const t of player.captions?.playerCaptionsTracklistRenderer?.captionTracks || [])
+      tracks.push({
+        url: t.baseUrl,
+        name: t.name?.simpleText ?? t.name?.runs?.map(r => r.text).join('') ?? t.languageCode,
+        lang: t.languageCode,
+        auto: t.kind === 'asr',
+        youtube: true
+      });
+  }
+  return { about, tracks };
+}
+
+/** The track in the browser's language if there is one; written captions before automatic ones. */
+function pickTrack(tracks) {
+  const ui = chrome.i18n.getUILanguage().split('-')[0];
+  const rank = t => (t.lang?.split('-')[0] === ui ? 0 : 2) + (t.auto ? 1 : 0);
+  return tracks.toSorted((a, b) => rank(a) - rank(b))[0];
+}
+
+async function captionBody(tabId, track) {
+  const url = track.youtube ? `${track.url}&fmt=json3` : track.url;
+  try {
+    const res = await fetch(url);
+    const body = res.ok ? await res.text() : '';
+    if (body.trim()) return body;
+  } catch {}
+  // Some sites only serve captions to their own pages (cookies, CORS)
+  const [{ result }] = await chrome.scripting.executeScript({
+    target: { tabId },
+    args: [url],
+    func: url => fetch(url, { credentials: 'include' }).then(r => r.ok ? r.text() : '', () => '')
+  });
+  return result || '';
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+const decodeEntities = s => s.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (m, e) =>
+  e[0] !== '#' ? ENTITIES[e.toLowerCase()] ?? m
+    : String.fromCodePoint(e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : Number(e.slice(1))));
+
+/** "01:02:03.500", "02:03.500" or SubRip's "00:02:03,500" as seconds. */
+function clockSeconds(s) {
+  const m = /(?:(\d+):)?(\d+):(\d+)[.,](\d+)/.exec(s);
+  return m ? Number(m[1] || 0) * 3600 + Number(m[2]) * 60 + Number(m[3]) + Number(`0.${m[4]}`) : 0;
+}
+
+/** Cues `{ start, text }` from YouTube's json3 or timedtext XML, WebVTT or SubRip. */
+function parseCaptions(body) {
+  const text = body.trim();
+  const clean = s => decodeEntities(s.replace(/<[^>]*>/g, ''));
+  if (text.startsWith('{'))
+    return (JSON.parse(text).events || [])
+      .filter(e => e.segs)
+      .map(e => ({ start: e.tStartMs / 1000, text: e.segs.map(seg => seg.utf8).join('') }));
+  if (text.includes('-->'))
+    return text.split(/\r?\n\s*\r?\n/).flatMap(block => {
+      const lines = block.split(/\r?\n/);
+      const at = lines.findIndex(line => line.includes('-->'));
+      return at < 0 ? [] : [{ start: clockSeconds(lines[at]), text: clean(lines.slice(at + 1).join(' ')) }];
+    });
+  return [...text.matchAll(/<(text|p)\b([^>]*)>([\s\S]*?)<\/\1>/g)].map(([, tag, attrs, inner]) => {
+    const start = Number(/\b(?:start|t)="([\d.]+)"/.exec(attrs)?.[1] || 0);
+    return { start: tag === 'p' ? start / 1000 : start, text: clean(inner) };
+  });
+}
+
+const timestamp = s => {
+  const h = Math.floor(s / 3600), m = Math.floor(s / 60) % 60, sec = String(Math.floor(s % 60)).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+};
+
+/** Cues joined into paragraphs of about half a minute, each led by its time. */
+function transcriptText(cues) {
+  const paragraphs = [];
+  let para = null, last = '';
+  for (const { start, text } of cues) {
+    const line = text.replace(/\s+/g, ' ').trim();
+    if (!line || line === last) continue; // automatic captions repeat the rolling line
+    last = line;
+    if (!para || start - para.start >= TRANSCRIPT_PARAGRAPH_S) paragraphs.push(para = { start, lines: [] });
+    para.lines.push(line);
+  }
+  return paragraphs.map(p => `[${timestamp(p.start)}] ${p.lines.join(' ')}`).join('\n\n');
+}
+
 // ── Message routing ───────────────────────────────────────────────────────
 
-chrome.runtime.onMessage.addListener((req, _sender, respond) => {
+chrome.runtime.onMessage.addListener((req, sender, respond) => {
 
   if (req.action === 'getModels') {
-    ollamaModels()
+    llmModels()
       .then(models => respond({ success: true, models }))
       .catch(e => respond({ success: false, error: e.message }));
     return true;
   }
 
   if (req.action === 'checkConnection') {
-    ollamaPing()
-      .then(connected => respond({ connected }))
+    llmPing()
+      .then(status => respond(status))
       .catch(() => respond({ connected: false }));
     return true;
   }
 
+  if (req.action === 'getSettings') {
+    getSettings()
+      .then(settings => respond({ success: true, settings, defaults: SETTINGS_DEFAULTS }))
+      .catch(e => respond({ success: false, error: e.message }));
+    return true;
+  }
+
+  if (req.action === 'modelCapabilities') {
+    supportsVision(req.model)
+      .then(vision => respond({ success: true, vision }))
+      .catch(e => respond({ success: false, error: e.message }));
+    return true;
+  }
+
+  if (req.action === 'estimateContext') {
+    estimateContext(req.data)
+      .then(estimate => respond({ success: true, estimate }))
+      .catch(e => respond({ success: false, error: e.message }));
+    return true;
+  }
+
+  if (req.action === 'generateTitle') {
+    generateTitle(req.data)
+      .then(title => respond({ success: true, title }))
+      .catch(e => respond({ success: false, error: e.message }));
+    return true;
+  }
+
   if (req.action === 'getTabs') {
     getAllTabs()
       .then(tabs => respond({ success: true, tabs }))
@@ -179,215 +1419,1672 @@ chrome.runtime.onMessage.addListener((req, _sender, respond) => {
     respond({ success: true });
     return true;
   }
+
+  if (req.action === 'runMacro') {
+    handleAgentTask(req.data, runMacro).catch(console.error);
+    respond({ success: true });
+    return true;
+  }
+
+  if (req.action === 'tabMarks') {
+    // Refs only exist in frames that have been listed, so turning marks on lists the page
+    (req.on ? frameTree(req.tabId, 0, true) : setTabMarks(req.tabId, false))
+      .then(() => respond({ success: true }))
+      .catch(e => respond({ success: false, error: e.message }));
+    return true;
+  }
+
+  if (req.action === 'tabSelection') {
+    tabSelection(req.tabId).then(text => respond({ success: true, text }));
+    return true;
+  }
+
+  if (req.action === 'addSnippet') {
+    if (sender.tab) queueSnippet({ ...req.data, title: sender.tab.title || sender.tab.url, url: sender.tab.url }).catch(console.error);
+    respond({ success: true });
+    return true;
+  }
+
+  if (req.action === 'recordStep') {
+    if (sender.tab) recordStep(sender.tab.id, req.step);
+    respond({ success: true });
+    return true;
+  }
+
+  const macroActions = { macroList, macroSave, macroUpdate, macroDelete, recordStart, recordStop };
+  if (macroActions[req.action]) {
+    macroActions[req.action](req.data)
+      .then(result => respond({ success: true, result }))
+      .catch(e => respond({ success: false, error: e.message }));
+    return true;
+  }
+
+  if (req.action === 'libraryList') {
+    Promise.all([libraryList(req.data), libraryTags()])
+      .then(([docs, tags]) => respond({ success: true, docs, tags }))
+      .catch(e => respond({ success: false, error: e.message }));
+    return true;
+  }
+
+  const scheduleActions = { scheduleList, scheduleSave, scheduleDelete, schedulePause, scheduleRuns, scheduleRunNow };
+  if (scheduleActions[req.action]) {
+    scheduleActions[req.action](req.data)
+      .then(result => respond({ success: true, result }))
+      .catch(e => respond({ success: false, error: e.message }));
+    return true;
+  }
+
+  const libraryActions = { libraryTags, librarySave, libraryUpdate, libraryDelete, libraryExport, libraryImport };
+  if (libraryActions[req.action]) {
+    libraryActions[req.action](req.data)
+      .then(result => respond({ success: true, result }))
+      .catch(e => respond({ success: false, error: e.message }));
+    return true;
+  }
+
+  if (req.action === 'extractStructured') {
+    handleExtract(req.data)
+      .then(result => respond({ success: true, ...result }))
+      .catch(e => respond({ success: false, error: e.message }));
+    return true;
+  }
+
+  if (req.action === 'showSource') {
+    showSource(req.data)
+      .then(found => respond({ success: true, found }))
+      .catch(e => respond({ success: false, error: e.message }));
+    return true;
+  }
+
+  if (req.action === 'cancel') {
+    respond({ success: cancelRun(req.messageId) });
+    return true;
+  }
+
+  if (req.action === 'approvalResponse') {
+    respond({ success: resolveApproval(req.messageId, req) });
+    return true;
+  }
 });
 
 // ── Streaming chat handler ────────────────────────────────────────────────
 
 async function handleStreamQuery(data) {
-  const { query, model, mentionedTabs = [], history = [], messageId } = data;
+  const { query, model, mentionedTabs = [], library = null, snippets = [], history = [], images: attached = [], screenshotWindow, system: instructions, temperature, messageId } = data;
 
   const send = (action, extra) =>
     chrome.runtime.sendMessage({ action, messageId, ...extra }).catch(() => {});
+  const signal = startRun(messageId);
 
   try {
-    // Build system + context
-    let system = 'You are a helpful assistant.';
+    // The user's images, plus a screenshot of the tab they are looking at when asked for
+    const images = [...attached];
+    if (screenshotWindow) {
+      const [tab] = await chrome.tabs.query({ active: true, windowId: screenshotWindow });
+      if (tab) images.push(await captureTab(tab.id));
+    }
+    if (images.length && await supportsVision(model) === false) {
+      throw new Error(`${model} cannot see images. Pick a vision model (e.g. gemma3, llava, qwen2.5vl) or remove the images.`);
+    }
+
+    // Share the context window: reply reserve, prompt, newest history, then pages.
+    // Library matches take one page's share.
+    // Snippets the user picked are sent whole, like the question itself.
+    const limit = await contextWindow(model);
+    const pageCount = mentionedTabs.length + (library ? 1 : 0);
+    // The user's rules for the sites of the mentioned tabs and the tab in front of them
+    let system = chatSystem(pageCount, instructions) + await siteNotes([...mentionedTabs.map(t => t.url), await activeTabUrl()]);
+    const picked = snippets.length ? snippetContext(snippets) : '';
+    const plan = planBudget(limit, { system, query: picked + query, tabCount: pageCount, images: images.length });
+    const { kept, dropped, tokens: historyTokens } = fitHistory(history.map(withSnippets), plan.historyShare);
+
     let userContent = query;
+    const sources = [];
+    const ctx = picked ? [picked] : [];
+    if (pageCount) {
+      const maxChars = pageShare(plan, historyTokens, pageCount) * CHARS_PER_TOKEN;
+      const question = stripMentions(query);
+
+      if (mentionedTabs.length) {
+        const { embedModel } = await getSettings();
+        // With an embedding model, pages are read whole and searched when they would not fit
+        const pages = await Promise.all(mentionedTabs.map(t => extractTab(t.id, embedModel ? Infinity : maxChars)));
+        let passages = null;
+        if (embedModel && pages.some(p => p.length > maxChars)) {
+          // An embedding model that is missing or fails falls back to the start of each page
+          passages = await retrievePassages(question, mentionedTabs, pages, maxChars * mentionedTabs.length, signal)
+            .catch(e => { if (signal.aborted) throw e; console.warn('[Local-Agent Ollama] passage retrieval failed', e); return null; });
+        }
+        if (passages) sources.push(...passages);
+        else ctx.push(...pages.map((p, i) => `=== ${mentionedTabs[i].title} ===\n${clip(p, maxChars)}`));
+      }
+
+      if (library) {
+        const found = await searchLibrary(question, library.tags, maxChars, signal);
+        const scope = library.tags.length ? library.tags.map(t => `#${t}`).join(', ') : 'the library';
+        if (!found.length) ctx.push(`=== Saved pages ===\n[Nothing in ${scope} matched the question]`);
+        sources.push(...found);
+      }
+
+      if (sources.length) {
+        sources.forEach((s, i) => { s.n = i + 1; });
+        system += CITATION_RULES;
+        ctx.push(sources.map(s => `[${s.n}] ${s.title}\n${s.text}`).join('\n\n'));
+      }
+    }
+    if (ctx.length) userContent = `${ctx.join('\n\n---\n\n')}\n\n---\nQuestion: ${query}`;
 
-    if (mentionedTabs.length) {
-      const pages = await Promise.all(mentionedTabs.map(t => extractTab(t.id)));
-      const ctx = pages.map((p, i) => `=== ${mentionedTabs[i].title} ===\n${p}`).join('\n\n---\n\n');
-      system = 'You are a helpful assistant. Use only the page content provided to answer. Do not invent information not found in the content.';
-      userContent = `${ctx}\n\n---\nQuestion: ${query}`;
+    if (dropped.length) {
+      const summary = await summarizeTurns(model, dropped, limit, signal).catch(() => '');
+      if (summary) system += `\n\nSummary of the earlier conversation:\n${summary}`;
     }
 
     // Build messages array with conversation history
     const messages = [{ role: 'system', content: system }];
-    for (const h of history) {
+    for (const h of kept) {
       messages.push({ role: h.role === 'user' ? 'user' : 'assistant', content: h.text });
     }
-    messages.push({ role: 'user', content: userContent });
+    messages.push({ role: 'user', content: userContent, ...(images.length ? { images } : {}) });
 
     let full = '';
-    await ollamaChat(model, messages, token => {
+    await llmChat(model, messages, token => {
       full += token;
       send('streamChunk', { chunk: token, fullText: full });
-    });
+    }, signal, { numCtx: limit, ...definedOnly({ temperature }) });
 
-    send('streamComplete', { text: full });
+    send('streamComplete', { text: full, stopped: signal.aborted, ...(sources.length ? { sources } : {}) });
   } catch (e) {
-    send('streamError', { error: e.message });
+    if (signal.aborted) send('streamComplete', { text: '', stopped: true });
+    else send('streamError', { error: e.message });
+  } finally {
+    endRun(messageId);
   }
 }
 
+// ── Conversation titles ───────────────────────────────────────────────────
+
+async function generateTitle({ model, messages }) {
+  const exchange = messages.map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${String(m.text).slice(0, 1500)}`).join('\n\n');
+  const msg = await llmOnce(model, [
+    { role: 'system', content: 'You name conversations. Reply with a title of at most 6 words that describes the conversation below. Reply with the title only — no quotes, no trailing punctuation.' },
+    { role: 'user', content: exchange }
+  ]);
+  // Reasoning models may wrap their answer in <think>…</think>
+  const title = msg.content.replace(/<think>[\s\S]*?<\/think>/g, '').trim().split('\n')[0];
+  return title.replace(/^[\s"'#*]+|[\s"'*.]+$/g, '').slice(0, 80);
+}
+
 // ── Agentic loop ──────────────────────────────────────────────────────────
 
-const sleep = ms => new Promise(r => setTimeout(r, ms));
+/** Resolves after `ms`, or rejects as soon as `signal` aborts. */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) { reject(signal.reason); return; }
+    const onAbort = () => { clearTimeout(t); reject(signal.reason); };
+    const t = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve(); }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Text commands for models without tool calling. Each maps a line of the
+// reply onto the same tool call a tool-calling model would have made.
+const REF = '((?:f\\d+_)?ref_\\d+)';
+const TEXT_COMMANDS = [
+  [`CLICK(?:\\s+on)?\\s+${REF}`,                      m => ['click', { refId: m[1] }]],
+  [`TYPE\\s+${REF}\\s+(.+)`,                          m => ['type', { refId: m[1], text: unquote(m[2]) }]],
+  [`APPEND\\s+${REF}\\s+(.+)`,                        m => ['type', { refId: m[1], text: unquote(m[2]), clear: false }]],
+  [`SELECT\\s+${REF}\\s+(.+)`,                        m => ['select', { refId: m[1], option: unquote(m[2]) }]],
+  [`TOGGLE\\s+${REF}(?:\\s+(on|off))?`,              m => ['toggle', { refId: m[1], ...(m[2] ? { checked: m[2].toLowerCase() === 'on' } : {}) }]],
+  [`HOVER\\s+${REF}`,                                 m => ['hover', { refId: m[1] }]],
+  [`DRAG\\s+${REF}\\s+(?:(?:on)?to\\s+)?${REF}`,     m => ['drag', { fromRefId: m[1], toRefId: m[2] }]],
+  [`KEY\\s+(\\S+)(?:\\s+${REF})?`,                    m => ['key', { key: m[1], ...(m[2] ? { refId: m[2] } : {}) }]],
+  [`SCROLL_TO\\s+${REF}`,                             m => ['scroll_to', { refId: m[1] }]],
+  [`SCROLL\\s+(up|down|left|right)(?:\\s+${REF})?`,  m => ['scroll', { direction: m[1].toLowerCase(), ...(m[2] ? { refId: m[2] } : {}) }]],
+  ['WAIT_FOR\\s+(.+)',                                m => ['wait_for', { text: unquote(m[1]) }], ''],
+  ['NAVIGATE\\s+(https?:\\/\\/\\S+)',                 m => ['navigate', { url: m[1] }]],
+  ['OPEN_TAB\\s+(https?:\\/\\/\\S+)',                 m => ['open_tab', { url: m[1] }]],
+  ['SWITCH_TAB\\s+(\\d+)',                            m => ['switch_tab', { tabId: Number(m[1]) }]],
+  ['CLOSE_TAB\\s+(\\d+)',                             m => ['close_tab', { tabId: Number(m[1]) }]],
+  ['READ_TAB\\s+(\\d+)',                              m => ['read_tab', { tabId: Number(m[1]) }]],
+  ['LIST_TABS(\\s+all)?\\b',                          m => ['list_tabs', { all: !!m[1] }]],
+  ['READ\\s*$',                                       () => ['read', {}], ''],
+  ['EXTRACT\\s+(.+)',                                 m => ['extract_structured', { fields: unquote(m[1]) }], ''],
+  ['SCREENSHOT\\s*$',                                 () => ['screenshot', {}], ''],
+  ['STEP_DONE\\s+(\\d+)',                             m => ['mark_step_done', { step: Number(m[1]) }]]
+].map(([re, args, flags = 'i']) => [new RegExp(`^${re}`, flags), args]); // arguments such as up/down or on/off match in any case
+
+// A command word is written in capitals; "Key takeaways" or "Select ref_3 to go on" are prose
+const COMMAND_WORD = /^[A-Z][A-Z_]*\b/;
+
+function unquote(s) {
+  const t = s.trim();
+  return /^(["'`]).*\1$/.test(t) ? t.slice(1, -1) : t;
+}
 
-function parseAction(text) {
-  const s = text.replace(/```[\s\S]*?```/g, '').trim();
+const TEXT_RESULT   = 'RESULT';
+const PARSE_RETRIES = 2; // replies without a command before one is taken as the final answer
+// How servers say a model cannot take tools ("… does not support tools", "tool use is not supported")
+const TOOLS_REFUSED = /does not support tools|tools? (?:use |calling |calls )?(?:is |are )?not supported|no tool support/i;
+
+/** The system prompt addition that teaches the command grammar. */
+function textProtocol({ vision, plan }) {
+  return `
+
+You cannot call tools directly. Instead, end every reply with exactly ONE command on its own line. Where the rules above name a tool, use its command (read() is READ, done() is DONE, …). Commands:
+CLICK <ref>
+TYPE <ref> <text>          replaces the field's text; APPEND <ref> <text> adds to it
+SELECT <ref> <option>
+TOGGLE <ref> [on|off]
+HOVER <ref>
+DRAG <ref> <ref>
+KEY <key or combo> [<ref>]  e.g. KEY Enter, KEY Control+A
+SCROLL up|down|left|right [<ref>]
+SCROLL_TO <ref>
+WAIT_FOR <text>
+NAVIGATE <url>
+READ                       the text of the working tab
+OPEN_TAB <url>, SWITCH_TAB <id>, CLOSE_TAB <id>, READ_TAB <id>, LIST_TABS
+EXTRACT <fields>           e.g. EXTRACT name, price:number${vision ? `
+SCREENSHOT` : ''}${plan ? `
+STEP_DONE <step number>` : ''}
+DONE <final answer>        everything after DONE is the answer
+
+Refs look like ref_12 or f3_ref_12. Write at most one short sentence of reasoning before the command. After each command you get a ${TEXT_RESULT} message and the updated page.
+
+Example reply:
+The search box is ref_4.
+TYPE ref_4 weather in Paris`;
+}
 
-  let m;
-  m = s.match(/^CLICK(?:\s+on)?\s+(ref_\d+)/im);
-  if (m) return { name: 'click', args: { refId: m[1] } };
+/**
+ * Finds the first command in a text reply; DONE takes the rest of the reply as
+ * the answer. `lone` is set when the command line is all the reply says.
+ */
+function parseAction(text) {
+  const lines = text.replace(/<think>[\s\S]*?<\/think>/g, '').replace(/```\w*/g, '').split('\n')
+    // Models decorate commands: "- **CLICK ref_3**", "Action: CLICK ref_3", "`READ`"
+    .map(l => l.replace(/^[\s>*`#-]*(?:(?:action|command|next)\s*:\s*)?[*`]*/i, '').replace(/[*`]+\s*$/, ''));
+  const lone = lines.filter(l => l.trim()).length === 1;
+  for (let i = 0; i < lines.length; i++) {
+    if (!COMMAND_WORD.test(lines[i])) continue;
+    const done = lines[i].match(/^DONE\b:?\s*([\s\S]*)/);
+    if (done) return { name: 'done', args: { result: [done[1], ...lines.slice(i + 1)].join('\n').trim() }, lone };
+    for (const [re, toCall] of TEXT_COMMANDS) {
+      const m = lines[i].match(re);
+      if (m) { const [name, args] = toCall(m); return { name, args, lone }; }
+    }
+  }
+  return null;
+}
 
-  m = s.match(/^TYPE\s+(ref_\d+)\s+([\s\S]+)/im);
-  if (m) return { name: 'type', args: { refId: m[1], text: m[2].trim() } };
+const FRAME_DEPTH = 3; // iframes nested deeper than this are left out of the listing
+const FRAME_SLOT  = /^( *)(.*) \{\{frame:(\d+)\}\}$/gm;
 
-  m = s.match(/^SCROLL\s+(down|up)/im);
-  if (m) return { name: 'scroll', args: { direction: m[1].toLowerCase() } };
+/** The frame a ref lives in: ref_12 is in the top document, f3_ref_12 in frame 3. */
+function refFrame(refId) {
+  return Number(/^f(\d+)_/.exec(refId || '')?.[1] || 0);
+}
 
-  m = s.match(/^KEY\s+(\S+)/im);
-  if (m) return { name: 'key', args: { key: m[1] } };
+/** One frame's listing with its iframes' listings nested in place of their placeholders. */
+async function frameTree(tabId, frameId, marks, depth = 0) {
+  const res = await chrome.tabs.sendMessage(tabId, { action: 'getTree', frameId, marks }, { frameId }).catch(() => null);
+  if (!res?.success) return null;
+  const ids = [...res.tree.matchAll(FRAME_SLOT)].map(m => Number(m[3]));
+  const subs = await Promise.all(ids.map(id => depth < FRAME_DEPTH ? frameTree(tabId, id, marks, depth + 1) : null));
+  const byId = new Map(ids.map((id, i) => [id, subs[i]]));
+  const fields = [res.fields, ...subs.map(sub => sub?.fields)].join(':');
+  const tree = res.tree.replace(FRAME_SLOT, (_, indent, head, id) => {
+    const sub = byId.get(Number(id));
+    if (!sub) return `${indent}${head} (not readable)`;
+    const body = sub.tree.replace(/^(?=.)/gm, indent + '  ');
+    return `${indent}${head}\n${body || `${indent}  (no interactive elements)\n`}`.replace(/\n$/, '');
+  });
+  return { ...res, tree, fields };
+}
 
-  m = s.match(/^NAVIGATE\s+(https?:\/\/\S+)/im);
-  if (m) return { name: 'navigate', args: { url: m[1] } };
+const REF_LINE = /^\s*\[((?:f\d+_)?ref_\d+)\] (.*)$/gm;
 
-  m = s.match(/^DONE\s+([\s\S]+)/im);
-  if (m) return { name: 'done', args: { result: m[1].trim() } };
+function refLines(tree) {
+  return new Map([...tree.matchAll(REF_LINE)].map(m => [m[1], m[2]]));
+}
 
-  return null;
+/** What changed between two listings of the same page, by ref — refs are stable, so the rest still holds. */
+function treeDiff(before, after) {
+  const old = refLines(before), now = refLines(after);
+  const added = [], changed = [];
+  for (const [id, line] of now) {
+    if (!old.has(id)) added.push(`[${id}] ${line}`);
+    else if (old.get(id) !== line) changed.push(`[${id}] ${line}`);
+  }
+  const removed = [...old.keys()].filter(id => !now.has(id));
+  if (!added.length && !changed.length && !removed.length) return 'No changes to the elements on the page.';
+  return [
+    'Changes since the last listing (every other ref is unchanged and still valid):',
+    added.length && `Added:\n${added.join('\n')}`,
+    changed.length && `Changed:\n${changed.join('\n')}`,
+    removed.length && `Removed, no longer usable: ${removed.join(', ')}`
+  ].filter(Boolean).join('\n');
 }
 
-async function getTree(tabId) {
+/**
+ * The tab's page listing. With `ctx`, the listing is remembered there; when
+ * ctx.diffs is set, the next call on the same page returns only the changes,
+ * if that is shorter.
+ */
+async function getTree(tabId, maxChars, ctx = null) {
   try {
-    const res = await chrome.tabs.sendMessage(tabId, { action: 'getTree' });
-    if (res?.success) return res.tree;
+    // The side panel's "marks" toggle: label every ref on the page as well
+    const { showMarks = false } = await chrome.storage.local.get('showMarks');
+    const res = await frameTree(tabId, 0, showMarks);
+    if (res) {
+      const prev = ctx?.lastTree;
+      // `sent` is what the model saw: diffing against it brings back refs a truncated listing cut out
+      const remember = sent => { if (ctx) ctx.lastTree = { tabId, url: res.url, tree: res.tree, fields: res.fields, sent }; };
+      if (ctx?.diffs && prev?.tabId === tabId && prev.url === res.url) {
+        const diff = treeDiff(prev.sent, res.tree);
+        if (diff.length < Math.min(res.tree.length, maxChars)) {
+          remember(res.tree);
+          return `Page: ${res.title}\nURL: ${res.url}\n\n${diff}`;
+        }
+      }
+      let tree = res.tree;
+      if (tree.length > maxChars) {
+        // Keep the start (nav/main actions) and the end (dialogs/modals rendered at end of DOM), 4:3
+        const head = Math.round(maxChars * 4 / 7);
+        tree = tree.slice(0, head) + '\n…[middle truncated]…\n' + tree.slice(-(maxChars - head));
+      }
+      remember(tree);
+      return `Page: ${res.title}\nURL: ${res.url}\n\n${tree || '(no interactive elements found)'}`;
+    }
   } catch {}
   const tab = await chrome.tabs.get(tabId).catch(() => null);
   return tab ? `Page: ${tab.title}\nURL: ${tab.url}\n(Could not read elements — try refreshing)` : '(no tab)';
 }
 
-async function waitLoad(tabId, ms = 8000) {
-  await sleep(400);
-  const t0 = Date.now();
-  while (Date.now() - t0 < ms) {
+const NAV_EVENTS = ['onBeforeNavigate', 'onCommitted', 'onHistoryStateUpdated', 'onReferenceFragmentUpdated', 'onCompleted', 'onErrorOccurred'];
+
+/**
+ * Follows a tab's top-frame navigations from now on: `started`/`committed` for
+ * page loads, `spa` for route changes that only rewrite the URL. Call stop().
+ */
+function watchNavigation(tabId) {
+  let begin, finish;
+  const nav = { started: false, committed: false, spa: false };
+  nav.begun = new Promise(r => { begin = r; });
+  nav.done  = new Promise(r => { finish = r; });
+  const listener = event => d => {
+    if (d.tabId !== tabId || d.frameId !== 0) return;
+    if (event === 'onBeforeNavigate') { nav.started = true; begin(); }
+    else if (event === 'onCommitted') nav.committed = true;
+    else if (event === 'onCompleted' || event === 'onErrorOccurred') finish();
+    else nav.spa = true;
+  };
+  const listeners = NAV_EVENTS.map(event => [event, listener(event)]);
+  for (const [event, fn] of listeners) chrome.webNavigation[event].addListener(fn);
+  nav.stop = () => {
+    for (const [event, fn] of listeners) chrome.webNavigation[event].removeListener(fn);
+    begin(); finish();
+  };
+  return nav;
+}
+
+/**
+ * Waits for the tab's page load to finish, up to `ms`. Pass the watcher that
+ * was started before triggering a navigation, so a load that has not begun yet
+ * is not mistaken for one that already finished.
+ */
+async function waitLoad(tabId, ms = 8000, signal, nav = null) {
+  const watch = nav || watchNavigation(tabId);
+  try {
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
+    if (!tab) return;
+    if (!watch.started && tab.status === 'complete') {
+      if (!nav) return;
+      await Promise.race([watch.begun, sleep(500, signal)]); // a requested navigation starts within moments
+      if (!watch.started) return;
+    }
+    await Promise.race([watch.done, sleep(ms, signal)]);
+    await sleep(300, signal); // let the content script start
+  } finally {
+    if (!nav) watch.stop();
+  }
+}
+
+/**
+ * Puts page-hook.js into the page's own world in one frame, so the frame's
+ * fetch/XHR requests are counted while the agent acts there. Pages the agent
+ * never touches are left alone; the hook ignores a second injection.
+ */
+function hookRequests(tabId, frameId) {
+  return chrome.scripting.executeScript({ target: { tabId, frameIds: [frameId] }, world: 'MAIN', injectImmediately: true, files: ['page-hook.js'] })
+    .catch(() => {}); // pages scripts cannot run in still settle on DOM quiet alone
+}
+
+/**
+ * Runs a content-script tool and waits until its effect is over — the page
+ * settled, or the load it started finished — then says what that effect was.
+ */
+async function pageAction(tabId, frameId, tool, args, settings, signal) {
+  await hookRequests(tabId, frameId);
+  const nav = watchNavigation(tabId);
+  try {
+    let result;
+    try {
+      result = await chrome.tabs.sendMessage(tabId, { action: 'executeTool', tool, args, settleMs: settings.settleTimeout }, { frameId });
+    } catch (e) {
+      // The page navigated away before the content script could answer
+      if (!nav.started) throw e;
+      result = { success: true };
+    }
+    if (result?.success === false) return result;
+    if (nav.started) await waitLoad(tabId, settings.loadTimeout, signal, nav);
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
+
+    let effect;
+    if (nav.committed) effect = `The page navigated to ${tab?.url}.`;
+    else if (result.url || nav.spa) effect = `The URL changed to ${result.url || tab?.url} (same page, new view).`;
+    else if (result.dialog) effect = `A dialog opened: "${result.dialog}".`;
+    else if (result.mutations === 0) effect = 'Nothing on the page changed.';
+    else if (result.settled === false) effect = `The page was still changing after ${Math.round(result.ms / 1000)} s.`;
+    else effect = 'The page updated.';
+    if (result.dialog && (nav.committed || result.url || nav.spa)) effect += ` A dialog opened: "${result.dialog}".`;
+    return { ...result, effect, navigated: nav.committed };
+  } finally {
+    nav.stop();
+  }
+}
+
+/**
+ * Runs a content-script tool in the frame its ref lives in, outlining the
+ * element first so a wrong pick is visible on the page. Keys without a ref go
+ * to the frame that was last clicked or typed into, where the focus is.
+ */
+async function runPageTool(ctx, name, args, settings, signal) {
+  const ref = args.refId || args.fromRefId;
+  if (ref) {
+    const shown = await chrome.tabs.sendMessage(ctx.tabId, { action: 'flashRef', refId: ref }, { frameId: refFrame(ref) }).catch(() => null);
+    if (shown?.success) await sleep(500, signal);
+    ctx.focus = { tabId: ctx.tabId, frameId: refFrame(ref) };
+  }
+  const frameId = ref ? refFrame(ref) : name === 'key' && ctx.focus?.tabId === ctx.tabId ? ctx.focus.frameId : 0;
+  const result = await pageAction(ctx.tabId, frameId, name, args, settings, signal);
+  if (result?.navigated) ctx.focus = null;
+  return result;
+}
+
+async function navigateTab(ctx, url, settings, signal) {
+  const nav = watchNavigation(ctx.tabId);
+  try {
+    await chrome.tabs.update(ctx.tabId, { url });
+    ctx.focus = null;
+    await waitLoad(ctx.tabId, settings.loadTimeout, signal, nav);
+  } finally { nav.stop(); }
+}
+
+// ── Action approval ───────────────────────────────────────────────────────
+
+// Labels that usually mean "this cannot be undone" — sending, paying, deleting
+const RISKY_LABEL = /\b(submit|send|buy|purchase|pay|checkout|check out|order|delete|remove|confirm|transfer|publish|post)\b/i;
+
+// Enter, alone or in a combo like Control+Enter, submits the focused form
+const ENTER_KEY = /(^|\+)\s*(enter|return)\s*$/i;
+
+const approvals = {}; // messageId -> { resolve, signal, onAbort }
+
+function originOf(url) {
+  try { return new URL(url).origin; } catch { return ''; }
+}
+
+async function describeRef(tabId, refId) {
+  try { return await chrome.tabs.sendMessage(tabId, { action: 'describeRef', refId }, { frameId: refFrame(refId) }); } catch { return null; }
+}
+
+/** Returns why a tool call needs the user's approval, or null when it is safe to run. */
+async function classifyAction(tabId, name, args) {
+  if (name === 'click') {
+    const el = await describeRef(tabId, args.refId);
+    if (el && RISKY_LABEL.test(el.label)) return `Clicks "${el.label}"`;
+  }
+  if (name === 'type') {
+    const el = await describeRef(tabId, args.refId);
+    if (el?.type === 'password') return 'Types into a password field';
+  }
+  if (name === 'key' && ENTER_KEY.test(args.key || '')) return `Presses ${args.key}, which can submit a form`;
+  if (name === 'upload') return `Uploads a file ("${args.name}") to the page`;
+  if (name === 'navigate' || name === 'open_tab') {
     const tab = await chrome.tabs.get(tabId).catch(() => null);
-    if (!tab || tab.status === 'complete') { await sleep(500); return; }
-    await sleep(300);
+    const to = originOf(args.url);
+    if (to && to !== originOf(tab?.url)) return `Navigates to a different site (${to})`;
   }
+  return null;
+}
+
+async function isAutoApproved(origin) {
+  const { autoApproveSites = [] } = await chrome.storage.local.get('autoApproveSites');
+  return autoApproveSites.includes(origin);
+}
+
+async function rememberAutoApprove(origin) {
+  const { autoApproveSites = [] } = await chrome.storage.local.get('autoApproveSites');
+  if (!autoApproveSites.includes(origin))
+    await chrome.storage.local.set({ autoApproveSites: [...autoApproveSites, origin] });
+}
+
+/** Pauses the agent until the side panel answers with approve / reject / edit. */
+function requestApproval(messageId, request, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => { delete approvals[messageId]; reject(signal.reason); };
+    approvals[messageId] = { resolve, signal, onAbort };
+    signal.addEventListener('abort', onAbort, { once: true });
+    chrome.runtime.sendMessage({ action: 'agentApproval', messageId, ...request }).catch(() => {});
+  });
+}
+
+function resolveApproval(messageId, { decision, args, remember }) {
+  const pending = approvals[messageId];
+  if (!pending) return false;
+  delete approvals[messageId];
+  pending.signal.removeEventListener('abort', pending.onAbort);
+  pending.resolve({ decision, args, remember });
+  return true;
+}
+
+/**
+ * Asks the user about a risky action unless its site is on the auto-approve
+ * list. Returns { args } to run with — edited, maybe — or { rejected: reason }.
+ */
+async function approveAction(ctx, messageId, name, args, signal, step) {
+  const risk = await classifyAction(ctx.tabId, name, args);
+  if (!risk) return { args };
+  if (ctx.unattended) return { rejected: `${risk} — this needs approval, and nobody is there to give it` };
+  const tab = await chrome.tabs.get(ctx.tabId).catch(() => null);
+  const site = originOf(tab?.url);
+  if (site && await isAutoApproved(site)) return { args };
+  step('thinking', `Waiting for approval: ${risk}`);
+  const answer = await requestApproval(messageId, { tool: name, args, reason: risk, description: describeAction(name, args), site }, signal);
+  if (answer.remember && site) await rememberAutoApprove(site);
+  if (answer.decision === 'reject') return { rejected: risk };
+  return { args: answer.decision === 'edit' && answer.args ? answer.args : args };
 }
 
 // ── Agent tool definitions ────────────────────────────────────────────────
 
 const agentTools = [
   { type: 'function', function: { name: 'click',    description: 'Click an element on the page',                                   parameters: { type: 'object', properties: { refId: { type: 'string', description: 'ref ID from the page listing, e.g. ref_3' } }, required: ['refId'] } } },
-  { type: 'function', function: { name: 'type',     description: 'Type text into an input, textarea, or contenteditable element',   parameters: { type: 'object', properties: { refId: { type: 'string' }, text: { type: 'string' } }, required: ['refId', 'text'] } } },
-  { type: 'function', function: { name: 'key',      description: 'Press a keyboard key, e.g. Enter to submit a form',              parameters: { type: 'object', properties: { key: { type: 'string', description: 'Key name: Enter, Tab, Escape, ArrowDown, etc.' } }, required: ['key'] } } },
-  { type: 'function', function: { name: 'scroll',   description: 'Scroll the page up or down',                                     parameters: { type: 'object', properties: { direction: { type: 'string', enum: ['up', 'down'] } }, required: ['direction'] } } },
+  { type: 'function', function: { name: 'type',     description: 'Type text into an input, textarea, or contenteditable element. Replaces what is there unless clear is false', parameters: { type: 'object', properties: { refId: { type: 'string' }, text: { type: 'string' }, clear: { type: 'boolean', description: 'Clear the field first (default true); false appends' } }, required: ['refId', 'text'] } } },
+  { type: 'function', function: { name: 'select',   description: 'Choose an option in a dropdown (select, listbox or combobox) by its visible text', parameters: { type: 'object', properties: { refId: { type: 'string' }, option: { type: 'string' } }, required: ['refId', 'option'] } } },
+  { type: 'function', function: { name: 'toggle',   description: 'Check or uncheck a checkbox, radio button or switch; reports the new state', parameters: { type: 'object', properties: { refId: { type: 'string' }, checked: { type: 'boolean', description: 'The state you want; omit to flip it' } }, required: ['refId'] } } },
+  { type: 'function', function: { name: 'hover',    description: 'Move the mouse over an element, e.g. to open a menu that appears on hover', parameters: { type: 'object', properties: { refId: { type: 'string' } }, required: ['refId'] } } },
+  { type: 'function', function: { name: 'drag',     description: 'Drag one element and drop it onto another',                   parameters: { type: 'object', properties: { fromRefId: { type: 'string' }, toRefId: { type: 'string' } }, required: ['fromRefId', 'toRefId'] } } },
+  { type: 'function', function: { name: 'key',      description: 'Press a key or key combination, e.g. Enter to submit a form, Control+A, Shift+Tab', parameters: { type: 'object', properties: { key: { type: 'string', description: 'Key name or combo: Enter, Tab, Escape, ArrowDown, Control+A, Shift+Tab, etc.' }, refId: { type: 'string', description: 'Element to focus first (default: the focused element)' } }, required: ['key'] } } },
+  { type: 'function', function: { name: 'scroll',   description: 'Scroll the page, or a container marked [scrollable] when refId is given', parameters: { type: 'object', properties: { direction: { type: 'string', enum: ['up', 'down', 'left', 'right'] }, refId: { type: 'string' }, amount: { type: 'number', description: 'Pixels (default: most of the visible height)' } }, required: ['direction'] } } },
+  { type: 'function', function: { name: 'scroll_to', description: 'Scroll an element into view',                                 parameters: { type: 'object', properties: { refId: { type: 'string' } }, required: ['refId'] } } },
+  { type: 'function', function: { name: 'wait_for', description: 'Wait for text or a CSS selector to appear on the page (or disappear, with gone=true) — use after actions that load content', parameters: { type: 'object', properties: { text: { type: 'string' }, selector: { type: 'string' }, gone: { type: 'boolean' }, timeout: { type: 'number', description: 'Seconds, at most 20 (default 5)' } } } } },
+  { type: 'function', function: { name: 'upload',   description: 'Upload a text file you write to a file input or drop zone', parameters: { type: 'object', properties: { refId: { type: 'string' }, name: { type: 'string', description: 'File name, e.g. notes.csv' }, content: { type: 'string' }, mime: { type: 'string', description: 'Default text/plain' } }, required: ['refId', 'name', 'content'] } } },
   { type: 'function', function: { name: 'navigate', description: 'Navigate to a URL',                                              parameters: { type: 'object', properties: { url: { type: 'string' } }, required: ['url'] } } },
   { type: 'function', function: { name: 'read',     description: 'Read the visible text content of the current page — use this to find information displayed on the page such as weather, prices, search results, article text, etc.',  parameters: { type: 'object', properties: {} } } },
+  { type: 'function', function: { name: 'open_tab',   description: 'Open a URL in a new tab and make it the working tab',             parameters: { type: 'object', properties: { url: { type: 'string' } }, required: ['url'] } } },
+  { type: 'function', function: { name: 'list_tabs',  description: 'List the tabs this agent has opened or used (set all=true to list every open tab)', parameters: { type: 'object', properties: { all: { type: 'boolean' } } } } },
+  { type: 'function', function: { name: 'switch_tab', description: 'Make another tab the working tab — later actions and page listings apply to it', parameters: { type: 'object', properties: { tabId: { type: 'number' } }, required: ['tabId'] } } },
+  { type: 'function', function: { name: 'close_tab',  description: 'Close a tab the agent opened',                                    parameters: { type: 'object', properties: { tabId: { type: 'number' } }, required: ['tabId'] } } },
+  { type: 'function', function: { name: 'read_tab',   description: 'Read the text content of any open tab without switching to it', parameters: { type: 'object', properties: { tabId: { type: 'number' } }, required: ['tabId'] } } },
+  { type: 'function', function: { name: 'screenshot', description: 'Look at the working tab — use it for charts, images, canvas apps, icon-only buttons and anything missing from the page listing', parameters: { type: 'object', properties: {} } } },
+  { type: 'function', function: { name: 'extract_structured', description: 'Extract a list of records (products, search results, table rows, …) from the working tab as JSON', parameters: { type: 'object', properties: { fields: { type: 'string', description: 'Comma-separated fields, optionally typed, e.g. "name, price:number, url"' }, instructions: { type: 'string', description: 'Which items to extract, e.g. "only laptops under $1000"' } }, required: ['fields'] } } },
   { type: 'function', function: { name: 'done',     description: 'Task complete — return the final answer',                        parameters: { type: 'object', properties: { result: { type: 'string' } }, required: ['result'] } } }
 ];
 
-async function handleAgentTask(data) {
-  const { task, model, messageId, maxSteps = 20 } = data;
+// ── Agent tabs ────────────────────────────────────────────────────────────
 
-  const step = (type, content) =>
-    chrome.runtime.sendMessage({ action: 'agentStep', messageId, type, content }).catch(() => {});
-  const done = text =>
-    chrome.runtime.sendMessage({ action: 'agentComplete', messageId, text }).catch(() => {});
+const TAB_TOOLS = ['open_tab', 'list_tabs', 'switch_tab', 'close_tab', 'read_tab'];
 
-  const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
-  if (!activeTab?.id) { done('No active tab found.'); return; }
-  const tabId = activeTab.id;
+/** Tab state for one agent run: the working tab, every tab it touched, and its tab group. */
+function createTabContext(startTab) {
+  return { tabId: startTab.id, windowId: startTab.windowId, startTabId: startTab.id, owned: new Set([startTab.id]), opened: new Set(), groupId: null };
+}
+
+async function tabInfo(tabId) {
+  const tab = await chrome.tabs.get(tabId).catch(() => null);
+  return tab ? { id: tab.id, title: tab.title || tab.url || 'Untitled' } : { id: tabId, title: '(closed tab)' };
+}
+
+async function addToAgentGroup(ctx, tabId) {
+  try {
+    if (ctx.groupId === null) {
+      ctx.groupId = await chrome.tabs.group({ tabIds: [tabId], createProperties: { windowId: ctx.windowId } });
+      await chrome.tabGroups.update(ctx.groupId, { title: 'Agent', color: 'blue' });
+    } else {
+      await chrome.tabs.group({ tabIds: [tabId], groupId: ctx.groupId });
+    }
+  } catch (e) {
+    console.warn('[Local-Agent Ollama] could not group tab', e);
+  }
+}
+
+async function runTabTool(ctx, name, args, signal) {
+  const tabId = Number(args.tabId); // small models often send ids as strings
+  if (name === 'open_tab') {
+    const tab = await chrome.tabs.create({ url: args.url, windowId: ctx.windowId, active: !ctx.unattended });
+    ctx.owned.add(tab.id); ctx.opened.add(tab.id);
+    ctx.tabId = tab.id;
+    await addToAgentGroup(ctx, tab.id);
+    await waitLoad(tab.id, (await getSettings()).loadTimeout, signal);
+    return `Opened tab ${tab.id}; it is now the working tab.`;
+  }
+  if (name === 'list_tabs') {
+    const tabs = args.all ? await chrome.tabs.query({}) : (await Promise.all([...ctx.owned].map(id => chrome.tabs.get(id).catch(() => null)))).filter(Boolean);
+    if (!tabs.length) return 'No tabs.';
+    return tabs.map(t => `[tab ${t.id}]${t.id === ctx.tabId ? ' (working tab)' : ''} ${t.title || 'Untitled'} — ${t.url}`).join('\n');
+  }
+  if (name === 'switch_tab') {
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
+    if (!tab) return `Error: tab ${tabId} not found — call list_tabs`;
+    ctx.owned.add(tab.id);
+    ctx.tabId = tab.id;
+    if (!ctx.unattended) await chrome.tabs.update(tab.id, { active: true });
+    return `Switched to tab ${tab.id}.`;
+  }
+  if (name === 'close_tab') {
+    if (!ctx.opened.has(tabId)) return `Error: tab ${tabId} was not opened by the agent and cannot be closed`;
+    await chrome.tabs.remove(tabId).catch(() => {});
+    ctx.owned.delete(tabId); ctx.opened.delete(tabId);
+    if (ctx.tabId === tabId) {
+      ctx.tabId = [...ctx.owned].pop() ?? ctx.startTabId;
+      if (!ctx.unattended) await chrome.tabs.update(ctx.tabId, { active: true }).catch(() => {});
+      return `Closed tab ${tabId}; the working tab is now ${ctx.tabId}.`;
+    }
+    return `Closed tab ${tabId}.`;
+  }
+  if (name === 'read_tab') {
+    return extractTab(tabId, ctx.readChars);
+  }
+  return `Error: unknown tab tool ${name}`;
+}
+
+const COMPACTED = '\n\n[page listing from an earlier step removed]';
+
+/** Shrinks old tool results, oldest first, until the thread fits the budget. */
+function compactThread(messages, budget) {
+  const size = () => messages.reduce((n, m) => n + estimateTokens(m.content) + (m.images?.length || 0) * IMAGE_TOKENS + 8, 0);
+  // The system prompt, the task and the latest result stay intact
+  for (const m of messages.slice(2, -1)) {
+    if (size() <= budget) return;
+    const result = m.role === 'tool' || (m.role === 'user' && m.content.startsWith(TEXT_RESULT));
+    if (!result || m.content.endsWith(COMPACTED)) continue;
+    const text = m.content.replace(/\n\nUpdated page[\s\S]*$/, '');
+    m.content = (text.length > 600 ? text.slice(0, 600) + '…' : text) + COMPACTED;
+  }
+}
+
+function describeAction(name, args) {
+  return {
+    click:    `Click ${args.refId}`,
+    type:     `${args.clear === false ? 'Append' : 'Type'} "${String(args.text || '').slice(0, 50)}" ${args.clear === false ? 'to' : 'into'} ${args.refId}`,
+    select:   `Select "${String(args.option || '').slice(0, 50)}" in ${args.refId}`,
+    toggle:   typeof args.checked === 'boolean' ? `${args.checked ? 'Check' : 'Uncheck'} ${args.refId}` : `Toggle ${args.refId}`,
+    hover:    `Hover over ${args.refId}`,
+    drag:     `Drag ${args.fromRefId} onto ${args.toRefId}`,
+    key:      `Press ${args.key}${args.refId ? ` in ${args.refId}` : ''}`,
+    scroll:   `Scroll ${args.refId ? `${args.refId} ` : ''}${args.direction}`,
+    scroll_to: `Scroll to ${args.refId}`,
+    wait_for: `Wait for ${[args.text && `"${String(args.text).slice(0, 50)}"`, args.selector].filter(Boolean).join(' and ')}${args.gone ? ' to disappear' : ''}`,
+    upload:   `Upload ${args.name} to ${args.refId}`,
+    navigate: `Navigate to ${String(args.url || '').slice(0, 60)}`,
+    open_tab:   `Open new tab ${String(args.url || '').slice(0, 60)}`,
+    list_tabs:  'List tabs',
+    switch_tab: `Switch to tab ${args.tabId}`,
+    close_tab:  `Close tab ${args.tabId}`,
+    read_tab:   `Read tab ${args.tabId}`,
+    extract_structured: `Extract ${String(args.fields || '').slice(0, 60)}`,
+    screenshot: 'Take a screenshot'
+  }[name] || name;
+}
 
-  // Seed the conversation with the initial page state
-  const tree = await getTree(tabId);
-  const snippet = tree.length > 3500 ? tree.slice(0, 3500) + '\n…[truncated]' : tree;
+// ── Agent planning ────────────────────────────────────────────────────────
+//
+// With planning on, the model first writes a short plan that the side panel
+// shows and the agent checks off with mark_step_done. When actions fail or the
+// page stops changing, a reflection pass looks back and rewrites what is left.
+
+const PLAN_MAX_STEPS  = 8;
+const STALL_STEPS     = 3; // steps in a row without a change to the URL or the page listing
+const REPEAT_LIMIT    = 2; // identical calls on an unchanged page before further ones are refused
+const REFUSED_LIMIT   = 3; // refused calls in a row before the run is stopped
+const MAX_REFLECTIONS = 3;
+
+// Tools that gather information: a batch of only these is not a stall
+const OBSERVE_TOOLS = ['read', 'read_tab', 'list_tabs', 'screenshot', 'extract_structured', 'wait_for'];
+
+const PLAN_SCHEMA = {
+  type: 'object',
+  properties: { steps: { type: 'array', items: { type: 'string' } } },
+  required: ['steps']
+};
+
+const REFLECT_SCHEMA = {
+  type: 'object',
+  properties: { assessment: { type: 'string' }, steps: { type: 'array', items: { type: 'string' } } },
+  required: ['assessment', 'steps']
+};
+
+const PLAN_SYSTEM = `You plan tasks for a browser agent that can click, type, navigate, read pages and work with tabs. Reply with a JSON object {"steps": [...]}: 2 to ${PLAN_MAX_STEPS} short, concrete steps, each a single goal whose completion can be seen on the page (e.g. "Open the search page", "Search for X", "Read the price of the first result"). No explanations.`;
+
+const STEP_DONE_TOOL = { type: 'function', function: { name: 'mark_step_done', description: 'Check off a step of the plan once it is finished', parameters: { type: 'object', properties: { step: { type: 'number', description: 'Step number in the plan' } }, required: ['step'] } } };
+
+/** Parses the model's plan: the JSON asked for, or a numbered list when the server ignored the format. */
+function planSteps(content) {
+  const text = String(content || '').replace(/<think>[\s\S]*?<\/think>/g, '').trim();
+  let steps;
+  try { steps = JSON.parse(text).steps; } catch {}
+  if (!Array.isArray(steps)) steps = text.split('\n').filter(l => /^\s*\d+[.)]/.test(l));
+  return steps.map(s => String(s).replace(/^\s*\d+[.)]\s*/, '').trim()).filter(Boolean).slice(0, PLAN_MAX_STEPS);
+}
+
+function formatPlan(plan) {
+  return plan.map((s, i) => `${i + 1}. [${s.done ? 'x' : ' '}] ${s.text}`).join('\n');
+}
+
+async function makePlan(model, task, page, signal, limit) {
+  const msg = await llmOnce(model, [
+    { role: 'system', content: PLAN_SYSTEM },
+    { role: 'user', content: `TASK: ${task}\n\nCURRENT PAGE:\n${page}` }
+  ], { format: PLAN_SCHEMA, signal, overrides: { numCtx: limit, temperature: 0 } });
+  return planSteps(msg?.content).map(text => ({ text, done: false }));
+}
+
+/** Asks the model what went wrong and returns { assessment, plan } with the unfinished steps replaced. */
+async function reflect(model, messages, plan, reason, signal, limit) {
+  const msg = await llmOnce(model, [...messages, { role: 'user', content: `Progress check: ${reason}
+
+Current plan:
+${formatPlan(plan)}
+
+Look at what the recent actions actually did. Reply with a JSON object {"assessment": "...", "steps": [...]}: in the assessment, say in one or two sentences what is going wrong; in steps, the remaining steps of a revised plan, leaving out finished ones. Prefer a different approach over retrying the same action.` }], { format: REFLECT_SCHEMA, signal, overrides: { numCtx: limit } });
+  let assessment = '';
+  try { assessment = String(JSON.parse(msg.content.replace(/<think>[\s\S]*?<\/think>/g, '').trim()).assessment || ''); } catch {}
+  const steps = planSteps(msg?.content);
+  if (!steps.length) return null;
+  return { assessment, plan: [...plan.filter(s => s.done), ...steps.map(text => ({ text, done: false }))] };
+}
+
+// ── Agent run ─────────────────────────────────────────────────────────────
+
+/** Runs an agent task — or, with `run`, a macro — reporting to the side panel card for `messageId`. */
+async function handleAgentTask(data, run = runAgent) {
+  const { messageId } = data;
+
+  const step = (type, content, extra) =>
+    chrome.runtime.sendMessage({ action: 'agentStep', messageId, type, content, ...extra }).catch(() => {});
+  // A finished run hands over its actions, which the side panel offers to save as a macro
+  const done = (text, macro) =>
+    chrome.runtime.sendMessage({ action: 'agentComplete', messageId, text, ...(macro?.length ? { macro } : {}) }).catch(() => {});
+
+  const signal = startRun(messageId);
+  try {
+    await run(data, signal, step, done);
+  } catch (e) {
+    if (!signal.aborted) { step('error', e.message); done('Agent stopped due to an error.'); }
+  } finally {
+    endRun(messageId);
+  }
+  if (signal.aborted) { step('error', 'Stopped by user'); done('Agent stopped by user.'); }
+}
+
+/**
+ * The agent loop. It works in the active tab, or in `tabs` when given: the tab
+ * context of a scheduled run, which works unattended in a background tab.
+ */
+async function runAgent(data, signal, step, done, tabs = null) {
+  const settings = await getSettings();
+  const { task, model, messageId, images = [], snippets = [], system: instructions, temperature, maxSteps = settings.maxSteps } = data;
+
+  let ctx = tabs;
+  if (!ctx) {
+    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!activeTab?.id) { done('No active tab found.'); return; }
+    ctx = createTabContext(activeTab);
+  }
+
+  // Page listings and page text are sized to the model's window as well as the settings
+  const limit = await contextWindow(model);
+  const reserve = Math.max(512, Math.round(limit * 0.2));
+  const treeChars = Math.min(settings.initialTreeChars, Math.floor(limit * 0.35) * CHARS_PER_TOKEN);
+  const stepTreeChars = Math.min(settings.stepTreeChars, Math.floor(limit * 0.3) * CHARS_PER_TOKEN);
+  ctx.readChars = Math.min(settings.extractChars, Math.floor(limit * 0.4) * CHARS_PER_TOKEN);
+
+  // Seed the conversation with the initial page state — and what it looks like, for models that can see
+  const diffs = ctx.diffs = settings.pageUpdates !== 'full';
+  const snippet = await getTree(ctx.tabId, treeChars, ctx);
+  const canSee = await supportsVision(model);
+  const vision = canSee === true && !ctx.unattended; // a screenshot would bring the background tab to the front
+  const tools = vision ? agentTools : agentTools.filter(t => t.function.name !== 'screenshot');
+  const firstShot = vision ? await captureTab(ctx.tabId, { marks: true }).catch(() => null) : null;
+  if (images.length && canSee === false) { done(`${model} cannot see images. Pick a vision model or remove the images.`); return; }
+  const taskImages = [...images, ...(firstShot ? [firstShot] : [])];
 
   // Persistent thread — grows with every action + result, just like Claude
   const messages = [
     { role: 'system', content: `You are a browser automation agent. Use the provided tools to complete tasks step by step. Call done() when you have the final answer.
 
 Rules:
-- Ref IDs (ref_0, ref_1, …) change after every action. Never reuse a ref from a previous step — always read the current page state and find the correct ref by its LABEL.
+- Each element keeps its ref (ref_0, ref_1, …) for as long as it stays on the page. Find the ref you need by its LABEL.${diffs ? `
+- After an action you see only what changed: added elements, changed ones (new label or state) and removed refs. Every ref not listed as removed still works. After a navigation or on a new tab you get the whole listing again.` : `
+- After every action you get the whole page listing again. Use refs from the newest one.`}
+- Elements inside embedded frames are listed under their iframe with refs like f3_ref_0. Use them exactly as listed.
 - To use a field: find the element whose label matches what you want (e.g. label "To", "Subject", "Message Body"), then use that ref.
 - After clicking a button that opens a dialog or modal, wait for the updated page state and look for new fields by their labels before acting.
 - Elements marked [editable] or role=textbox are typeable — use the type tool on them.
 - Never scroll when form fields are visible. Never navigate away from a page mid-task unless required.
 - To submit a form: click the Send/Submit button by its label, or press Enter.
-- After navigating to a page where you need to read information (weather, search results, prices, articles), call read() to get the page text, then call done() with the answer.` },
-    { role: 'user', content: `TASK: ${task}\n\nCURRENT PAGE:\n${snippet}` }
+- Use select for dropdowns and toggle for checkboxes, radio buttons and switches. The listing shows each one's state: [checked], [unchecked], [selected="…"].
+- Elements marked [scrollable] scroll on their own: pass the ref to scroll. Use scroll_to to bring a listed element into view.
+- When an action starts loading something (search results, a filter, a dialog), call wait_for with text you expect to appear rather than acting on a half-loaded page.
+- After navigating to a page where you need to read information (weather, search results, prices, articles), call read() to get the page text, then call done() with the answer.
+- To work on several sites (e.g. comparing prices), use open_tab for each one instead of navigating away. The page listing always shows the working tab; use switch_tab to change it, read_tab to read another tab without switching, and close_tab when a tab is no longer needed.
+- To collect many similar items from a page (products, search results, table rows), call extract_structured with the fields you need instead of reading the page.${vision ? `
+- The page listing is text only. When what you need is visual (charts, images, canvas, icon-only buttons) or missing from the listing, call screenshot() to look at the page. Screenshots label each element from the listing with its number: a box tagged "12" is ref_12, one tagged "f3:12" is f3_ref_12.` : ''}` },
+    { role: 'user', content: `TASK: ${task}${snippets.length ? `\n\nPICKED BY THE USER:\n${snippetContext(snippets)}` : ''}\n\nWORKING TAB: ${ctx.tabId}\nCURRENT PAGE:\n${snippet}`, ...(taskImages.length ? { images: taskImages } : {}) }
   ];
 
+  // Optional plan, shown on the agent card and checked off as the agent goes
+  let plan = null;
+  const showPlan = () => chrome.runtime.sendMessage({ action: 'agentPlan', messageId, plan }).catch(() => {});
+  if (settings.agentPlan === 'on') {
+    step('thinking', 'Planning…');
+    try { plan = await makePlan(model, task, snippet, signal, limit); }
+    catch (e) { if (signal.aborted) return; step('error', `Could not make a plan: ${e.message}`); }
+    if (plan?.length) {
+      showPlan();
+      messages[0].content += '\n- Follow the plan in the task. When a step of it is finished, call mark_step_done with its number. If the plan turns out wrong, keep going toward the task anyway.';
+      messages[1].content += `\n\nPLAN:\n${formatPlan(plan)}`;
+    } else {
+      plan = null;
+    }
+  }
+  const runTools = plan ? [...tools, STEP_DONE_TOOL] : tools;
+
+  // Models without tool calling get the text commands instead — chosen up front from the
+  // model's capabilities or the setting, or on the way when the server turns tools down
+  let textMode = false;
+  const useText = why => {
+    textMode = true;
+    messages[0].content += textProtocol({ vision, plan });
+    step('thinking', why);
+  };
+  if (settings.agentProtocol === 'text') useText('Using text commands');
+  else if (settings.agentProtocol !== 'tools' && await supportsTools(model) === false) useText(`${model} has no tool calling — using text commands`);
+  let unparsed = 0;
+
+  // A persona's or saved prompt's system prompt adds to the agent's rules rather than replacing them
+  if (instructions) messages[0].content += `\n\nThe user's instructions for this task:\n${instructions}`;
+
+  // Site rules come with the first page on each site they cover, once
+  const notedRules = new Set();
+  const newSiteNotes = async () => {
+    const url = (await chrome.tabs.get(ctx.tabId).catch(() => null))?.url;
+    const rules = (await rulesFor(url ? [url] : [])).filter(r => !notedRules.has(r.id));
+    rules.forEach(r => notedRules.add(r.id));
+    return rules.length ? `\n\nSITE RULES FROM THE USER:\n${formatRules(rules)}` : '';
+  };
+  messages[1].content += await newSiteNotes();
+
+  // Tool results go back as tool messages, or as user messages in text mode
+  const reply = (tc, content) => messages.push(textMode
+    ? { role: 'user', content: `${TEXT_RESULT} of ${describeAction(tc.function.name, tc.function.arguments)}: ${content}` }
+    : { role: 'tool', tool_call_id: tc.id, content });
+
+  // Loop and stall detection
+  // Field values count too, so filling a form in is progress though the listing stays the same
+  const pageState = () => ctx.lastTree ? hashText(ctx.lastTree.url + ctx.lastTree.tree + ctx.lastTree.fields) : '';
+  let lastCall = '', repeats = 0, refused = 0, stalled = 0, reflections = 0, lastReflection = 0;
+  const recorded = []; // the actions that worked, as macro steps
+
   for (let i = 1; i <= maxSteps; i++) {
+    if (signal.aborted) return;
     step('thinking', `Step ${i}…`);
 
+    compactThread(messages, limit - reserve);
+
     let msg;
     try {
-      const r = await fetch(`${OLLAMA}/api/chat`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ model, messages, tools: agentTools, stream: false })
-      });
-      if (!r.ok) throw new Error(ollamaError(r.status));
-      msg = (await r.json()).message;
-    } catch (e) { step('error', `Model error: ${e.message}`); done('Agent stopped due to an error.'); return; }
+      msg = await llmOnce(model, messages, { tools: textMode ? undefined : runTools, signal, overrides: { numCtx: limit, ...definedOnly({ temperature }) } });
+    } catch (e) {
+      if (signal.aborted) return;
+      if (!textMode && TOOLS_REFUSED.test(e.message)) { useText(`${model} does not take tools — using text commands`); i--; continue; }
+      step('error', `Model error: ${e.message}`); done('Agent stopped due to an error.'); return;
+    }
 
-    const toolCalls = msg?.tool_calls;
+    let toolCalls = msg?.tool_calls;
+    const content = msg?.content?.trim() || '';
 
-    // No tool calls: model returned plain text — try text parsing, else treat as final answer
-    if (!toolCalls?.length) {
-      const content = msg?.content?.trim() || '';
+    // No tool calls: a final answer, or a model that writes commands instead of calling tools.
+    // Only a reply that is nothing but a command line counts as the latter.
+    if (!textMode && !toolCalls?.length) {
       const action = parseAction(content);
-      if (action?.name === 'done') { done(action.args.result); return; }
-      done(content || 'Task complete.');
-      return;
+      if (action?.name === 'done') { done(action.args.result || content || 'Task complete.', recorded); return; }
+      if (!action?.lone) { done(content || 'Task complete.', recorded); return; }
+      useText('The model writes commands instead of calling tools — using text commands');
     }
 
-    // Append the assistant turn to the thread
-    messages.push({ role: 'assistant', content: msg.content || '', tool_calls: toolCalls });
+    if (textMode) {
+      messages.push({ role: 'assistant', content });
+      const action = parseAction(content);
+      if (!action) {
+        // A reply without a command: ask again a couple of times, then take it as the answer
+        if (++unparsed > PARSE_RETRIES) { done(content || 'Task complete.', recorded); return; }
+        step('error', 'No command in the reply — asking again');
+        messages.push({ role: 'user', content: `${TEXT_RESULT}: no command found in your reply. End your reply with exactly one command line from the list, e.g. CLICK ref_3, READ, or DONE <answer>.` });
+        continue;
+      }
+      unparsed = 0;
+      toolCalls = [{ id: `text_${i}`, function: { name: action.name, arguments: action.args } }];
+    } else {
+      // Append the assistant turn to the thread
+      messages.push({ role: 'assistant', content: msg.content || '', tool_calls: toolCalls });
+    }
+    let wantScreenshot = false; // taken after the batch, so its labels match the newest page listing
+    const stateBefore = pageState();
+    let failed = 0, observed = false, blocked = false;
 
     for (const tc of toolCalls) {
+      if (signal.aborted) return;
       const name = tc.function.name;
-      const args = tc.function.arguments; // already an object in Ollama (not a JSON string)
+      let args = tc.function.arguments; // normalized to an object by the provider adapter
+
+      if (name === 'done') { done(args.result, recorded); return; }
+
+      if (name === 'mark_step_done') {
+        const n = Number(args.step);
+        let content = `Error: the plan has no step ${args.step}`;
+        if (plan?.[n - 1]) {
+          plan[n - 1].done = true;
+          showPlan();
+          content = `Step ${n} checked off.\n\nPLAN:\n${formatPlan(plan)}`;
+        }
+        reply(tc, content);
+        observed = true;
+        continue;
+      }
 
-      if (name === 'done') { done(args.result); return; }
+      // The same call on a page that has not changed since will not work any better
+      const call = `${name}:${JSON.stringify(args)}:${pageState()}`;
+      repeats = call === lastCall ? repeats + 1 : 1;
+      lastCall = call;
+      if (repeats > REPEAT_LIMIT) {
+        step('error', `Skipped repeated action: ${describeAction(name, args)}`);
+        if (++refused >= REFUSED_LIMIT) { done('Stopped: the agent kept repeating an action that was not working.'); return; }
+        reply(tc, `Not run: this is call number ${repeats} of ${name} with the same arguments, and the page has not changed since the first. It is not working. Try a different element or approach, or call done() and explain what is blocking you.`);
+        blocked = true;
+        continue;
+      }
+      refused = 0;
+      if (OBSERVE_TOOLS.includes(name)) observed = true;
+
+      // Risky actions wait for the user unless this site is on the auto-approve list
+      const approval = await approveAction(ctx, messageId, name, args, signal, step);
+      if (approval.rejected) {
+        step('error', `Rejected: ${describeAction(name, args)}`);
+        reply(tc, `The user rejected this action (${approval.rejected}). Do not retry it — choose a different action, or call done() and explain why the task cannot be completed.`);
+        continue;
+      }
+      args = approval.args;
 
-      const desc = {
-        click:    `Click ${args.refId}`,
-        type:     `Type "${String(args.text || '').slice(0, 50)}" into ${args.refId}`,
-        key:      `Press ${args.key}`,
-        scroll:   `Scroll ${args.direction}`,
-        navigate: `Navigate to ${String(args.url || '').slice(0, 60)}`
-      }[name] || name;
-      step('action', desc);
+      step('action', describeAction(name, args), { tab: await tabInfo(ctx.tabId) });
+      // Elements are described now — a click can take them off the page
+      const macroStep = MACRO_SKIP.includes(name) ? null : await toMacroStep(ctx, name, args);
 
       let toolResult = '';
       try {
         if (name === 'navigate') {
-          await chrome.tabs.update(tabId, { url: args.url });
-          await waitLoad(tabId);
+          await navigateTab(ctx, args.url, settings, signal);
           toolResult = 'Navigated.';
         } else if (name === 'read') {
-          const text = await extractTab(tabId);
+          const text = await extractTab(ctx.tabId, ctx.readChars);
           toolResult = text;
+        } else if (TAB_TOOLS.includes(name)) {
+          toolResult = await runTabTool(ctx, name, args, signal);
+        } else if (name === 'screenshot') {
+          wantScreenshot = true;
+          toolResult = 'Screenshot taken; it follows the tool results.';
+        } else if (name === 'extract_structured') {
+          const { rows } = await extractStructured({ tabId: ctx.tabId, schema: String(args.fields || ''), instructions: args.instructions, model, signal });
+          const json = JSON.stringify(rows);
+          toolResult = `${rows.length} records:\n${json.length > ctx.readChars ? json.slice(0, ctx.readChars) + '…[truncated]' : json}`;
         } else {
-          const result = await chrome.tabs.sendMessage(tabId, { action: 'executeTool', tool: name, args });
+          const result = await runPageTool(ctx, name, args, settings, signal);
           if (result?.success === false) {
             step('error', result.error);
             toolResult = `Error: ${result.error}`;
           } else {
-            toolResult = 'Action completed.';
-            await sleep(1500);
+            toolResult = `${result?.message || 'Action completed.'} ${result.effect}`;
           }
         }
       } catch (e) {
+        if (signal.aborted) return;
         step('error', `Action failed: ${e.message}`);
         toolResult = `Error: ${e.message}`;
       }
+      if (toolResult.startsWith('Error:')) failed++;
+      else if (macroStep) recorded.push(macroStep);
 
       // Include the updated page state in the tool result — model sees what changed
-      const newTree = await getTree(tabId);
-      const newSnippet = newTree.length > 3000 ? newTree.slice(0, 3000) + '\n…[truncated]' : newTree;
-      messages.push({ role: 'tool', content: `${toolResult}\n\nUpdated page:\n${newSnippet}` });
+      const newSnippet = await getTree(ctx.tabId, stepTreeChars, ctx);
+      reply(tc, `${toolResult}\n\nUpdated page (working tab ${ctx.tabId}):\n${newSnippet}${await newSiteNotes()}`);
+    }
+
+    if (wantScreenshot) {
+      // Sent as a user turn after the tool results — not every server accepts images on tool messages
+      const shot = await captureTab(ctx.tabId, { marks: true }).catch(e => { step('error', e.message); return null; });
+      if (shot) {
+        // Only the newest screenshot stays in the thread (the task keeps its own images)
+        for (const m of messages.slice(2)) if (m.images) { delete m.images; m.content += '\n[earlier screenshot removed]'; }
+        messages.push({ role: 'user', content: `Screenshot of the working tab (${ctx.tabId}), refs labeled by number:`, images: [shot] });
+      }
+    }
+
+    // No progress: actions that neither changed the page nor gathered anything
+    stalled = !observed && pageState() === stateBefore ? stalled + 1 : 0;
+    const trouble = stalled >= STALL_STEPS ? `the URL and the page have not changed in ${stalled} steps.`
+      : blocked ? 'the same action was repeated without effect.'
+      : failed ? `${failed === 1 ? 'an action' : `${failed} actions`} failed in the last step.`
+      : null;
+    if (!trouble) continue;
+    if (plan && reflections < MAX_REFLECTIONS && i - lastReflection >= 2) {
+      step('thinking', 'Reviewing the plan…');
+      compactThread(messages, limit - reserve);
+      let revised = null;
+      try { revised = await reflect(model, messages, plan, trouble, signal, limit); }
+      catch (e) { if (signal.aborted) return; }
+      reflections++; lastReflection = i; stalled = 0;
+      if (revised) {
+        plan = revised.plan;
+        showPlan();
+        step('reflect', revised.assessment ? `Revised the plan: ${revised.assessment}` : 'Revised the plan');
+        messages.push({ role: 'user', content: `${revised.assessment ? `Reflection: ${revised.assessment}\n\n` : ''}Revised plan — continue with the first unchecked step:\n${formatPlan(plan)}` });
+      }
+    } else if (stalled >= STALL_STEPS) {
+      stalled = 0;
+      messages.push({ role: 'user', content: `The page has not changed in the last ${STALL_STEPS} steps, so what you are doing is not working. Try a different approach, or call done() and explain what is blocking you.` });
     }
   }
 
   done(`Reached maximum steps (${maxSteps}).`);
 }
 
+// ── Macros ────────────────────────────────────────────────────────────────
+//
+// A macro is a finished agent run, or a session the user recorded by hand,
+// kept as its tool calls. Refs only last as long as the page, so each element
+// is kept as its role and label instead, and replays find it again in the
+// page listing. The model is asked only for a step whose element is gone.
+//
+// chrome.storage.local holds:
+//   macros        [{ id, name, task, created, steps: [{ tool, args, target?, target2?, tabUrl?, url }] }]
+//   recordingTab  the tab being recorded by hand; only its frames are armed to record
+// chrome.storage.session holds the steps recorded so far (recordedSteps).
+
+const MACRO_SKIP    = ['screenshot', 'list_tabs', 'mark_step_done'];
+const MATCH_WAIT_MS = 5000; // how long a step waits for its element to appear before asking the model
+const MACRO_PARAM   = /\{\{\s*([\w-]+)\s*\}\}/g;
+const TYPED_NAV     = ['typed', 'auto_bookmark', 'generated', 'keyword'];
+
+const LOCATE_SCHEMA = {
+  type: 'object',
+  properties: { ref: { type: 'string' } },
+  required: ['ref']
+};
+
+const LOCATE_SYSTEM = 'You find elements on web pages for a recorded browser macro. The page has changed since the recording, so the element may look different now. Reply with a JSON object {"ref": "ref_N"} naming the element in the listing that does the same job, or {"ref": ""} if there is none.';
+
+/** One agent action as a macro step: its arguments without refs or tab ids, and what they pointed at. */
+async function toMacroStep(ctx, name, args) {
+  const { refId, fromRefId, toRefId, tabId, ...rest } = args;
+  const tab = await chrome.tabs.get(ctx.tabId).catch(() => null);
+  const step = { tool: name, args: rest, url: tab?.url || '' };
+  if (refId || fromRefId) step.target = await describeRef(ctx.tabId, refId || fromRefId);
+  if (toRefId) step.target2 = await describeRef(ctx.tabId, toRefId);
+  // Like the recorder: a macro asks for the password each run instead of keeping it
+  if (step.target?.type === 'password' && 'text' in rest) rest.text = '{{password}}';
+  if (tabId !== undefined) step.tabUrl = (await chrome.tabs.get(Number(tabId)).catch(() => null))?.url || '';
+  return step;
+}
+
+function fillParams(value, params) {
+  if (typeof value === 'string') return value.replace(MACRO_PARAM, (m, name) => params[name] ?? m);
+  if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, fillParams(v, params)]));
+  return value;
+}
+
+function describeMacroStep(s, args) {
+  const shown = { ...args };
+  if (s.target) shown.refId = shown.fromRefId = `"${s.target.label}"`;
+  if (s.target2) shown.toRefId = `"${s.target2.label}"`;
+  if (s.tabUrl !== undefined) shown.tabId = s.tabUrl || '(new tab)';
+  return describeAction(s.tool, shown);
+}
+
+/** The ref in a page listing for a recorded element: same role and label, then same label, then a label containing it. */
+function findRef(tree, target) {
+  if (!target.label) return null; // nothing to tell it from the page's other unlabeled elements
+  const items = [...refLines(tree)].map(([id, line]) => ({ id, role: /^[^\s:]+/.exec(line)?.[0], label: /.*: "(.*)"$/.exec(line)?.[1] || '' }));
+  const label = target.label.toLowerCase();
+  const sameRole = items.filter(e => e.role === target.role);
+  const found = sameRole.find(e => e.label === target.label)
+    || items.find(e => e.label.toLowerCase() === label)
+    || (label && sameRole.find(e => e.label.toLowerCase().includes(label)));
+  return found?.id || null;
+}
+
+async function askForRef(model, what, target, tree, signal) {
+  const limit = await contextWindow(model);
+  const chars = Math.floor(limit * 0.6) * CHARS_PER_TOKEN;
+  const msg = await llmOnce(model, [
+    { role: 'system', content: LOCATE_SYSTEM },
+    { role: 'user', content: `STEP: ${what}\nRECORDED ELEMENT: ${target.role} "${target.label}"\n\nPAGE LISTING:\n${tree.length > chars ? tree.slice(0, chars) + '\n…[truncated]' : tree}` }
+  ], { format: LOCATE_SCHEMA, signal, overrides: { numCtx: limit, temperature: 0 } });
+  let ref = '';
+  try { ref = String(JSON.parse(msg.content.replace(/<think>[\s\S]*?<\/think>/g, '').trim()).ref || ''); } catch {}
+  return refLines(tree).has(ref) ? ref : null;
+}
+
+/** Finds a recorded element on the working tab, waiting a little for it to render; the model is the last resort. */
+async function locate(ctx, target, what, model, signal, step) {
+  const until = Date.now() + MATCH_WAIT_MS;
+  let page = null;
+  for (;;) {
+    page = await frameTree(ctx.tabId, 0);
+    const ref = page && findRef(page.tree, target);
+    if (ref) return ref;
+    if (Date.now() >= until) break;
+    await sleep(500, signal);
+  }
+  if (!page || !model) return null;
+  step('thinking', `No ${target.role} "${target.label}" on the page — asking ${model}`);
+  return askForRef(model, what, target, page.tree, signal);
+}
+
+async function tabByUrl(ctx, url) {
+  const tabs = await chrome.tabs.query({ windowId: ctx.windowId });
+  const owned = tabs.filter(t => ctx.owned.has(t.id));
+  return [...owned, ...tabs].find(t => t.url === url)
+    || [...owned, ...tabs].find(t => originOf(t.url) === originOf(url))
+    || null;
+}
+
+/** Replays a saved macro on the active tab; reads and extractions make up the answer. */
+async function runMacro(data, signal, step, done) {
+  const settings = await getSettings();
+  const { id, params = {}, model, messageId } = data;
+  const macro = (await macroList()).find(m => m.id === id);
+  if (!macro) { done('That macro no longer exists.'); return; }
+
+  const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!activeTab?.id) { done('No active tab found.'); return; }
+  const ctx = createTabContext(activeTab);
+  ctx.readChars = settings.extractChars;
+
+  const outputs = [];
+  const total = macro.steps.length;
+  for (const [i, s] of macro.steps.entries()) {
+    if (signal.aborted) return;
+    let args = fillParams(s.args, params);
+    const what = describeMacroStep(s, args);
+    const stop = why => { step('error', why); done(`Stopped at step ${i + 1} of ${total} (${what}): ${why}`); };
+
+    if (s.target || s.target2) {
+      const ref = s.target && await locate(ctx, s.target, what, model, signal, step);
+      const ref2 = s.target2 && await locate(ctx, s.target2, what, model, signal, step);
+      if (signal.aborted) return;
+      const missing = (s.target && !ref && s.target) || (s.target2 && !ref2 && s.target2);
+      if (missing) { stop(`could not find ${missing.role} "${missing.label}"`); return; }
+      if (ref) args[s.tool === 'drag' ? 'fromRefId' : 'refId'] = ref;
+      if (ref2) args.toRefId = ref2;
+    }
+    if (s.tabUrl !== undefined) {
+      const tab = await tabByUrl(ctx, s.tabUrl);
+      if (!tab) { stop(`no open tab for ${s.tabUrl}`); return; }
+      args.tabId = tab.id;
+    }
+
+    const approval = await approveAction(ctx, messageId, s.tool, args, signal, step);
+    if (approval.rejected) { stop(`rejected (${approval.rejected})`); return; }
+    args = approval.args;
+
+    step('action', what, { tab: await tabInfo(ctx.tabId) });
+    try {
+      if (s.tool === 'navigate') {
+        await navigateTab(ctx, args.url, settings, signal);
+      } else if (s.tool === 'read') {
+        outputs.push(await extractTab(ctx.tabId, ctx.readChars));
+      } else if (TAB_TOOLS.includes(s.tool)) {
+        const text = await runTabTool(ctx, s.tool, args, signal);
+        if (text.startsWith('Error:')) throw new Error(text.replace(/^Error: /, ''));
+        if (s.tool === 'read_tab') outputs.push(text);
+      } else if (s.tool === 'extract_structured') {
+        if (!model) throw new Error('pick a model to extract data');
+        const { rows } = await extractStructured({ tabId: ctx.tabId, schema: String(args.fields || ''), instructions: args.instructions, model, signal });
+        outputs.push('```json\n' + JSON.stringify(rows, null, 2) + '\n```');
+      } else {
+        const result = await runPageTool(ctx, s.tool, args, settings, signal);
+        if (result?.success === false) throw new Error(result.error);
+      }
+    } catch (e) {
+      if (signal.aborted) return;
+      stop(e.message);
+      return;
+    }
+  }
+
+  done(outputs.length ? outputs.join('\n\n') : `Ran “${macro.name}” — ${total} step${total === 1 ? '' : 's'}.`);
+}
+
+async function macroList() {
+  const { macros = [] } = await chrome.storage.local.get('macros');
+  return macros;
+}
+
+async function macroSave({ name, task = '', steps }) {
+  if (!steps?.length) throw new Error('There are no steps to save');
+  const macro = { id: `m${Date.now().toString(36)}`, name: String(name || task || 'Macro').trim().slice(0, 80), task, created: Date.now(), steps };
+  await chrome.storage.local.set({ macros: [macro, ...await macroList()] });
+  return macro;
+}
+
+async function macroUpdate({ id, name, steps }) {
+  const macros = await macroList();
+  const macro = macros.find(m => m.id === id);
+  if (!macro) throw new Error('That macro no longer exists');
+  if (name !== undefined) macro.name = String(name).trim().slice(0, 80) || macro.name;
+  if (steps) macro.steps = steps;
+  await chrome.storage.local.set({ macros });
+  return macro;
+}
+
+async function macroDelete({ id }) {
+  await chrome.storage.local.set({ macros: (await macroList()).filter(m => m.id !== id) });
+  return true;
+}
+
+/** Starts recording the user in a tab; the first step opens the page they start on. */
+async function recordStart({ tabId }) {
+  const tab = await chrome.tabs.get(tabId);
+  const steps = /^https?:/.test(tab.url) ? [{ tool: 'navigate', args: { url: tab.url }, url: tab.url }] : [];
+  await chrome.storage.session.set({ recordedSteps: steps });
+  await chrome.storage.local.set({ recordingTab: tabId });
+  await armRecorder(tabId, true);
+  return true;
+}
+
+async function recordStop() {
+  const { recordedSteps = [] } = await chrome.storage.session.get('recordedSteps');
+  const { recordingTab } = await chrome.storage.local.get('recordingTab');
+  await chrome.storage.local.remove('recordingTab');
+  await chrome.storage.session.remove('recordedSteps');
+  if (recordingTab != null) await armRecorder(recordingTab, false);
+  return recordedSteps;
+}
+
+/** Turns the content scripts' recorder on or off in every frame of one tab. */
+async function armRecorder(tabId, on) {
+  const frames = await chrome.webNavigation.getAllFrames({ tabId }).catch(() => null) || [{ frameId: 0 }];
+  await Promise.all(frames.map(({ frameId }) =>
+    chrome.tabs.sendMessage(tabId, { action: 'setRecording', on }, { frameId }).catch(() => {})));
+}
+
+// Each page the recorded tab loads gets a fresh content script: arm it once it has
+// loaded (content scripts run by document_idle, so they are there when onCompleted fires)
+chrome.webNavigation.onCompleted.addListener(async d => {
+  const { recordingTab } = await chrome.storage.local.get('recordingTab');
+  if (d.tabId === recordingTab) chrome.tabs.sendMessage(d.tabId, { action: 'setRecording', on: true }, { frameId: d.frameId }).catch(() => {});
+});
+
+// Steps come in from every frame of the tab; one at a time, so none is lost
+let recordQueue = Promise.resolve();
+
+function recordStep(tabId, step) {
+  recordQueue = recordQueue.then(async () => {
+    const { recordingTab } = await chrome.storage.local.get('recordingTab');
+    if (recordingTab !== tabId) return;
+    const { recordedSteps = [] } = await chrome.storage.session.get('recordedSteps');
+    recordedSteps.push(step);
+    await chrome.storage.session.set({ recordedSteps });
+  }).catch(console.error);
+}
+
+// Addresses typed into the address bar while recording become navigate steps
+chrome.webNavigation.onCommitted.addListener(d => {
+  if (d.frameId !== 0 || !TYPED_NAV.includes(d.transitionType) || d.transitionQualifiers.includes('forward_back')) return;
+  recordStep(d.tabId, { tool: 'navigate', args: { url: d.url }, url: d.url });
+});
+
+// A recording does not outlive the browser session that held its steps
+chrome.runtime.onStartup.addListener(() => chrome.storage.local.remove('recordingTab'));
+
+// ── Schedules ─────────────────────────────────────────────────────────────
+//
+// Chat prompts about a set of pages, and agent tasks, that run by themselves
+// on a timer in a background tab. chrome.storage.local holds:
+//   schedules          [{ id, name, kind: 'chat' | 'agent', prompt, urls, model, every, at, notify, condition,
+//                         paused, created, lastRun, running, last: { ok, changed, matched } }]
+//   scheduleRuns:<id>  its latest runs, newest first: [{ started, finished, ok, result, changed, matched, reason, steps }]
+// Each schedule has one alarm ("schedule:<id>") for its next run, set again
+// after every run, so runs missed while the browser was closed happen on start.
+
+const SCHEDULE_ALARM     = 'schedule:';
+const SCHEDULE_RUNS_KEPT = 20;
+const DAY_MINUTES        = 1440;
+const LAST_RESULT_CHARS  = 2000; // of the previous result, given to the model so it can say what changed
+
+const CONDITION_SCHEMA = {
+  type: 'object',
+  properties: { matches: { type: 'boolean' }, reason: { type: 'string' } },
+  required: ['matches']
+};
+
+async function scheduleList() {
+  const { schedules = [] } = await chrome.storage.local.get('schedules');
+  const alarms = new Map((await chrome.alarms.getAll()).map(a => [a.name, a.scheduledTime]));
+  return schedules.map(s => ({ ...s, nextRun: alarms.get(SCHEDULE_ALARM + s.id) || null }));
+}
+
+async function updateSchedule(id, patch) {
+  const { schedules = [] } = await chrome.storage.local.get('schedules');
+  const s = schedules.find(x => x.id === id);
+  if (!s) return null;
+  Object.assign(s, patch);
+  await chrome.storage.local.set({ schedules });
+  return s;
+}
+
+/**
+ * When a schedule runs next: a period after its last run, and for daily and
+ * weekly ones at its time of day. The hour of slack keeps a run that started
+ * late from pushing the next one a whole period on.
+ */
+function nextRunTime(s, now = Date.now()) {
+  const period = s.every * 60000;
+  if (s.every < DAY_MINUTES || !s.at) return (s.lastRun || now) + period;
+  const [h, m] = s.at.split(':').map(Number);
+  const from = s.lastRun ? s.lastRun + period - 3600000 : now;
+  const next = new Date(from);
+  next.setHours(h, m, 0, 0);
+  if (next.getTime() <= from) next.setDate(next.getDate() + 1);
+  return next.getTime();
+}
+
+async function armSchedule(s) {
+  await chrome.alarms.clear(SCHEDULE_ALARM + s.id);
+  if (!s.paused) await chrome.alarms.create(SCHEDULE_ALARM + s.id, { when: Math.max(nextRunTime(s), Date.now() + 1000) });
+}
+
+async function armSchedules() {
+  const { schedules = [] } = await chrome.storage.local.get('schedules');
+  // A browser that quit mid-run never finished it
+  for (const s of schedules) { s.running = false; await armSchedule(s); }
+  await chrome.storage.local.set({ schedules });
+}
+
+async function scheduleSave({ id, name, kind, prompt, urls = [], model, every, at = '', notify = 'changed', condition = '' }) {
+  prompt = String(prompt || '').trim();
+  if (!prompt) throw new Error(kind === 'agent' ? 'Describe the task' : 'Write the prompt');
+  if (!model) throw new Error('Pick a model first');
+  urls = urls.map(u => String(u).trim()).filter(Boolean);
+  const bad = urls.find(u => !/^https?:\/\//.test(u));
+  if (bad) throw new Error(`Not a web address: ${bad}`);
+  if (kind === 'chat' && !urls.length) throw new Error('Add at least one page to read');
+  if (notify === 'condition' && !condition.trim()) throw new Error('Describe the condition to watch for');
+  const fields = { name: String(name || '').trim() || prompt.slice(0, 60), kind, prompt, urls, model, every: Number(every), at, notify, condition: condition.trim() };
+  const { schedules = [] } = await chrome.storage.local.get('schedules');
+  let s = schedules.find(x => x.id === id);
+  if (s) Object.assign(s, fields);
+  else schedules.push(s = { id: `s${Date.now().toString(36)}`, ...fields, paused: false, created: Date.now(), lastRun: null });
+  await chrome.storage.local.set({ schedules });
+  await armSchedule(s);
+  return s;
+}
+
+async function scheduleDelete({ id }) {
+  const { schedules = [] } = await chrome.storage.local.get('schedules');
+  await chrome.storage.local.set({ schedules: schedules.filter(s => s.id !== id) });
+  await chrome.storage.local.remove(`scheduleRuns:${id}`);
+  await chrome.alarms.clear(SCHEDULE_ALARM + id);
+  return true;
+}
+
+async function schedulePause({ id, paused }) {
+  const s = await updateSchedule(id, { paused: !!paused });
+  if (!s) throw new Error('That schedule no longer exists');
+  await armSchedule(s);
+  return s;
+}
+
+async function scheduleRuns({ id }) {
+  const key = `scheduleRuns:${id}`;
+  return (await chrome.storage.local.get(key))[key] || [];
+}
+
+async function scheduleRunNow({ id }) {
+  runSchedule(id);
+  return true;
+}
+
+/** A tab for an unattended run that does not take the user's focus — in a minimized window if none is open. */
+async function backgroundTab(url) {
+  const win = await chrome.windows.getLastFocused({ windowTypes: ['normal'] }).catch(() => null);
+  if (win) return chrome.tabs.create({ windowId: win.id, url, active: false });
+  return (await chrome.windows.create({ url, focused: false, state: 'minimized' })).tabs[0];
+}
+
+async function scheduledChat(s, last, signal) {
+  const settings = await getSettings();
+  const limit = await contextWindow(s.model);
+  const previous = last?.ok ? `\n\nYOUR ANSWER FROM THE LAST RUN (${new Date(last.started).toLocaleString()}):\n${last.result.slice(0, LAST_RESULT_CHARS)}` : '';
+  const query = s.prompt + previous;
+  const plan = planBudget(limit, { system: PAGES_SYSTEM, query, tabCount: s.urls.length });
+  const maxChars = pageShare(plan, 0, s.urls.length) * CHARS_PER_TOKEN;
+
+  const pages = [];
+  for (const url of s.urls) {
+    if (signal.aborted) throw new Error('Stopped');
+    const tab = await backgroundTab(url);
+    try {
+      await waitLoad(tab.id, settings.loadTimeout, signal);
+      pages.push(`=== ${url} ===\n${await extractTab(tab.id, maxChars)}`);
+    } finally {
+      await chrome.tabs.remove(tab.id).catch(() => {});
+    }
+  }
+  return llmChat(s.model, [
+    { role: 'system', content: PAGES_SYSTEM },
+    { role: 'user', content: `${pages.join('\n\n---\n\n')}\n\n---\nQuestion: ${query}` }
+  ], () => {}, signal, { numCtx: limit, temperature: 0 });
+}
+
+async function scheduledAgent(s, last, signal, steps) {
+  const tab = await backgroundTab(s.urls[0] || 'about:blank');
+  const ctx = createTabContext(tab);
+  ctx.unattended = true;
+  ctx.opened.add(tab.id);
+  try {
+    await waitLoad(tab.id, (await getSettings()).loadTimeout, signal);
+    const previous = last?.ok ? `\n\nFor comparison, the result of the last run (${new Date(last.started).toLocaleString()}) was:\n${last.result.slice(0, LAST_RESULT_CHARS)}` : '';
+    let answer = null;
+    await runAgent({ task: s.prompt + previous, model: s.model, messageId: null }, signal,
+      (type, content) => steps.push({ type, content }),
+      text => { answer = text; },
+      ctx);
+    if (answer === null) throw new Error('Stopped');
+    return answer;
+  } finally {
+    for (const id of ctx.opened) await chrome.tabs.remove(id).catch(() => {});
+  }
+}
+
+async function checkCondition(s, result, signal) {
+  const msg = await llmOnce(s.model, [
+    { role: 'system', content: 'You check the result of a scheduled task against a condition. Reply with a JSON object {"matches": true or false, "reason": "one short sentence"}.' },
+    { role: 'user', content: `CONDITION: ${s.condition}\n\nRESULT:\n${result}` }
+  ], { format: CONDITION_SCHEMA, signal, overrides: { temperature: 0 } });
+  try {
+    const { matches, reason = '' } = JSON.parse(msg.content.replace(/<think>[\s\S]*?<\/think>/g, '').trim());
+    return { matched: matches === true, reason: String(reason) };
+  } catch {
+    return { matched: false, reason: 'The model did not give a clear answer' };
+  }
+}
+
+const NOTIFY_REASONS = { failed: 'Failed', finished: 'Done', matched: 'Condition met', changed: 'Changed since the last run' };
+
+function notifyRun(s, run) {
+  if (s.notify === 'never') return;
+  const why = !run.ok ? 'failed'
+    : s.notify === 'always' ? 'finished'
+    : s.notify === 'condition' && run.matched ? 'matched'
+    : s.notify === 'changed' && run.changed ? 'changed'
+    : null;
+  if (!why) return;
+  chrome.notifications.create(`${SCHEDULE_ALARM}${s.id}:${run.started}`, {
+    type: 'basic',
+    iconUrl: 'icon-128.png',
+    title: s.name,
+    message: (why === 'matched' && run.reason ? run.reason : run.result).replace(/\s+/g, ' ').slice(0, 200),
+    contextMessage: NOTIFY_REASONS[why]
+  }).catch(console.error);
+}
+
+// One scheduled run at a time: they share the model, and each opens tabs of its own
+let scheduleQueue = Promise.resolve();
+
+function runSchedule(id) {
+  scheduleQueue = scheduleQueue.then(() => executeSchedule(id)).catch(console.error);
+  return scheduleQueue;
+}
+
+async function executeSchedule(id) {
+  const { schedules = [] } = await chrome.storage.local.get('schedules');
+  const s = schedules.find(x => x.id === id);
+  if (!s) return;
+  const previousRuns = await scheduleRuns({ id });
+  const last = previousRuns.find(r => r.ok);
+  const run = { started: Date.now(), ok: false, result: '', changed: false, matched: false, steps: [] };
+  await updateSchedule(id, { running: true });
+
+  const messageId = `schedule-${id}-${run.started}`;
+  const signal = startRun(messageId);
+  try {
+    run.result = s.kind === 'agent' ? await scheduledAgent(s, last, signal, run.steps) : await scheduledChat(s, last, signal);
+    run.ok = true;
+    const norm = t => t.replace(/\s+/g, ' ').trim().toLowerCase();
+    run.changed = !!last && norm(run.result) !== norm(last.result);
+    if (s.condition) Object.assign(run, await checkCondition(s, run.result, signal));
+  } catch (e) {
+    run.result = `Error: ${e.message}`;
+  } finally {
+    endRun(messageId);
+  }
+  run.finished = Date.now();
+
+  // A schedule deleted while it ran keeps no history behind. The runs are
+  // stored before the schedule changes, which is what redraws the side panel.
+  const { schedules: current = [] } = await chrome.storage.local.get('schedules');
+  if (!current.some(x => x.id === id)) return;
+  notifyRun(s, run);
+  await chrome.storage.local.set({ [`scheduleRuns:${id}`]: [run, ...previousRuns].slice(0, SCHEDULE_RUNS_KEPT) });
+  const updated = await updateSchedule(id, { running: false, lastRun: run.started, last: { ok: run.ok, changed: run.changed, matched: run.matched } });
+  if (updated) await armSchedule(updated);
+}
+
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name.startsWith(SCHEDULE_ALARM)) runSchedule(alarm.name.slice(SCHEDULE_ALARM.length));
+});
+
+// Alarms do not survive an extension update and may not survive a restart
+chrome.runtime.onInstalled.addListener(() => armSchedules());
+chrome.runtime.onStartup.addListener(() => armSchedules());
+
+// A click on a run's notification opens the side panel on that schedule
+chrome.notifications.onClicked.addListener(async notificationId => {
+  if (!notificationId.startsWith(SCHEDULE_ALARM)) return;
+  chrome.notifications.clear(notificationId);
+  await chrome.storage.session.set({ openSchedule: notificationId.slice(SCHEDULE_ALARM.length).split(':')[0] });
+  const win = await chrome.windows.getLastFocused({ windowTypes: ['normal'] }).catch(() => null);
+  if (win) chrome.sidePanel.open({ windowId: win.id }).catch(() => {});
+});
+
+// ── Selections and picked elements ───────────────────────────────────────
+//
+// Text selected on a page (context menu or shortcut) and elements picked with
+// content.js's picker reach the side panel as snippets { kind, label, title,
+// url, text }, shown as chips above the input and sent with the next message.
+// They wait in session storage, since the panel may not be open yet.
+
+const SNIPPET_CHARS  = 20000;
+const SNIPPET_KINDS  = { selection: 'Selected text', element: 'Page element', html: 'Page element (HTML)' };
+const SELECTION_MENU = 'ask-selection';
+const PICKER_MENU    = 'ask-element';
+const SELECTION_COMMAND = 'ask-about-selection';
+
+function snippetContext(snippets) {
+  return snippets.map(s => `=== ${SNIPPET_KINDS[s.kind] || 'Snippet'} from ${s.title} (${s.url}) ===\n${s.text}`).join('\n\n---\n\n');
+}
+
+/** A history entry with the snippets it was sent with, as the model saw it then. */
+function withSnippets(h) {
+  return h.snippets?.length ? { role: h.role, text: `${snippetContext(h.snippets)}\n\n---\nQuestion: ${h.text}` } : h;
+}
+
+async function queueSnippet(snippet) {
+  const { pendingSnippets = [] } = await chrome.storage.session.get('pendingSnippets');
+  await chrome.storage.session.set({ pendingSnippets: [...pendingSnippets, { ...snippet, text: snippet.text.slice(0, SNIPPET_CHARS) }] });
+}
+
+/** Runs in the page: the selected text, including a selection inside a text field. */
+function pageSelection() {
+  const el = document.activeElement;
+  if (el instanceof HTMLTextAreaElement || (el instanceof HTMLInputElement && typeof el.selectionStart === 'number'))
+    return el.value.slice(el.selectionStart, el.selectionEnd);
+  return String(getSelection());
+}
+
+/** The text selected in any frame of a tab, '' when there is none — for {{selection}} in saved prompts. */
+async function tabSelection(tabId) {
+  const results = await chrome.scripting.executeScript({ target: { tabId, allFrames: true }, func: pageSelection }).catch(() => []);
+  return results.map(r => r.result).find(t => t?.trim()) || '';
+}
+
+/** Sends a tab's selection to the side panel — or, with nothing selected, lets the user pick an element instead. */
+async function askAboutSelection(tab, { frameId, text = '' } = {}) {
+  const target = { tabId: tab.id, ...(frameId != null ? { frameIds: [frameId] } : { allFrames: true }) };
+  const results = await chrome.scripting.executeScript({ target, func: pageSelection }).catch(() => []);
+  // The menu's own copy has its line breaks flattened; it is only for pages scripts cannot run in
+  const selected = results.map(r => r.result).find(t => t?.trim()) || text;
+  if (!selected.trim()) {
+    await chrome.tabs.sendMessage(tab.id, { action: 'startPicker' }, { frameId: 0 }).catch(() => {});
+    return;
+  }
+  const words = selected.replace(/\s+/g, ' ').trim();
+  await queueSnippet({ kind: 'selection', label: `“${words.length > 40 ? words.slice(0, 40) + '…' : words}”`, title: tab.title || tab.url, url: tab.url, text: selected });
+}
+
+chrome.runtime.onInstalled.addListener(async () => {
+  await chrome.contextMenus.removeAll();
+  chrome.contextMenus.create({ id: SELECTION_MENU, title: 'Ask Local-Agent about selection', contexts: ['selection'] });
+  chrome.contextMenus.create({ id: PICKER_MENU, title: 'Ask Local-Agent about part of this page…', contexts: ['page', 'link', 'image'] });
+});
+
+// The panel is opened first, while the click still counts as a user gesture
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (!tab?.id || (info.menuItemId !== SELECTION_MENU && info.menuItemId !== PICKER_MENU)) return;
+  chrome.sidePanel.open({ windowId: tab.windowId }).catch(() => {});
+  if (info.menuItemId === SELECTION_MENU) askAboutSelection(tab, { frameId: info.frameId, text: info.selectionText });
+  else chrome.tabs.sendMessage(tab.id, { action: 'startPicker', atContextMenu: true }, { frameId: info.frameId }).catch(() => {});
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command !== SELECTION_COMMAND || !tab?.id) return;
+  chrome.sidePanel.open({ windowId: tab.windowId }).catch(() => {});
+  askAboutSelection(tab);
+});
+
 // ── Open side panel on icon click ────────────────────────────────────────
 
 chrome.action.onClicked.addListener(tab => {
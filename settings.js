@@ -0,0 +1,274 @@
+// Local-Agent Ollama — settings page (also the extension's options page)
+
+const form     = document.getElementById('settings-form');
+const statusEl = document.getElementById('settings-status');
+
+let defaults = {};
+
+function showStatus(text, isError) {
+  statusEl.textContent = text;
+  statusEl.classList.toggle('error', !!isError);
+  if (!isError) setTimeout(() => { if (statusEl.textContent === text) statusEl.textContent = ''; }, 2500);
+}
+
+// ── Load ──────────────────────────────────────────────────────────────────
+
+async function load() {
+  const res = await chrome.runtime.sendMessage({ action: 'getSettings' });
+  defaults = res?.defaults || {};
+  const { settings = {}, provider = 'ollama', providerConfig = {} } =
+    await chrome.storage.sync.get(['settings', 'provider', 'providerConfig']);
+  const { providerKeys = {} } = await chrome.storage.local.get('providerKeys');
+
+  document.getElementById('provider').value   = provider;
+  document.getElementById('ollama-url').value = providerConfig.ollama?.baseUrl || '';
+  document.getElementById('ollama-key').value = providerKeys.ollama || '';
+  document.getElementById('openai-url').value = providerConfig.openai?.baseUrl || '';
+  document.getElementById('openai-key').value = providerKeys.openai || '';
+
+  // Suggest installed models for the embedding model field
+  const modelList = document.getElementById('model-list');
+  chrome.runtime.sendMessage({ action: 'getModels' })
+    .then(r => modelList.replaceChildren(...(r?.models || []).map(m => new Option(m.name))))
+    .catch(() => {});
+
+  form.querySelectorAll('[data-setting]').forEach(el => {
+    const key = el.dataset.setting;
+    const def = defaults[key];
+    el.value = settings[key] ?? '';
+    if (def !== null && def !== '' && !el.placeholder) el.placeholder = String(def);
+  });
+
+  const all = await chrome.storage.sync.get(null);
+  renderProfiles({
+    personas: stored(all, PERSONA_PREFIX).sort((a, b) => a.name.localeCompare(b.name)),
+    rules: stored(all, SITE_RULE_PREFIX).sort((a, b) => a.domain.localeCompare(b.domain))
+  });
+}
+
+// ── Personas and site rules ───────────────────────────────────────────────
+//
+// Each persona and site rule is its own chrome.storage.sync item
+// ("persona:<id>", "siteRule:<id>"): sync allows 8 KB per item, which one
+// list of long system prompts would soon outgrow.
+
+const PERSONA_PREFIX   = 'persona:';
+const SITE_RULE_PREFIX = 'siteRule:';
+
+const personaList = document.getElementById('persona-list');
+const ruleList    = document.getElementById('rule-list');
+
+function stored(all, prefix) {
+  return Object.entries(all).filter(([k]) => k.startsWith(prefix)).map(([, v]) => v);
+}
+
+const newId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+/** "https://Jira.example.com/browse/X-1" or "*.example.com" → the bare host a rule matches. */
+function siteDomain(raw) {
+  const s = raw.trim().toLowerCase().replace(/^\*\./, '');
+  if (!s) return '';
+  try { return new URL(s.includes('://') ? s : `https://${s}`).hostname; } catch { return ''; }
+}
+
+function profileCard(id, html) {
+  const card = document.createElement('div');
+  card.className = 'profile-card';
+  card.dataset.id = id;
+  card.innerHTML = html;
+  card.querySelector('.profile-remove').addEventListener('click', () => card.remove());
+  return card;
+}
+
+function personaCard(p = {}) {
+  const card = profileCard(p.id || newId(), `
+    <div class="profile-row">
+      <input name="name" class="field-input" type="text" placeholder="Name, e.g. Copy editor"/>
+      <button type="button" class="settings-btn profile-remove">Remove</button>
+    </div>
+    <textarea name="system" class="field-input" rows="3" placeholder="System prompt, e.g. You are a careful copy editor. Keep the author's voice."></textarea>
+    <div class="profile-row">
+      <input name="model" class="field-input" type="text" list="model-list" spellcheck="false" placeholder="Model: keep the selected one"/>
+      <input name="temperature" class="field-input profile-temp" type="number" min="0" max="2" step="0.05" placeholder="Temperature"/>
+      <label class="profile-check"><input name="agent" type="checkbox"/> Agent tools</label>
+    </div>`);
+  const f = name => card.querySelector(`[name="${name}"]`);
+  f('name').value = p.name || '';
+  f('system').value = p.system || '';
+  f('model').value = p.model || '';
+  f('temperature').value = p.temperature ?? '';
+  f('agent').checked = p.agent !== false;
+  return card;
+}
+
+function ruleCard(r = {}) {
+  const card = profileCard(r.id || newId(), `
+    <div class="profile-row">
+      <input name="domain" class="field-input" type="text" spellcheck="false" placeholder="Site, e.g. jira.example.com"/>
+      <button type="button" class="settings-btn profile-remove">Remove</button>
+    </div>
+    <textarea name="instructions" class="field-input" rows="2" placeholder="Instructions for this site"></textarea>`);
+  card.querySelector('[name="domain"]').value = r.domain || '';
+  card.querySelector('[name="instructions"]').value = r.instructions || '';
+  return card;
+}
+
+function renderProfiles({ personas, rules }) {
+  personaList.replaceChildren(...personas.map(p => personaCard(p)));
+  ruleList.replaceChildren(...rules.map(r => ruleCard(r)));
+}
+
+/** The personas and site rules as edited, leaving out blank cards; throws on ones that cannot be saved. */
+function readProfiles() {
+  const personas = [], rules = [];
+  for (const card of personaList.children) {
+    const f = name => card.querySelector(`[name="${name}"]`);
+    const name = f('name').value.trim();
+    const system = f('system').value.trim();
+    const model = f('model').value.trim();
+    const temp = f('temperature').value.trim();
+    if (!name && !system && !model && !temp) continue;
+    if (!name) throw new Error('Every persona needs a name');
+    const temperature = temp === '' ? null : Number(temp);
+    if (temperature !== null && !(temperature >= 0 && temperature <= 2)) throw new Error(`${name}: temperature must be a number from 0 to 2`);
+    if (personas.some(p => p.name === name)) throw new Error(`There are two personas named ${name}`);
+    personas.push({ id: card.dataset.id, name, system, model, temperature, agent: f('agent').checked });
+  }
+  for (const card of ruleList.children) {
+    const raw = card.querySelector('[name="domain"]').value;
+    const instructions = card.querySelector('[name="instructions"]').value.trim();
+    if (!raw.trim() && !instructions) continue;
+    const domain = siteDomain(raw);
+    if (!domain) throw new Error(`${raw.trim() || 'A site rule'}: enter a site such as jira.example.com`);
+    if (!instructions) throw new Error(`${domain}: the site rule has no instructions`);
+    rules.push({ id: card.dataset.id, domain, instructions });
+  }
+  return { personas, rules };
+}
+
+/** Stores the personas and site rules, and removes the ones no longer listed. */
+async function writeProfiles({ personas, rules }) {
+  const items = Object.fromEntries([
+    ...personas.map(p => [PERSONA_PREFIX + p.id, p]),
+    ...rules.map(r => [SITE_RULE_PREFIX + r.id, r])
+  ]);
+  const stale = Object.keys(await chrome.storage.sync.get(null))
+    .filter(k => (k.startsWith(PERSONA_PREFIX) || k.startsWith(SITE_RULE_PREFIX)) && !(k in items));
+  try { await chrome.storage.sync.set(items); }
+  catch (e) {
+    throw new Error(/QUOTA_BYTES_PER_ITEM/.test(e.message) ? 'A persona or site rule is too long to sync — each can be at most 8 KB' : e.message);
+  }
+  if (stale.length) await chrome.storage.sync.remove(stale);
+}
+
+function exportProfiles() {
+  try {
+    const { personas, rules } = readProfiles();
+    const data = {
+      format: 'local-agent-personas', version: 1, exported: new Date().toISOString(),
+      personas: personas.map(({ id, ...p }) => p), siteRules: rules.map(({ id, ...r }) => r)
+    };
+    const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+    Object.assign(document.createElement('a'), { href: url, download: `local-agent-personas-${Date.now()}.json` }).click();
+    URL.revokeObjectURL(url);
+  } catch (e) {
+    showStatus(e.message, true);
+  }
+}
+
+/** Adds the personas and site rules of an exported file; a persona with the same name, or a rule for the same site, is replaced. */
+async function importProfiles(file) {
+  try {
+    const data = JSON.parse(await file.text());
+    if (data?.format !== 'local-agent-personas') throw new Error('Not a Local-Agent personas export');
+    const profiles = readProfiles();
+    const merge = (list, entry, same) => {
+      const at = list.findIndex(same);
+      if (at >= 0) list[at] = { ...entry, id: list[at].id }; else list.push({ ...entry, id: newId() });
+    };
+    let personaCount = 0, ruleCount = 0;
+    for (const p of Array.isArray(data.personas) ? data.personas : []) {
+      const name = String(p?.name || '').trim();
+      if (!name) continue;
+      const temperature = typeof p.temperature === 'number' && p.temperature >= 0 && p.temperature <= 2 ? p.temperature : null;
+      merge(profiles.personas, { name, system: String(p.system || ''), model: String(p.model || ''), temperature, agent: p.agent !== false }, x => x.name === name);
+      personaCount++;
+    }
+    for (const r of Array.isArray(data.siteRules) ? data.siteRules : []) {
+      const domain = siteDomain(String(r?.domain || ''));
+      if (!domain || !r.instructions) continue;
+      merge(profiles.rules, { domain, instructions: String(r.instructions) }, x => x.domain === domain);
+      ruleCount++;
+    }
+    await writeProfiles(profiles);
+    renderProfiles(profiles);
+    showStatus(`Imported ${personaCount} persona${personaCount === 1 ? '' : 's'} and ${ruleCount} site rule${ruleCount === 1 ? '' : 's'}`);
+  } catch (e) {
+    showStatus(e instanceof SyntaxError ? 'That file is not JSON' : e.message, true);
+  }
+}
+
+// ── Save ──────────────────────────────────────────────────────────────────
+
+/** Only explicitly-set values are stored, so later default changes still reach everyone else. */
+function readSettings() {
+  const out = {};
+  for (const el of form.querySelectorAll('[data-setting]')) {
+    const raw = el.value.trim();
+    if (raw === '') continue;
+    if (el.type === 'number') {
+      const n = Number(raw);
+      if (!Number.isFinite(n)) throw new Error(`${el.closest('.field').querySelector('.field-label').textContent} must be a number`);
+      out[el.dataset.setting] = n;
+    } else {
+      out[el.dataset.setting] = raw;
+    }
+  }
+  return out;
+}
+
+function readUrl(id) {
+  const raw = document.getElementById(id).value.trim().replace(/\/+$/, '');
+  if (raw && !/^https?:\/\/[^/]+/i.test(raw)) throw new Error(`${raw} is not an http(s) URL`);
+  return raw;
+}
+
+async function save(e) {
+  e.preventDefault();
+  try {
+    const settings = readSettings();
+    const profiles = readProfiles();
+    const providerConfig = { ollama: { baseUrl: readUrl('ollama-url') }, openai: { baseUrl: readUrl('openai-url') } };
+    // Keys are secrets: they stay on this device instead of syncing with the rest
+    const providerKeys = {
+      ollama: document.getElementById('ollama-key').value.trim(),
+      openai: document.getElementById('openai-key').value.trim()
+    };
+    const provider = document.getElementById('provider').value;
+    await chrome.storage.sync.set({ settings, provider, providerConfig });
+    await chrome.storage.local.set({ providerKeys });
+    await writeProfiles(profiles);
+
+    const { connected, label } = await chrome.runtime.sendMessage({ action: 'checkConnection' });
+    showStatus(connected ? `Saved — ${label} connected` : `Saved, but ${label} is not reachable`, !connected);
+  } catch (err) {
+    showStatus(err.message, true);
+  }
+}
+
+async function reset() {
+  await chrome.storage.sync.remove('settings');
+  await load();
+  showStatus('Defaults restored');
+}
+
+form.addEventListener('submit', save);
+document.getElementById('reset-btn').addEventListener('click', reset);
+document.getElementById('persona-add').addEventListener('click', () => personaList.appendChild(personaCard()).querySelector('[name="name"]').focus());
+document.getElementById('rule-add').addEventListener('click', () => ruleList.appendChild(ruleCard()).querySelector('[name="domain"]').focus());
+document.getElementById('profiles-export').addEventListener('click', exportProfiles);
+const importFile = document.getElementById('profiles-import-file');
+document.getElementById('profiles-import').addEventListener('click', () => importFile.click());
+importFile.addEventListener('change', () => { if (importFile.files[0]) importProfiles(importFile.files[0]); importFile.value = ''; });
+
+load();
@@ -4,21 +4,31 @@ const chat        = document.getElementById('chat');
 const input       = document.getElementById('input');
 const sendBtn     = document.getElementById('send-btn');
 const modelSelect = document.getElementById('model-select');
+const providerSelect = document.getElementById('provider-select');
 const statusDot   = document.getElementById('status-dot');
 const statusText  = document.getElementById('status-text');
 const agentBtn    = document.getElementById('agent-btn');
 const autocomplete      = document.getElementById('autocomplete');
 const autocompleteList  = document.getElementById('autocomplete-list');
 
-let history       = [];     // { role, text, timestamp }
+let history       = [];     // { role, text, timestamp, agent?, sources?, images?, screenshot? } — messages of the open conversation
+let conversation  = null;   // its entry in the conversations index, null until first saved
 let allTabs       = [];
+let libraryTagList = [];   // tags used in the library, for #collection mentions
+let savedPrompts  = [];    // the prompt library's own slash commands, for autocomplete
 let selectedModel = null;
+let provider      = 'ollama';  // 'ollama' | 'openai' — mirrors chrome.storage.sync
 let isLoading     = false;
 let agentMode     = false;
 let atStart       = -1;
 let tabIdx        = -1;
 let activeStreams  = {};    // messageId -> { loadingEl, el, text, resolve, reject }
-let activeAgents  = {};    // messageId -> { card, stepsEl, headerEl, spinnerEl }
+let activeAgents  = {};    // messageId -> { card, stepsEl, headerEl, spinnerEl, stopBtn, steps }
+let currentRun    = null;  // messageId of the running stream or agent, for the stop button
+let attachments   = [];    // data: URLs of images pasted or dropped into the input
+let attachScreenshot = false;
+let snippets      = [];    // text selected or elements picked on pages, sent with the next message
+let modelVision   = null;  // can the selected model see images? null = the server does not say
 
 // ── Utilities ─────────────────────────────────────────────────────────────
 
@@ -32,6 +42,12 @@ function ts(ms) {
 
 function scrollBottom() { chat.scrollTop = chat.scrollHeight; }
 
+function downloadFile(name, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  Object.assign(document.createElement('a'), { href: url, download: name }).click();
+  URL.revokeObjectURL(url);
+}
+
 // ── Markdown ──────────────────────────────────────────────────────────────
 
 function md(text) {
@@ -59,9 +75,50 @@ function md(text) {
   return out;
 }
 
+// ── Citations ─────────────────────────────────────────────────────────────
+
+/** Turns [n] / [n, m] in rendered answer HTML into links to the retrieved passages. */
+function linkCitations(html, sources) {
+  // Odd parts are code blocks and inline code, where [1] is an index, not a citation
+  return html.split(/(<pre[\s\S]*?<\/pre>|<code[\s\S]*?<\/code>)/).map((part, i) => i % 2 ? part :
+    part.replace(/\[(\d+(?:\s*,\s*\d+)*)\]/g, (whole, list) => {
+      const ns = list.split(',').map(n => parseInt(n, 10));
+      if (!ns.every(n => n >= 1 && n <= sources.length)) return whole;
+      return ns.map(n => `<a class="cite" href="#" data-n="${n}" title="${esc(sources[n - 1].title)}">${n}</a>`).join('');
+    })
+  ).join('');
+}
+
+function renderSources(bubble, sources) {
+  const list = document.createElement('div');
+  list.className = 'msg-sources';
+  sources.forEach(s => {
+    const item = document.createElement('a');
+    item.className = `source-item${s.library ? ' saved' : ''}`;
+    item.href = '#';
+    item.dataset.n = s.n;
+    item.title = s.text.slice(0, 300);
+    item.innerHTML = `<span class="source-n">${s.n}</span><span class="source-title">${esc(s.title)}</span>`;
+    list.appendChild(item);
+  });
+  bubble.after(list);
+
+  bubble.parentElement.addEventListener('click', e => {
+    const link = e.target.closest('.cite, .source-item');
+    if (!link) return;
+    e.preventDefault();
+    showSource(sources[link.dataset.n - 1]);
+  });
+}
+
+async function showSource(source) {
+  const res = await chrome.runtime.sendMessage({ action: 'showSource', data: source }).catch(() => null);
+  if (res && !res.found) addError(res.error || `Could not find passage ${source.n} on the page — it may have changed since.`);
+}
+
 // ── Message rendering ──────────────────────────────────────────────────────
 
-function renderMsg(role, text, timestamp) {
+function renderMsg(role, text, timestamp, { sources, images, screenshot, snippets: picked } = {}) {
   const el = document.createElement('div');
   el.className = `msg ${role}`;
 
@@ -78,9 +135,29 @@ function renderMsg(role, text, timestamp) {
 
   const bubble = document.createElement('div');
   bubble.className = 'msg-bubble';
-  if (role === 'assistant') bubble.innerHTML = md(text);
+  if (role === 'assistant') bubble.innerHTML = sources?.length ? linkCitations(md(text), sources) : md(text);
   else bubble.textContent = text;
 
+  if (images?.length || screenshot) {
+    const strip = document.createElement('div');
+    strip.className = 'msg-images';
+    (images || []).forEach(src => {
+      const img = document.createElement('img');
+      img.src = src;
+      img.addEventListener('click', () => window.open(src));
+      strip.appendChild(img);
+    });
+    if (screenshot) strip.insertAdjacentHTML('beforeend', '<span class="msg-shot">+ screenshot of the tab</span>');
+    bubble.prepend(strip);
+  }
+
+  if (picked?.length) {
+    const strip = document.createElement('div');
+    strip.className = 'msg-snippets';
+    picked.forEach(s => strip.appendChild(snippetChip(s)));
+    bubble.prepend(strip);
+  }
+
   const footer = document.createElement('div');
   footer.className = 'msg-footer';
 
@@ -105,6 +182,7 @@ function renderMsg(role, text, timestamp) {
 
   body.appendChild(bubble);
   body.appendChild(footer);
+  if (sources?.length) renderSources(bubble, sources);
   el.appendChild(avatar);
   el.appendChild(body);
   chat.appendChild(el);
@@ -155,9 +233,12 @@ chrome.runtime.onMessage.addListener(msg => {
     }
     if (msg.action === 'streamComplete') {
       (stream.el || stream.loadingEl).remove();
-      renderMsg('assistant', msg.text, Date.now());
-      history.push({ role: 'assistant', text: msg.text, timestamp: Date.now() });
-      saveHistory();
+      // A stop before the first token leaves nothing worth keeping
+      if (msg.text) {
+        renderMsg('assistant', msg.text, Date.now(), { sources: msg.sources });
+        history.push({ role: 'assistant', text: msg.text, timestamp: Date.now(), ...(msg.sources ? { sources: msg.sources } : {}) });
+        saveHistory();
+      }
       stream.resolve(msg.text);
       delete activeStreams[msg.messageId];
     }
@@ -174,24 +255,33 @@ chrome.runtime.onMessage.addListener(msg => {
   if (agent) {
     if (msg.action === 'agentStep') {
       if (msg.type === 'action') agent.spinnerEl.style.display = 'none';
-      const icons = { thinking: '·', action: '→', error: '✗', result: '✓' };
-      const step = document.createElement('div');
-      step.className = `agent-step ${msg.type}`;
-      step.innerHTML = `<span class="step-icon">${icons[msg.type] || '·'}</span><span>${esc(msg.content)}</span>`;
-      agent.stepsEl.appendChild(step);
+      const step = { type: msg.type, content: msg.content, ...(msg.tab ? { tab: msg.tab } : {}) };
+      agent.steps.push(step);
+      appendStep(agent, step);
+      scrollBottom();
+    }
+    if (msg.action === 'agentPlan') renderPlan(agent, msg.plan);
+    if (msg.action === 'agentApproval') {
+      showApproval(agent, msg);
       scrollBottom();
     }
     if (msg.action === 'agentComplete') {
+      agent.approvalEl?.remove();
       agent.spinnerEl.style.display = 'none';
-      agent.headerEl.textContent = 'Agent done';
+      agent.stopBtn.remove();
+      agent.headerEl.textContent = agent.stopping ? 'Agent stopped' : 'Agent done';
       const result = document.createElement('div');
       result.className = 'agent-result';
       result.innerHTML = md(msg.text);
       agent.card.appendChild(result);
+      const macro = msg.macro && { task: agent.task || '', steps: msg.macro };
+      if (macro) offerMacro(agent, macro);
       delete activeAgents[msg.messageId];
-      history.push({ role: 'assistant', text: msg.text, timestamp: Date.now() });
+      // Keep the step log with the answer so reopening the conversation shows the whole run
+      history.push({ role: 'assistant', text: msg.text, timestamp: Date.now(), agent: { steps: agent.steps, stopped: !!agent.stopping, ...(agent.plan ? { plan: agent.plan } : {}), ...(macro ? { macro } : {}) } });
       saveHistory();
       isLoading = false;
+      currentRun = null;
       updateSend();
       scrollBottom();
     }
@@ -201,9 +291,23 @@ chrome.runtime.onMessage.addListener(msg => {
 // ── Send ──────────────────────────────────────────────────────────────────
 
 async function handleSend() {
-  const query = input.value.trim();
+  let query = input.value.trim();
   if (!query || isLoading || !selectedModel) return;
 
+  // A /command acts on the panel or stands for a prompt, which may pick its own
+  // mode, model and system prompt; // sends a message that starts with a slash
+  let agent = agentMode, model = selectedModel, system = persona?.system || '';
+  if (query.startsWith('//')) query = query.slice(1);
+  else if (query.startsWith('/')) {
+    let cmd;
+    try { cmd = await expandCommand(query); }
+    catch (e) { addError(e.message); return; }
+    if (!cmd) { input.value = ''; updateSend(); return; }
+    ({ query, agent = agentMode, model = selectedModel, system = persona?.system || '' } = cmd);
+  }
+  if (agent && agentRefusal()) { addError(agentRefusal()); return; }
+  const temperature = persona?.temperature;
+
   input.value = '';
   input.style.height = 'auto';
   hideAutocomplete();
@@ -211,15 +315,25 @@ async function handleSend() {
 
   const now = Date.now();
   const messageId = now.toString();
-  history.push({ role: 'user', text: query, timestamp: now });
-  renderMsg('user', query, now);
+  const images = attachments;
+  const picked = snippets;
+  const screenshot = attachScreenshot && !agent; // the agent takes its own screenshots
+  const entry = { role: 'user', text: query, timestamp: now, ...(images.length ? { images } : {}), ...(picked.length ? { snippets: picked } : {}), ...(screenshot ? { screenshot } : {}) };
+  history.push(entry);
+  renderMsg('user', query, now, entry);
+  attachments = [];
+  renderAttachments();
+  snippets = [];
+  renderSnippets();
   isLoading = true;
+  currentRun = messageId;
   updateSend();
 
-  if (agentMode) {
+  const base64 = images.map(src => src.replace(/^data:[^,]*,/, ''));
+  if (agent) {
     // ── Agent mode ──
     startAgent(messageId, query);
-    chrome.runtime.sendMessage({ action: 'agentTask', data: { task: query, model: selectedModel, messageId } });
+    chrome.runtime.sendMessage({ action: 'agentTask', data: { task: query, model, system, temperature, images: base64, snippets: picked, messageId } });
     saveHistory();
   } else {
     // ── Chat mode ──
@@ -230,22 +344,26 @@ async function handleSend() {
       activeStreams[messageId] = { loadingEl, el: null, text: '', resolve, reject };
     });
 
-    // Pass last 10 turns as context (excluding the one we just pushed)
-    const historyContext = history.slice(-11, -1);
+    // The service worker fits as much history as the context window allows and summarizes the rest
+    const historyContext = historyForModel(history.slice(0, -1));
 
     chrome.runtime.sendMessage({
       action: 'queryStream',
-      data: { query, model: selectedModel, mentionedTabs: mentionedTabs.map(t => ({ id: t.id, title: t.title, url: t.url })), history: historyContext, messageId }
+      data: {
+        query, model, system, temperature, mentionedTabs: mentionedTabs.map(t => ({ id: t.id, title: t.title, url: t.url })), library: parseLibraryMention(query),
+        snippets: picked, images: base64, screenshotWindow: screenshot ? (await chrome.windows.getCurrent()).id : undefined,
+        history: historyContext, messageId
+      }
     });
 
     try { await streamDone; }
     catch {} // error already shown by streamError handler
-    finally { isLoading = false; updateSend(); }
+    finally { isLoading = false; currentRun = null; updateSend(); }
     saveHistory();
   }
 }
 
-function startAgent(messageId, task) {
+function buildAgentCard() {
   const run = document.createElement('div');
   run.className = 'agent-run';
   run.innerHTML = `
@@ -256,17 +374,136 @@ function startAgent(messageId, task) {
       <div class="agent-header">
         <div class="agent-spinner"></div>
         <span class="agent-header-text">Agent working…</span>
+        <button class="agent-stop-btn" title="Stop the agent">Stop</button>
       </div>
+      <ol class="agent-plan" style="display:none"></ol>
       <div class="agent-steps"></div>
     </div>`;
   chat.appendChild(run);
-  scrollBottom();
-  activeAgents[messageId] = {
+  return {
     card:      run.querySelector('.agent-card'),
     stepsEl:   run.querySelector('.agent-steps'),
+    planEl:    run.querySelector('.agent-plan'),
     headerEl:  run.querySelector('.agent-header-text'),
-    spinnerEl: run.querySelector('.agent-spinner')
+    spinnerEl: run.querySelector('.agent-spinner'),
+    stopBtn:   run.querySelector('.agent-stop-btn'),
+    steps:     []
+  };
+}
+
+function renderPlan(agent, plan) {
+  agent.plan = plan;
+  agent.planEl.style.display = plan?.length ? '' : 'none';
+  agent.planEl.innerHTML = (plan || []).map(s => `<li class="${s.done ? 'done' : ''}">${esc(s.text)}</li>`).join('');
+}
+
+function appendStep(agent, s) {
+  const icons = { thinking: '·', action: '→', error: '✗', result: '✓', reflect: '↻' };
+  const step = document.createElement('div');
+  step.className = `agent-step ${s.type}`;
+  step.innerHTML = `<span class="step-icon">${icons[s.type] || '·'}</span><span>${esc(s.content)}</span>`;
+  if (s.tab) {
+    const tabEl = document.createElement('span');
+    tabEl.className = 'step-tab';
+    tabEl.textContent = s.tab.title;
+    tabEl.title = `Tab ${s.tab.id}: ${s.tab.title}`;
+    step.appendChild(tabEl);
+  }
+  agent.stepsEl.appendChild(step);
+}
+
+function historyForModel(entries) {
+  return entries.map(m => ({ role: m.role, text: m.text, ...(m.snippets ? { snippets: m.snippets } : {}) }));
+}
+
+function startAgent(messageId, task) {
+  const agent = buildAgentCard();
+  agent.task = task;
+  activeAgents[messageId] = agent;
+  agent.stopBtn.addEventListener('click', () => stopRun(messageId));
+  scrollBottom();
+}
+
+/** Re-renders a finished agent run from a saved conversation, with its step log collapsed. */
+function renderAgentRun(entry) {
+  const agent = buildAgentCard();
+  agent.spinnerEl.remove();
+  agent.stopBtn.remove();
+  agent.headerEl.textContent = entry.agent.stopped ? 'Agent stopped' : 'Agent done';
+  entry.agent.steps.forEach(s => appendStep(agent, s));
+  if (entry.agent.plan) renderPlan(agent, entry.agent.plan);
+
+  agent.stepsEl.style.display = 'none';
+  const toggle = document.createElement('button');
+  toggle.className = 'agent-steps-toggle';
+  toggle.textContent = `${entry.agent.steps.length} steps`;
+  toggle.addEventListener('click', () => {
+    const hidden = agent.stepsEl.style.display === 'none';
+    agent.stepsEl.style.display = hidden ? '' : 'none';
+    toggle.classList.toggle('open', hidden);
+  });
+  agent.headerEl.after(toggle);
+
+  const result = document.createElement('div');
+  result.className = 'agent-result';
+  result.innerHTML = md(entry.text);
+  agent.card.appendChild(result);
+  if (entry.agent.macro) offerMacro(agent, entry.agent.macro);
+}
+
+function renderEntry(m) {
+  if (m.agent) renderAgentRun(m);
+  else renderMsg(m.role, m.text, m.timestamp || Date.now(), m);
+}
+
+/** Approve / Reject / Edit prompt for a risky agent action; the agent loop waits on the answer. */
+function showApproval(agent, req) {
+  agent.approvalEl?.remove();
+  const box = document.createElement('div');
+  box.className = 'agent-approval';
+  const host = req.site ? new URL(req.site).host : '';
+  box.innerHTML = `
+    <div class="approval-reason">Approval needed — ${esc(req.reason)}</div>
+    <div class="approval-action">${esc(req.description)}</div>
+    <textarea class="approval-args" spellcheck="false" style="display:none"></textarea>
+    ${host ? `<label class="approval-remember"><input type="checkbox"> Auto-approve on ${esc(host)}</label>` : ''}
+    <div class="approval-buttons">
+      <button class="approval-btn approve">Approve</button>
+      <button class="approval-btn reject">Reject</button>
+      <button class="approval-btn edit">Edit</button>
+    </div>`;
+  const argsEl = box.querySelector('.approval-args');
+  argsEl.value = JSON.stringify(req.args, null, 2);
+
+  const answer = (decision, args) => {
+    const remember = decision !== 'reject' && !!box.querySelector('.approval-remember input')?.checked;
+    chrome.runtime.sendMessage({ action: 'approvalResponse', messageId: req.messageId, decision, args, remember }).catch(() => {});
+    box.remove();
+    agent.approvalEl = null;
   };
+
+  box.querySelector('.approve').addEventListener('click', () => {
+    if (argsEl.style.display === 'none') { answer('approve'); return; }
+    try { answer('edit', JSON.parse(argsEl.value)); }
+    catch { argsEl.classList.add('invalid'); }
+  });
+  box.querySelector('.reject').addEventListener('click', () => answer('reject'));
+  box.querySelector('.edit').addEventListener('click', e => {
+    argsEl.style.display = 'block';
+    e.target.remove();
+    box.querySelector('.approve').textContent = 'Run edited';
+    argsEl.focus();
+  });
+  argsEl.addEventListener('input', () => argsEl.classList.remove('invalid'));
+
+  agent.card.appendChild(box);
+  agent.approvalEl = box;
+}
+
+function stopRun(messageId) {
+  const agent = activeAgents[messageId];
+  if (agent) { agent.stopping = true; agent.stopBtn.disabled = true; agent.headerEl.textContent = 'Stopping…'; }
+  chrome.runtime.sendMessage({ action: 'cancel', messageId }).catch(() => {});
 }
 
 // ── Models ────────────────────────────────────────────────────────────────
@@ -291,16 +528,86 @@ async function loadModels() {
         modelSelect.value = selectedModel;
       }
     } else {
+      selectedModel = null;
       modelSelect.innerHTML = '<option>No models</option>';
+      if (provider !== 'ollama') { addError(res?.error || 'The server returned no models.'); return; }
       const msg = res?.error || 'Ollama not found';
       addError(msg.includes('OLLAMA_ORIGINS')
         ? msg
         : 'Cannot reach Ollama. Steps to fix:\n1. Make sure Ollama is running: ollama serve\n2. If still failing, restart with: OLLAMA_ORIGINS="*" ollama serve');
     }
   } catch (e) {
-    modelSelect.innerHTML = '<option>Ollama offline</option>';
-    addError('Cannot reach Ollama. Make sure it is running: ollama serve');
+    selectedModel = null;
+    modelSelect.innerHTML = `<option>${esc(PROVIDER_LABELS[provider])} offline</option>`;
+    addError(provider === 'ollama' ? 'Cannot reach Ollama. Make sure it is running: ollama serve' : 'Cannot reach the server. Make sure it is running.');
+  }
+  updateSend();
+  updateVision();
+}
+
+// ── Personas ──────────────────────────────────────────────────────────────
+//
+// Made on the settings page and synced, one chrome.storage.sync item each
+// ("persona:<id>"); the one picked here is remembered in chrome.storage.local.
+// A persona sends its system prompt and temperature with every message,
+// switches to its model when picked, and can keep Agent mode off.
+
+const personaSelect = document.getElementById('persona-select');
+const AGENT_TITLE   = agentBtn.title;
+let personas = [];
+let persona  = null; // the picked persona, null for none
+
+async function loadPersonas() {
+  const all = await chrome.storage.sync.get(null);
+  personas = Object.entries(all).filter(([k]) => k.startsWith('persona:')).map(([, p]) => p)
+    .sort((a, b) => a.name.localeCompare(b.name));
+  personaSelect.innerHTML = '<option value="">No persona</option>';
+  personas.forEach(p => personaSelect.appendChild(new Option(p.name, p.id)));
+  personaSelect.style.display = personas.length ? '' : 'none';
+  const { activePersona } = await chrome.storage.local.get('activePersona');
+  applyPersona(personas.find(p => p.id === activePersona) || null, false);
+}
+
+/** Makes `p` the persona of the next messages; with `pickModel`, switches to its model too. */
+function applyPersona(p, pickModel = true) {
+  persona = p;
+  personaSelect.value = p?.id || '';
+  personaSelect.title = p?.system ? `${p.name}: ${p.system.length > 200 ? p.system.slice(0, 200) + '…' : p.system}` : 'Persona';
+  if (pickModel && p?.model && p.model !== selectedModel) {
+    if ([...modelSelect.options].some(o => o.value === p.model)) {
+      modelSelect.value = p.model;
+      modelSelect.dispatchEvent(new Event('change'));
+    } else {
+      addError(`The ${p.name} persona uses ${p.model}, which the server does not have — keeping ${selectedModel}`);
+    }
   }
+  const refusal = agentRefusal();
+  agentBtn.disabled = !!refusal;
+  agentBtn.title = refusal || AGENT_TITLE;
+  if (refusal && agentMode) setAgentMode(false);
+  scheduleMeter();
+}
+
+/** Why the picked persona cannot run agent tasks, '' when it can. */
+function agentRefusal() {
+  return persona?.agent === false ? `The ${persona.name} persona does not use agent tools` : '';
+}
+
+// ── Providers ─────────────────────────────────────────────────────────────
+
+const PROVIDER_LABELS = { ollama: 'Ollama', openai: 'OpenAI-compatible' };
+
+async function loadProvider() {
+  const { provider: saved } = await chrome.storage.sync.get('provider');
+  provider = PROVIDER_LABELS[saved] ? saved : 'ollama';
+  providerSelect.value = provider;
+}
+
+async function reconnect() {
+  statusDot.className = 'dot connecting';
+  statusText.textContent = 'Reconnecting…';
+  await checkConn();
+  await loadModels();
 }
 
 // ── Connection ────────────────────────────────────────────────────────────
@@ -308,23 +615,33 @@ async function loadModels() {
 async function checkConn() {
   try {
     const { connected } = await chrome.runtime.sendMessage({ action: 'checkConnection' });
+    const label = PROVIDER_LABELS[provider];
     statusDot.className = `dot ${connected ? 'connected' : 'disconnected'}`;
-    statusText.textContent = connected ? 'Ollama connected' : 'Ollama disconnected';
+    statusText.textContent = connected ? `${label} connected` : `${label} disconnected`;
     setSetupBanner(!connected);
   } catch {
     statusDot.className = 'dot disconnected';
-    statusText.textContent = 'Ollama disconnected';
+    statusText.textContent = `${PROVIDER_LABELS[provider]} disconnected`;
     setSetupBanner(true);
   }
 }
 
 function setSetupBanner(show) {
   const existing = document.getElementById('setup-banner');
-  if (!show) { existing?.remove(); return; }
-  if (existing) return;
+  if (!show || existing?.dataset.provider !== provider) existing?.remove();
+  if (!show || (existing && existing.dataset.provider === provider)) return;
   const banner = document.createElement('div');
   banner.id = 'setup-banner';
-  banner.innerHTML = `
+  banner.dataset.provider = provider;
+  banner.innerHTML = provider !== 'ollama' ? `
+    <div class="setup-banner">
+      <strong>Server is not reachable</strong>
+      <p>Start your OpenAI-compatible server (llama.cpp <code>llama-server</code>, LM Studio, vLLM…) and make sure it serves <code>/v1/chat/completions</code>.</p>
+      <ol>
+        <li>Check the base URL and API key in Settings (gear icon above)</li>
+        <li>Click the reconnect button above</li>
+      </ol>
+    </div>` : `
     <div class="setup-banner">
       <strong>Ollama is not running</strong>
       <p>This extension requires <a href="https://ollama.com" target="_blank">Ollama</a> installed and running on your machine.</p>
@@ -358,18 +675,34 @@ function parseTabMentions(text) {
   return out;
 }
 
+/** @library searches every saved page, #name the ones tagged "name"; null when neither is used. */
+function parseLibraryMention(text) {
+  const all = /(^|\s)@library\b/.test(text);
+  const tags = [...text.matchAll(/(?:^|\s)#([\w-]+)/g)].map(m => m[1].toLowerCase()).filter(t => libraryTagList.includes(t));
+  if (!all && !tags.length) return null;
+  return { tags: all ? [] : [...new Set(tags)] };
+}
+
 function detectAt() {
   const text = input.value;
   const cur = input.selectionStart;
+  if (detectSlash(text.slice(0, cur))) return;
   let pos = -1;
   for (let i = cur - 1; i >= 0; i--) {
-    if (text[i] === '@') { pos = i; break; }
+    if (text[i] === '@' || text[i] === '#') { pos = i; break; }
     if (text[i] === ' ' || text[i] === '\n') break;
   }
   if (pos === -1) { hideAutocomplete(); return; }
   atStart = pos;
   const q = text.slice(pos + 1, cur).toLowerCase();
-  const hits = allTabs.filter(t => t.title?.toLowerCase().includes(q) || t.url?.toLowerCase().includes(q));
+  let hits;
+  if (text[pos] === '#') {
+    hits = libraryTagList.filter(t => t.includes(q)).map(t => ({ title: `#${t}`, url: 'Saved pages in this collection', insert: `#${t}` }));
+  } else {
+    hits = allTabs.filter(t => t.title?.toLowerCase().includes(q) || t.url?.toLowerCase().includes(q))
+      .map(t => ({ ...t, insert: `@"${t.title}"` }));
+    if ('library'.startsWith(q)) hits.unshift({ title: '@library', url: 'Search all saved pages', insert: '@library' });
+  }
   if (!hits.length) { hideAutocomplete(); return; }
   showAutocomplete(hits);
 }
@@ -381,6 +714,7 @@ function showAutocomplete(tabs) {
     const item = document.createElement('div');
     item.className = 'tab-item';
     item.dataset.i = i;
+    item.dataset.insert = tab.insert;
     if (tab.favIconUrl) {
       const img = document.createElement('img');
       img.className = 'tab-favicon'; img.src = tab.favIconUrl;
@@ -413,23 +747,212 @@ function navAutocomplete(dir) {
 function selectTab() {
   const items = autocompleteList.querySelectorAll('.tab-item');
   if (tabIdx < 0 || tabIdx >= items.length) return;
-  const title = items[tabIdx].querySelector('.tab-title').textContent;
+  const insert = items[tabIdx].dataset.insert;
   const before = input.value.slice(0, atStart);
   const after  = input.value.slice(input.selectionStart);
-  input.value = before + `@"${title}" ` + after;
-  input.selectionStart = input.selectionEnd = before.length + title.length + 4;
+  input.value = before + `${insert} ` + after;
+  input.selectionStart = input.selectionEnd = before.length + insert.length + 1;
   hideAutocomplete();
   input.focus();
   updateSend();
 }
 
+// ── Slash commands ────────────────────────────────────────────────────────
+//
+// "/name …" at the start of the input. /agent, /model and /clear act on the
+// panel; every other command is a prompt template — built in, or saved in the
+// prompt library — whose {{variables}} are filled in when it is sent.
+
+const ACTION_COMMANDS = [
+  { name: 'agent', args: '<task>', description: 'Run one message as an agent task; on its own, switch agent mode' },
+  { name: 'model', args: '<name>', description: 'Switch to another model' },
+  { name: 'clear', args: '', description: 'Start a new chat' }
+];
+
+const BUILTIN_PROMPTS = [
+  { name: 'summarize', args: '', description: 'Summarize the selection or the current tab', prompt: 'Summarize this: a one-sentence overview, then the key points as a list.\n\n{{selection|tab}}' },
+  { name: 'translate', args: '<language>', description: 'Translate the selection or the current tab', prompt: 'Translate this into {{input}}. Reply with the translation only.\n\n{{selection|tab}}' },
+  { name: 'explain', args: '', description: 'Explain the selection or the current tab in plain terms', prompt: 'Explain this in plain terms, for someone new to the subject.\n\n{{selection|tab}}' }
+];
+
+// Template variables, with what each needs when it comes up empty
+const PROMPT_VARS = {
+  input: 'text typed after the command',
+  selection: 'text selected on the page',
+  tab: 'a web page in the current tab',
+  title: 'a web page in the current tab',
+  url: 'a web page in the current tab',
+  date: '',
+  time: ''
+};
+const VAR_RE = /\{\{([^}]+)\}\}/g;
+
+const usesVar = (prompt, name) => [...prompt.matchAll(VAR_RE)].some(m => m[1].split('|').some(n => n.trim() === name));
+
+/** Every command for autocomplete; saved prompts replace built-in ones of the same name. */
+function allCommands() {
+  const saved = savedPrompts.map(p => ({
+    ...p,
+    args: usesVar(p.prompt, 'input') ? '<text>' : '',
+    description: p.description || p.prompt.replace(/\s+/g, ' ').slice(0, 80)
+  }));
+  return [...ACTION_COMMANDS, ...saved, ...BUILTIN_PROMPTS.filter(b => !savedPrompts.some(p => p.name === b.name))];
+}
+
+function findPrompt(name) {
+  return savedPrompts.find(p => p.name === name) || BUILTIN_PROMPTS.find(p => p.name === name);
+}
+
+/** '' when every {{variable}} in a template is known, otherwise what is wrong. */
+function promptVarError(prompt) {
+  const unknown = [...prompt.matchAll(VAR_RE)].flatMap(m => m[1].split('|').map(n => n.trim())).find(n => !(n in PROMPT_VARS));
+  return unknown === undefined ? '' : `{{${unknown}}} is not a variable — use ${Object.keys(PROMPT_VARS).map(n => `{{${n}}}`).join(', ')}`;
+}
+
+/** A template with its variables filled in; {{a|b}} takes the first of them that has a value. */
+async function fillPrompt(p, text) {
+  const error = promptVarError(p.prompt);
+  if (error) throw new Error(`/${p.name}: ${error}`);
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  const page = /^(https?|file):/.test(tab?.url || '') ? tab : null;
+  const now = new Date();
+  const values = {
+    input: text,
+    selection: page && usesVar(p.prompt, 'selection')
+      ? (await chrome.runtime.sendMessage({ action: 'tabSelection', tabId: page.id }).catch(() => null))?.text || ''
+      : '',
+    tab: page ? `@"${page.title}"` : '',
+    title: page?.title || '',
+    url: page?.url || '',
+    date: now.toLocaleDateString([], { dateStyle: 'long' }),
+    time: ts(now.getTime())
+  };
+  if (page && usesVar(p.prompt, 'tab')) await loadTabs(); // the mention is matched against allTabs when sent
+
+  return p.prompt.replace(VAR_RE, (_, expr) => {
+    const names = expr.split('|').map(n => n.trim());
+    const value = names.map(n => values[n]).find(v => v?.trim());
+    if (!value) throw new Error(`/${p.name} needs ${[...new Set(names.map(n => PROMPT_VARS[n]))].join(' or ')}`);
+    return value;
+  });
+}
+
+/**
+ * What a /command line sends instead: `{ query, agent?, model?, system? }`,
+ * or null when the command acted on the panel and sends nothing.
+ */
+async function expandCommand(line) {
+  const [, name, rest] = /^\/(\S*)\s*([\s\S]*)$/.exec(line);
+  const arg = rest.trim();
+  if (name === 'clear') { await newChat(); return null; }
+  if (name === 'agent') {
+    if (agentRefusal()) throw new Error(agentRefusal());
+    if (!arg) { setAgentMode(!agentMode); return null; }
+    return { query: arg, agent: true };
+  }
+  if (name === 'model') {
+    if (!arg) throw new Error('Usage: /model <name>');
+    const models = [...modelSelect.options].map(o => o.value);
+    const model = models.find(m => m === arg) || models.find(m => m.toLowerCase().startsWith(arg.toLowerCase()));
+    if (!model) throw new Error(`No model named ${arg} — the server has ${models.join(', ')}`);
+    modelSelect.value = model;
+    modelSelect.dispatchEvent(new Event('change'));
+    return null;
+  }
+
+  const p = findPrompt(name.toLowerCase());
+  if (!p) throw new Error(`Unknown command /${name} — type / to see the commands, or start with // to send a message that begins with a slash`);
+  if (p.model && ![...modelSelect.options].some(o => o.value === p.model))
+    throw new Error(`/${p.name} uses ${p.model}, which the server does not have`);
+  return {
+    query: await fillPrompt(p, arg),
+    ...(p.mode ? { agent: p.mode === 'agent' } : {}),
+    ...(p.model ? { model: p.model } : {}),
+    ...(p.system ? { system: p.system } : {})
+  };
+}
+
+/** Autocomplete for a command name at the start of the input, then for /model's argument. */
+function detectSlash(before) {
+  const name = /^\/([\w-]*)$/.exec(before);
+  const modelArg = /^\/model\s+(\S*)$/.exec(before);
+  let hits;
+  if (name) {
+    const q = name[1].toLowerCase();
+    hits = allCommands().filter(c => c.name.startsWith(q))
+      .map(c => ({ title: `/${c.name}${c.args ? ` ${c.args}` : ''}`, url: c.description, insert: `/${c.name}` }));
+    atStart = 0;
+  } else if (modelArg) {
+    const q = modelArg[1].toLowerCase();
+    hits = [...modelSelect.options].map(o => o.value).filter(m => m.toLowerCase().includes(q))
+      .map(m => ({ title: m, url: m === selectedModel ? 'Selected now' : 'Switch to this model', insert: m }));
+    atStart = before.length - modelArg[1].length;
+  } else {
+    return false;
+  }
+  if (hits.length) showAutocomplete(hits); else hideAutocomplete();
+  return true;
+}
+
 // ── Input ─────────────────────────────────────────────────────────────────
 
+const SEND_ICON = `<svg width="16" height="16" viewBox="0 0 20 20" fill="none"><path d="M2 10L18 2L10 18L9 11L2 10Z" fill="currentColor"/></svg>`;
+const STOP_ICON = `<svg width="12" height="12" viewBox="0 0 12 12" fill="none"><rect width="12" height="12" rx="2" fill="currentColor"/></svg>`;
+
 function updateSend() {
-  sendBtn.disabled = !input.value.trim() || !selectedModel || isLoading;
+  // While a run is in flight the send button doubles as its stop button
+  const running = !!currentRun;
+  if (sendBtn.classList.contains('stop') !== running) {
+    sendBtn.classList.toggle('stop', running);
+    sendBtn.innerHTML = running ? STOP_ICON : SEND_ICON;
+    sendBtn.title = running ? 'Stop' : '';
+  }
+  sendBtn.disabled = running ? false : !input.value.trim() || !selectedModel || isLoading;
   input.style.height = 'auto';
   input.style.height = Math.min(input.scrollHeight, 140) + 'px';
   detectAt();
+  scheduleMeter();
+}
+
+// ── Context meter ─────────────────────────────────────────────────────────
+
+const meterEl = document.getElementById('context-meter');
+let meterTimer = null;
+let meterSeq   = 0;
+
+function fmtTokens(n) {
+  return n >= 1000 ? `${(n / 1000).toFixed(1).replace(/\.0$/, '')}k` : String(n);
+}
+
+function scheduleMeter() {
+  clearTimeout(meterTimer);
+  meterTimer = setTimeout(updateMeter, 350);
+}
+
+/** Estimated share of the context window the next chat message will use. */
+async function updateMeter() {
+  const query = input.value.trim();
+  if (agentMode || isLoading || !selectedModel || (!query && !history.length)) { meterEl.style.display = 'none'; return; }
+
+  const seq = ++meterSeq;
+  const mentionedTabs = parseTabMentions(query).map(t => ({ id: t.id, title: t.title, url: t.url }));
+  const res = await chrome.runtime.sendMessage({
+    action: 'estimateContext',
+    data: { query, model: selectedModel, system: persona?.system, mentionedTabs, library: parseLibraryMention(query), snippets, images: attachments.length + (attachScreenshot ? 1 : 0), history: historyForModel(history) }
+  }).catch(() => null);
+  if (seq !== meterSeq || !res?.success) return;
+
+  const { used, limit, reserve, parts, summarized, trimmed, retrieval } = res.estimate;
+  const notes = [];
+  if (summarized) notes.push(`${summarized} older messages summarized`);
+  if (retrieval) notes.push('relevant passages only');
+  else if (trimmed) notes.push('pages trimmed to fit');
+
+  meterEl.style.display = '';
+  meterEl.classList.toggle('warn', notes.length > 0 || used > (limit - reserve) * 0.9);
+  meterEl.querySelector('.context-fill').style.width = `${Math.min(100, used / limit * 100)}%`;
+  meterEl.querySelector('.context-text').textContent = `≈${fmtTokens(used)} / ${fmtTokens(limit)} tokens${notes.length ? ' · ' + notes.join(' · ') : ''}`;
+  meterEl.title = `Prompt ${parts.prompt} · history ${parts.history} · pages ${parts.pages} · ${reserve} reserved for the reply`;
 }
 
 input.addEventListener('input', updateSend);
@@ -445,24 +968,181 @@ input.addEventListener('keydown', e => {
   if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); if (!sendBtn.disabled) handleSend(); }
 });
 
-sendBtn.addEventListener('click', handleSend);
+sendBtn.addEventListener('click', () => currentRun ? stopRun(currentRun) : handleSend());
+
+function setAgentMode(on) {
+  if (on && agentRefusal()) return;
+  agentMode = on;
+  agentBtn.classList.toggle('active', agentMode);
+  input.placeholder = agentMode ? 'Describe a task for the agent…' : 'Ask anything…';
+  marksBtn.style.display = agentMode ? '' : 'none';
+  scheduleMeter();
+}
+
+// ── Images ────────────────────────────────────────────────────────────────
+
+const IMAGE_MAX_SIDE = 1280;
+const attachmentsEl = document.getElementById('attachments');
+const screenshotBtn = document.getElementById('screenshot-btn');
+
+/** Reads an image file as a data: URL, scaled down to IMAGE_MAX_SIDE so it stays cheap to send and store. */
+async function readImage(file) {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, IMAGE_MAX_SIDE / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return canvas.toDataURL(file.type === 'image/png' && scale === 1 ? 'image/png' : 'image/jpeg', 0.85);
+}
+
+async function addImages(files) {
+  for (const file of files) {
+    if (!file.type.startsWith('image/')) continue;
+    try { attachments.push(await readImage(file)); } catch {}
+  }
+  renderAttachments();
+  input.focus();
+}
+
+function renderAttachments() {
+  attachmentsEl.innerHTML = '';
+  attachmentsEl.style.display = attachments.length ? '' : 'none';
+  attachments.forEach((src, i) => {
+    const thumb = document.createElement('div');
+    thumb.className = 'attachment';
+    thumb.innerHTML = `<img src="${src}"><button class="attachment-remove" title="Remove">×</button>`;
+    thumb.querySelector('button').addEventListener('click', () => { attachments.splice(i, 1); renderAttachments(); });
+    attachmentsEl.appendChild(thumb);
+  });
+  if (attachments.length && modelVision === false) {
+    attachmentsEl.insertAdjacentHTML('beforeend', `<span class="attachment-warn">${esc(selectedModel)} cannot see images</span>`);
+  }
+  scheduleMeter();
+}
+
+async function updateVision() {
+  modelVision = null;
+  if (selectedModel) {
+    const res = await chrome.runtime.sendMessage({ action: 'modelCapabilities', model: selectedModel }).catch(() => null);
+    if (res?.success) modelVision = res.vision;
+  }
+  // Unknown (OpenAI-compatible servers) stays available — the server will say if it cannot
+  screenshotBtn.style.display = modelVision === false ? 'none' : '';
+  if (modelVision === false && attachScreenshot) toggleScreenshot();
+  renderAttachments();
+}
+
+function toggleScreenshot() {
+  attachScreenshot = !attachScreenshot;
+  screenshotBtn.classList.toggle('active', attachScreenshot);
+  scheduleMeter();
+}
+
+// ── Selections and picked elements ────────────────────────────────────────
+//
+// The context menu, the shortcut and the page's element picker queue snippets
+// in session storage; they become chips above the input until sent or removed.
+
+const snippetsEl = document.getElementById('snippets');
+const SNIPPET_NAMES = { selection: 'Selection', element: 'Element', html: 'HTML' };
+
+function snippetChip(s, onRemove) {
+  const chip = document.createElement('span');
+  chip.className = 'snippet-chip';
+  chip.title = `${s.title}\n${s.url}\n\n${s.text.slice(0, 400)}${s.text.length > 400 ? '…' : ''}`;
+  chip.innerHTML = `<span class="snippet-kind">${SNIPPET_NAMES[s.kind] || 'Snippet'}</span><span class="snippet-label">${esc(s.label)}</span>`;
+  if (onRemove) {
+    const remove = document.createElement('button');
+    remove.className = 'snippet-remove';
+    remove.title = 'Remove';
+    remove.textContent = '×';
+    remove.addEventListener('click', onRemove);
+    chip.appendChild(remove);
+  }
+  return chip;
+}
+
+function renderSnippets() {
+  snippetsEl.innerHTML = '';
+  snippetsEl.style.display = snippets.length ? '' : 'none';
+  snippets.forEach((s, i) => snippetsEl.appendChild(snippetChip(s, () => { snippets.splice(i, 1); renderSnippets(); })));
+  scheduleMeter();
+}
+
+/** Moves snippets queued by the service worker onto the input. */
+async function takeSnippets() {
+  const { pendingSnippets } = await chrome.storage.session.get('pendingSnippets');
+  if (!pendingSnippets?.length) return;
+  await chrome.storage.session.remove('pendingSnippets');
+  snippets.push(...pendingSnippets);
+  renderSnippets();
+  showView('chat');
+  input.focus();
+}
+
+/** Starts the element picker on the active tab; the pick arrives through takeSnippets. */
+async function startPicker() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  const res = tab && await chrome.tabs.sendMessage(tab.id, { action: 'startPicker' }, { frameId: 0 }).catch(() => null);
+  if (!res?.success) addError('Cannot pick on this page — try reloading it');
+}
+
+// ── Set-of-marks ──────────────────────────────────────────────────────────
+
+const marksBtn = document.getElementById('marks-btn');
+let showMarks = false;
+
+/** Labels every element the agent can address on the active tab; kept on across steps until toggled off. */
+async function toggleMarks() {
+  showMarks = !showMarks;
+  marksBtn.classList.toggle('active', showMarks);
+  await chrome.storage.local.set({ showMarks });
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (tab) chrome.runtime.sendMessage({ action: 'tabMarks', tabId: tab.id, on: showMarks }).catch(() => {});
+}
+
+input.addEventListener('paste', e => {
+  const files = [...e.clipboardData.files].filter(f => f.type.startsWith('image/'));
+  if (!files.length) return;
+  e.preventDefault();
+  addImages(files);
+});
+
+const inputArea = document.querySelector('.input-area');
+inputArea.addEventListener('dragover', e => {
+  if (![...e.dataTransfer.items].some(i => i.type.startsWith('image/'))) return;
+  e.preventDefault();
+  inputArea.classList.add('drop');
+});
+inputArea.addEventListener('dragleave', e => { if (!inputArea.contains(e.relatedTarget)) inputArea.classList.remove('drop'); });
+inputArea.addEventListener('drop', e => {
+  inputArea.classList.remove('drop');
+  if (!e.dataTransfer.files.length) return;
+  e.preventDefault();
+  addImages(e.dataTransfer.files);
+});
 
 // ── New chat ──────────────────────────────────────────────────────────────
 
 async function newChat() {
+  if (isLoading) return;
   history = [];
-  await chrome.storage.local.remove('chatHistory');
+  conversation = null;
+  await chrome.storage.local.remove('currentConversation');
+  showView('chat');
   chat.innerHTML = '';
   const welcome = document.createElement('div');
   welcome.id = 'welcome'; welcome.className = 'welcome';
   welcome.innerHTML = `
     <div class="welcome-logo"><svg width="40" height="40" viewBox="0 0 691 691" fill="none"><rect width="691" height="691" rx="124" fill="#3b82f6"/><rect x="138" y="138" width="121" height="415" rx="42" fill="white"/><rect x="138" y="432" width="415" height="121" rx="42" fill="white"/></svg></div>
     <h2 class="welcome-title">Local-Agent Ollama</h2>
-    <p class="welcome-desc">Chat, summarize pages, or reference any open tab with <code>@tabname</code>. Powered by Ollama — fully private, runs on your machine.</p>
+    <p class="welcome-desc">Chat, summarize pages, or reference any open tab with <code>@tabname</code>. Type <code>/</code> for commands. Powered by Ollama — fully private, runs on your machine.</p>
     <div class="suggestions">
-      <button class="suggestion" data-q='Summarize @"'>Summarize a tab</button>
+      <button class="suggestion" data-q="/summarize ">Summarize this tab</button>
       <button class="suggestion" data-q='What are the key points in @"'>Key points</button>
-      <button class="suggestion" data-q='Explain @"'>Explain this page</button>
+      <button class="suggestion" data-q="/explain ">Explain this page</button>
     </div>`;
   chat.appendChild(welcome);
   welcome.querySelectorAll('.suggestion').forEach(btn => {
@@ -475,33 +1155,1204 @@ async function newChat() {
 
 function exportChat() {
   if (!history.length) return;
-  let out = '# Local-Agent Ollama Conversation\n\n';
+  let out = `# ${conversation?.title || 'Local-Agent Ollama Conversation'}\n\n`;
   history.forEach(m => {
     out += `**${m.role === 'user' ? 'You' : 'Agent'}** _(${new Date(m.timestamp).toLocaleString()})_\n\n${m.text}\n\n---\n\n`;
   });
-  const url = URL.createObjectURL(new Blob([out], { type: 'text/markdown' }));
-  Object.assign(document.createElement('a'), { href: url, download: `local-agent-${Date.now()}.md` }).click();
-  URL.revokeObjectURL(url);
+  downloadFile(`local-agent-${Date.now()}.md`, out, 'text/markdown');
+}
+
+// ── Views ─────────────────────────────────────────────────────────────────
+
+/** Swaps the chat + input for one of the full-height .panel-view screens, or back ('chat'). */
+function showView(name) {
+  document.querySelectorAll('.panel-view').forEach(v => { v.style.display = v.id === `${name}-view` ? 'flex' : 'none'; });
+  const inChat = name === 'chat';
+  chat.style.display = inChat ? '' : 'none';
+  document.querySelector('.input-area').style.display = inChat ? '' : 'none';
 }
 
-// ── History ───────────────────────────────────────────────────────────────
+function currentView() {
+  return [...document.querySelectorAll('.panel-view')].find(v => v.style.display !== 'none')?.id.replace(/-view$/, '') || 'chat';
+}
+
+// ── Conversations ─────────────────────────────────────────────────────────
+//
+// chrome.storage.local (with unlimitedStorage) holds:
+//   conversations        [{ id, title, model, created, updated, pinned, titled }]
+//   conv:<id>            that conversation's messages
+//   currentConversation  id of the one open in the panel
+
+async function listConversations() {
+  const { conversations = [] } = await chrome.storage.local.get('conversations');
+  return conversations;
+}
+
+async function putConversation(meta) {
+  const list = await listConversations();
+  const i = list.findIndex(c => c.id === meta.id);
+  if (i >= 0) list[i] = meta; else list.push(meta);
+  await chrome.storage.local.set({ conversations: list });
+}
+
+async function updateConversation(id, patch) {
+  const list = await listConversations();
+  const meta = list.find(c => c.id === id);
+  if (!meta) return;
+  Object.assign(meta, patch);
+  if (conversation?.id === id) Object.assign(conversation, patch);
+  await chrome.storage.local.set({ conversations: list });
+  if (currentView() === 'history') renderHistoryList();
+}
+
+async function deleteConversation(id) {
+  const list = (await listConversations()).filter(c => c.id !== id);
+  await chrome.storage.local.set({ conversations: list });
+  await chrome.storage.local.remove(`conv:${id}`);
+  if (conversation?.id === id) { history = []; conversation = null; await chrome.storage.local.remove('currentConversation'); }
+}
+
+function fallbackTitle(text = '') {
+  const t = text.replace(/@"([^"]+)"/g, '$1').replace(/\s+/g, ' ').trim();
+  return t.length > 48 ? t.slice(0, 47) + '…' : t || 'New chat';
+}
 
 async function saveHistory() {
-  try { await chrome.storage.local.set({ chatHistory: history }); } catch {}
+  if (!history.length) return;
+  try {
+    const now = Date.now();
+    if (!conversation) {
+      conversation = { id: now.toString(36), title: fallbackTitle(history.find(m => m.role === 'user')?.text), model: selectedModel, created: now, updated: now, pinned: false, titled: false };
+      await chrome.storage.local.set({ currentConversation: conversation.id });
+    }
+    conversation.updated = now;
+    conversation.model = selectedModel || conversation.model;
+    await chrome.storage.local.set({ [`conv:${conversation.id}`]: history });
+    await putConversation(conversation);
+    autoTitle();
+  } catch {}
+}
+
+/** After the first exchange, ask the selected model for a short title (once per conversation). */
+function autoTitle() {
+  if (conversation.titled || !selectedModel) return;
+  const exchange = [history.find(m => m.role === 'user'), history.find(m => m.role === 'assistant')];
+  if (!exchange[0] || !exchange[1]) return;
+  conversation.titled = true;
+  const { id } = conversation;
+  chrome.runtime.sendMessage({ action: 'generateTitle', data: { model: selectedModel, messages: exchange } })
+    .then(res => { if (res?.success && res.title) updateConversation(id, { title: res.title, titled: true }); })
+    .catch(() => {});
+}
+
+async function openConversation(id) {
+  if (isLoading) return;
+  const meta = (await listConversations()).find(c => c.id === id);
+  if (!meta) return;
+  const stored = (await chrome.storage.local.get(`conv:${id}`))[`conv:${id}`] || [];
+  history = stored;
+  conversation = meta;
+  await chrome.storage.local.set({ currentConversation: id });
+  showView('chat');
+  chat.innerHTML = '';
+  history.forEach(renderEntry);
+  scrollBottom();
 }
 
 async function loadHistory() {
   try {
-    const { chatHistory } = await chrome.storage.local.get('chatHistory');
+    // Move the single pre-conversations chat into the new store
+    const { chatHistory, currentConversation } = await chrome.storage.local.get(['chatHistory', 'currentConversation']);
     if (chatHistory?.length) {
       history = chatHistory;
+      await saveHistory();
+      await chrome.storage.local.remove('chatHistory');
+    } else if (currentConversation) {
+      const meta = (await listConversations()).find(c => c.id === currentConversation);
+      if (meta) { conversation = meta; history = (await chrome.storage.local.get(`conv:${meta.id}`))[`conv:${meta.id}`] || []; }
+    }
+    if (history.length) {
       document.getElementById('welcome')?.remove();
-      history.forEach(m => renderMsg(m.role, m.text, m.timestamp || Date.now()));
+      history.forEach(renderEntry);
       scrollBottom();
     }
   } catch {}
 }
 
+// ── History view ──────────────────────────────────────────────────────────
+
+const historySearch = document.getElementById('history-search');
+const historyList   = document.getElementById('history-list');
+
+const ICON_PIN    = `<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 17v5M9 3h6l-1 7 4 3v2H6v-2l4-3z"/></svg>`;
+const ICON_EDIT   = `<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 20h9M16.5 3.5a2.1 2.1 0 0 1 3 3L7 19l-4 1 1-4z"/></svg>`;
+const ICON_DELETE = `<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 6h18M8 6V4h8v2M19 6l-1 14H6L5 6"/></svg>`;
+
+function toggleHistoryView() {
+  if (currentView() === 'history') { showView('chat'); return; }
+  historySearch.value = '';
+  showView('history');
+  renderHistoryList();
+  historySearch.focus();
+}
+
+async function renderHistoryList() {
+  const q = historySearch.value.trim().toLowerCase();
+  let list = await listConversations();
+  if (q) {
+    const stored = await chrome.storage.local.get(list.map(c => `conv:${c.id}`));
+    list = list.filter(c => c.title.toLowerCase().includes(q)
+      || (stored[`conv:${c.id}`] || []).some(m => m.text?.toLowerCase().includes(q)));
+  }
+  list.sort((a, b) => (b.pinned - a.pinned) || (b.updated - a.updated));
+
+  historyList.innerHTML = '';
+  if (!list.length) {
+    historyList.innerHTML = `<div class="view-empty">${q ? 'No matching conversations' : 'No saved conversations yet'}</div>`;
+    return;
+  }
+  list.forEach(c => historyList.appendChild(historyItem(c)));
+}
+
+function historyItem(c) {
+  const item = document.createElement('div');
+  item.className = `history-item${c.id === conversation?.id ? ' current' : ''}${c.pinned ? ' pinned' : ''}`;
+  item.innerHTML = `
+    <div class="history-main">
+      <div class="history-title">${esc(c.title)}</div>
+      <div class="history-meta">${esc(new Date(c.updated).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }))}${c.model ? ` · ${esc(c.model)}` : ''}</div>
+    </div>
+    <div class="history-actions">
+      <button class="history-action pin" title="${c.pinned ? 'Unpin' : 'Pin'}">${ICON_PIN}</button>
+      <button class="history-action rename" title="Rename">${ICON_EDIT}</button>
+      <button class="history-action delete" title="Delete">${ICON_DELETE}</button>
+    </div>`;
+
+  item.querySelector('.history-main').addEventListener('click', () => openConversation(c.id));
+  item.querySelector('.pin').addEventListener('click', () => updateConversation(c.id, { pinned: !c.pinned }));
+  item.querySelector('.rename').addEventListener('click', () => renameInline(item, c));
+
+  // Two clicks to delete — the first arms the button
+  const del = item.querySelector('.delete');
+  del.addEventListener('click', async () => {
+    if (!del.classList.contains('armed')) { del.classList.add('armed'); del.title = 'Click again to delete'; return; }
+    await deleteConversation(c.id);
+    if (!conversation) await newChat();
+    showView('history');
+    renderHistoryList();
+  });
+  del.addEventListener('mouseleave', () => { del.classList.remove('armed'); del.title = 'Delete'; });
+  return item;
+}
+
+function renameInline(item, c) {
+  const titleEl = item.querySelector('.history-title');
+  const field = document.createElement('input');
+  field.className = 'history-rename';
+  field.value = c.title;
+  titleEl.replaceWith(field);
+  field.focus(); field.select();
+  let finished = false;
+  const finish = save => {
+    if (finished) return;
+    finished = true;
+    const title = field.value.trim();
+    if (save && title && title !== c.title) updateConversation(c.id, { title, titled: true });
+    else renderHistoryList();
+  };
+  field.addEventListener('keydown', e => {
+    if (e.key === 'Enter') finish(true);
+    if (e.key === 'Escape') finish(false);
+  });
+  field.addEventListener('blur', () => finish(true));
+  field.addEventListener('click', e => e.stopPropagation());
+}
+
+// ── Library view ──────────────────────────────────────────────────────────
+//
+// Saved pages live in the service worker's IndexedDB; this view only talks to
+// it through library* messages.
+
+const librarySearch = document.getElementById('library-search');
+const libraryList   = document.getElementById('library-list');
+const libraryTagsEl = document.getElementById('library-tags');
+const libraryStatus = document.getElementById('library-status');
+let libraryTag = '';   // tag filter, '' for all
+let libraryShown = []; // ids in the list, for export
+
+function libraryMsg(action, data) {
+  return chrome.runtime.sendMessage({ action, data }).then(res => {
+    if (!res?.success) throw new Error(res?.error || 'The library is not available');
+    return res;
+  });
+}
+
+function setLibraryStatus(text, isError) {
+  libraryStatus.textContent = text;
+  libraryStatus.classList.toggle('error', !!isError);
+}
+
+async function loadLibraryTags() {
+  try { libraryTagList = (await libraryMsg('libraryTags')).result; } catch {}
+}
+
+function toggleLibraryView() {
+  if (currentView() === 'library') { showView('chat'); return; }
+  librarySearch.value = '';
+  setLibraryStatus('');
+  showView('library');
+  renderLibraryList();
+  librarySearch.focus();
+}
+
+async function renderLibraryList() {
+  const query = librarySearch.value.trim();
+  let res;
+  try { res = await libraryMsg('libraryList', { query, tag: libraryTag }); }
+  catch (e) { setLibraryStatus(e.message, true); return; }
+  libraryTagList = res.tags;
+  if (libraryTag && !res.tags.includes(libraryTag)) { libraryTag = ''; renderLibraryList(); return; }
+
+  libraryTagsEl.innerHTML = '';
+  libraryTagsEl.style.display = res.tags.length ? '' : 'none';
+  ['', ...res.tags].forEach(t => {
+    const chip = document.createElement('button');
+    chip.className = `library-tag${t === libraryTag ? ' active' : ''}`;
+    chip.textContent = t ? `#${t}` : 'All';
+    chip.addEventListener('click', () => { libraryTag = t; renderLibraryList(); });
+    libraryTagsEl.appendChild(chip);
+  });
+
+  libraryShown = res.docs.map(d => d.id);
+  libraryList.innerHTML = '';
+  if (!res.docs.length) {
+    libraryList.innerHTML = `<div class="view-empty">${query || libraryTag ? 'No matching pages' : 'No saved pages yet — open a page and click Save'}</div>`;
+    return;
+  }
+  res.docs.forEach(d => libraryList.appendChild(libraryItem(d)));
+}
+
+function libraryItem(d) {
+  const item = document.createElement('div');
+  item.className = 'history-item library-item';
+  let host = d.url;
+  try { host = new URL(d.url).host; } catch {}
+  item.innerHTML = `
+    <div class="history-main">
+      <div class="history-title">${esc(d.title)}</div>
+      <div class="history-meta">${esc(host)} · ${esc(new Date(d.savedAt).toLocaleDateString([], { dateStyle: 'medium' }))} · ${Math.round(d.chars / 1000)}k chars</div>
+      <div class="library-item-tags">${d.tags.map(t => `<span class="library-item-tag">#${esc(t)}</span>`).join('')}</div>
+    </div>
+    <div class="history-actions">
+      <button class="history-action tags" title="Edit tags">#</button>
+      <button class="history-action delete" title="Delete">${ICON_DELETE}</button>
+    </div>`;
+
+  item.querySelector('.history-main').addEventListener('click', () => chrome.tabs.create({ url: d.url }));
+  item.querySelector('.tags').addEventListener('click', () => editTagsInline(item, d));
+
+  const del = item.querySelector('.delete');
+  del.addEventListener('click', async () => {
+    if (!del.classList.contains('armed')) { del.classList.add('armed'); del.title = 'Click again to delete'; return; }
+    try { await libraryMsg('libraryDelete', { id: d.id }); } catch (e) { setLibraryStatus(e.message, true); }
+    renderLibraryList();
+  });
+  del.addEventListener('mouseleave', () => { del.classList.remove('armed'); del.title = 'Delete'; });
+  return item;
+}
+
+function editTagsInline(item, d) {
+  const tagsEl = item.querySelector('.library-item-tags');
+  const field = document.createElement('input');
+  field.className = 'history-rename';
+  field.placeholder = 'Tags, separated by commas';
+  field.value = d.tags.join(', ');
+  tagsEl.replaceWith(field);
+  field.focus(); field.select();
+  let finished = false;
+  const finish = async save => {
+    if (finished) return;
+    finished = true;
+    if (save) {
+      try { await libraryMsg('libraryUpdate', { id: d.id, tags: field.value.split(/[,\s]+/) }); }
+      catch (e) { setLibraryStatus(e.message, true); }
+    }
+    renderLibraryList();
+  };
+  field.addEventListener('keydown', e => {
+    if (e.key === 'Enter') finish(true);
+    if (e.key === 'Escape') finish(false);
+  });
+  field.addEventListener('blur', () => finish(true));
+  field.addEventListener('click', e => e.stopPropagation());
+}
+
+async function saveActiveTab() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab) return;
+  setLibraryStatus('Saving…');
+  try {
+    const { result } = await libraryMsg('librarySave', { tabId: tab.id, tags: libraryTag ? [libraryTag] : [] });
+    setLibraryStatus(result.updated ? `Updated “${tab.title}”` : `Saved “${tab.title}”`);
+    librarySearch.value = '';
+    await renderLibraryList();
+    // Offer the tags field straight away for a fresh save
+    const item = libraryList.querySelectorAll('.library-item')[0];
+    if (item && !result.updated) item.querySelector('.tags').click();
+  } catch (e) {
+    setLibraryStatus(e.message, true);
+  }
+}
+
+async function exportLibrary() {
+  if (!libraryShown.length) return;
+  try {
+    const { result } = await libraryMsg('libraryExport', { ids: libraryShown });
+    const name = libraryTag ? `library-${libraryTag}` : 'library';
+    downloadFile(`local-agent-${name}-${Date.now()}.json`, JSON.stringify(result, null, 2), 'application/json');
+  } catch (e) {
+    setLibraryStatus(e.message, true);
+  }
+}
+
+async function importLibrary(file) {
+  try {
+    const data = JSON.parse(await file.text());
+    const { result } = await libraryMsg('libraryImport', { data });
+    setLibraryStatus(`Imported ${result} page${result === 1 ? '' : 's'}`);
+    renderLibraryList();
+  } catch (e) {
+    setLibraryStatus(e instanceof SyntaxError ? 'That file is not JSON' : e.message, true);
+  }
+}
+
+// ── Macros view ───────────────────────────────────────────────────────────
+//
+// Saved agent runs and recordings, run from the list without the model. The
+// service worker stores them (see its Macros section). A {{name}} in a step's
+// value is a parameter, asked for before each run.
+
+const macrosSearch = document.getElementById('macros-search');
+const macrosList   = document.getElementById('macros-list');
+const macrosStatus = document.getElementById('macros-status');
+const recordBtn    = document.getElementById('macro-record');
+let recordingTab   = null; // the tab being recorded, null when not recording
+
+// The value of each tool that can be edited in the step list
+const MACRO_FIELDS = { type: 'text', select: 'option', navigate: 'url', open_tab: 'url', key: 'key', wait_for: 'text', upload: 'content' };
+const ICON_RUN = `<svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor"><path d="M7 4v16l13-8z"/></svg>`;
+
+function macroMsg(action, data) {
+  return chrome.runtime.sendMessage({ action, data }).then(res => {
+    if (!res?.success) throw new Error(res?.error || 'Macros are not available');
+    return res.result;
+  });
+}
+
+function setMacrosStatus(text, isError) {
+  macrosStatus.textContent = text;
+  macrosStatus.classList.toggle('error', !!isError);
+}
+
+/** Swaps `el` for a name field; resolves with the name, or null when cancelled. */
+function askName(el, { placeholder, value = '' }) {
+  const field = document.createElement('input');
+  field.className = 'history-rename';
+  field.placeholder = placeholder;
+  field.value = value;
+  el.replaceWith(field);
+  field.focus(); field.select();
+  return new Promise(resolve => {
+    let finished = false;
+    const finish = save => {
+      if (finished) return;
+      finished = true;
+      field.replaceWith(el);
+      resolve(save && field.value.trim() || null);
+    };
+    field.addEventListener('keydown', e => {
+      if (e.key === 'Enter') finish(true);
+      if (e.key === 'Escape') finish(false);
+    });
+    field.addEventListener('blur', () => finish(true));
+    field.addEventListener('click', e => e.stopPropagation());
+  });
+}
+
+function toggleMacrosView() {
+  if (currentView() === 'macros') { showView('chat'); return; }
+  macrosSearch.value = '';
+  setMacrosStatus('');
+  showView('macros');
+  renderMacroList();
+  updateRecordBtn();
+}
+
+async function renderMacroList() {
+  const query = macrosSearch.value.trim().toLowerCase();
+  let macros;
+  try { macros = await macroMsg('macroList'); }
+  catch (e) { setMacrosStatus(e.message, true); return; }
+  const shown = macros.filter(m => !query || `${m.name} ${m.task}`.toLowerCase().includes(query));
+  macrosList.innerHTML = '';
+  if (!shown.length) {
+    macrosList.innerHTML = `<div class="view-empty">${query ? 'No matching macros' : 'No macros yet — save a finished agent run, or record one'}</div>`;
+    return;
+  }
+  shown.forEach(m => macrosList.appendChild(macroItem(m)));
+}
+
+function macroParams(m) {
+  const names = new Set();
+  for (const s of m.steps)
+    for (const v of Object.values(s.args))
+      if (typeof v === 'string') for (const [, name] of v.matchAll(/\{\{\s*([\w-]+)\s*\}\}/g)) names.add(name);
+  return [...names];
+}
+
+/** Today's date and the time now, in the page-friendly forms {{date}} and {{time}} default to. */
+function paramDefault(name) {
+  const now = new Date(), pad = n => String(n).padStart(2, '0');
+  if (name === 'date') return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+  if (name === 'time') return `${pad(now.getHours())}:${pad(now.getMinutes())}`;
+  return '';
+}
+
+function macroItem(m) {
+  const wrap = document.createElement('div');
+  const item = document.createElement('div');
+  item.className = 'history-item';
+  let host = '';
+  try { host = new URL(m.steps.find(s => s.url)?.url).host; } catch {}
+  const params = macroParams(m);
+  item.innerHTML = `
+    <div class="history-main">
+      <div class="history-title">${esc(m.name)}</div>
+      <div class="history-meta">${[`${m.steps.length} step${m.steps.length === 1 ? '' : 's'}`, host, new Date(m.created).toLocaleDateString([], { dateStyle: 'medium' }), params.length && `asks for ${params.join(', ')}`].filter(Boolean).map(esc).join(' · ')}</div>
+    </div>
+    <div class="history-actions">
+      <button class="history-action run" title="Run on the current tab">${ICON_RUN}</button>
+      <button class="history-action rename" title="Rename">${ICON_EDIT}</button>
+      <button class="history-action delete" title="Delete">${ICON_DELETE}</button>
+    </div>`;
+  const stepsEl = document.createElement('div');
+  stepsEl.className = 'macro-steps';
+  stepsEl.style.display = 'none';
+  wrap.append(item, stepsEl);
+
+  item.querySelector('.history-main').addEventListener('click', () => {
+    const open = stepsEl.style.display === 'none';
+    stepsEl.style.display = open ? '' : 'none';
+    if (open) renderMacroSteps(m, stepsEl);
+  });
+  item.querySelector('.run').addEventListener('click', () => params.length ? askParams(m, params, stepsEl) : runMacro(m, {}));
+  item.querySelector('.rename').addEventListener('click', async () => {
+    const title = item.querySelector('.history-title');
+    const name = await askName(title, { placeholder: 'Macro name', value: m.name });
+    if (!name || name === m.name) return;
+    try { await macroMsg('macroUpdate', { id: m.id, name }); } catch (e) { setMacrosStatus(e.message, true); }
+    renderMacroList();
+  });
+
+  const del = item.querySelector('.delete');
+  del.addEventListener('click', async () => {
+    if (!del.classList.contains('armed')) { del.classList.add('armed'); del.title = 'Click again to delete'; return; }
+    try { await macroMsg('macroDelete', { id: m.id }); } catch (e) { setMacrosStatus(e.message, true); }
+    renderMacroList();
+  });
+  del.addEventListener('mouseleave', () => { del.classList.remove('armed'); del.title = 'Delete'; });
+  return wrap;
+}
+
+/** The steps of a macro, with their values editable and each step removable. */
+function renderMacroSteps(m, stepsEl) {
+  stepsEl.innerHTML = '';
+  m.steps.forEach((s, i) => {
+    const row = document.createElement('div');
+    row.className = 'macro-step';
+    const target = s.target ? `${s.target.role} “${s.target.label}”` : s.tabUrl !== undefined ? s.tabUrl : '';
+    const field = MACRO_FIELDS[s.tool];
+    row.innerHTML = `
+      <span class="macro-step-tool">${esc(s.tool)}</span>
+      <span class="macro-step-target" title="${esc(s.url || '')}">${esc(target)}</span>
+      ${field ? `<input class="macro-step-value" spellcheck="false" title="Use {{name}} for a value asked for at each run">` : ''}
+      <button class="history-action delete" title="Remove this step">${ICON_DELETE}</button>`;
+    if (field) {
+      const value = row.querySelector('.macro-step-value');
+      value.value = s.args[field] ?? '';
+      value.addEventListener('change', async () => {
+        s.args[field] = value.value;
+        try { await macroMsg('macroUpdate', { id: m.id, steps: m.steps }); setMacrosStatus(`Saved step ${i + 1}`); }
+        catch (e) { setMacrosStatus(e.message, true); }
+      });
+    }
+    row.querySelector('.delete').addEventListener('click', async () => {
+      if (m.steps.length === 1) { setMacrosStatus('A macro needs at least one step — delete the macro instead', true); return; }
+      m.steps.splice(i, 1);
+      try { await macroMsg('macroUpdate', { id: m.id, steps: m.steps }); } catch (e) { setMacrosStatus(e.message, true); }
+      renderMacroSteps(m, stepsEl);
+    });
+    stepsEl.appendChild(row);
+  });
+}
+
+function askParams(m, params, stepsEl) {
+  stepsEl.style.display = '';
+  stepsEl.innerHTML = '';
+  const form = document.createElement('form');
+  form.className = 'macro-params';
+  form.innerHTML = params.map(p => `
+    <label class="extract-row"><span class="macro-param-name">${esc(p)}</span>
+      <input class="extract-input" name="${esc(p)}" type="${p === 'password' ? 'password' : 'text'}"></label>`).join('') + `
+    <div class="extract-row"><button class="settings-btn primary" type="submit">Run</button></div>`;
+  params.forEach(p => { form.elements.namedItem(p).value = paramDefault(p); });
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    runMacro(m, Object.fromEntries(params.map(p => [p, form.elements.namedItem(p).value])));
+    stepsEl.style.display = 'none';
+  });
+  stepsEl.appendChild(form);
+  form.elements[0].focus();
+}
+
+/** Replays a macro on the current tab, reported in the chat like an agent run. */
+function runMacro(m, params) {
+  if (isLoading) { setMacrosStatus('Wait for the current run to finish', true); return; }
+  showView('chat');
+  document.getElementById('welcome')?.remove();
+  const now = Date.now();
+  const messageId = now.toString();
+  const text = `Run macro “${m.name}”`;
+  const entry = { role: 'user', text, timestamp: now };
+  history.push(entry);
+  renderMsg('user', text, now, entry);
+  isLoading = true;
+  currentRun = messageId;
+  updateSend();
+  startAgent(messageId);
+  // The model only steps in for elements the replay cannot find
+  chrome.runtime.sendMessage({ action: 'runMacro', data: { id: m.id, params, model: selectedModel, messageId } });
+  saveHistory();
+}
+
+/** "Save as macro" under a finished agent run; `macro` is { task, steps, saved? } from its history entry. */
+function offerMacro(agent, macro) {
+  const bar = document.createElement('div');
+  bar.className = 'agent-macro';
+  const btn = document.createElement('button');
+  btn.className = 'text-btn';
+  btn.textContent = macro.saved ? 'Saved as a macro' : `Save as macro (${macro.steps.length} step${macro.steps.length === 1 ? '' : 's'})`;
+  btn.disabled = !!macro.saved;
+  bar.appendChild(btn);
+  agent.card.appendChild(bar);
+  btn.addEventListener('click', async () => {
+    const name = await askName(btn, { placeholder: 'Macro name', value: macro.task.slice(0, 60) });
+    if (!name) return;
+    try {
+      await macroMsg('macroSave', { name, task: macro.task, steps: macro.steps });
+      macro.saved = true;
+      saveHistory();
+      btn.textContent = `Saved as “${name}”`;
+      btn.disabled = true;
+    } catch (e) {
+      btn.textContent = e.message;
+    }
+  });
+}
+
+async function updateRecordBtn() {
+  recordingTab = (await chrome.storage.local.get('recordingTab')).recordingTab ?? null;
+  recordBtn.classList.toggle('recording', recordingTab !== null);
+  recordBtn.querySelector('span').textContent = recordingTab !== null ? 'Stop & save' : 'Record';
+}
+
+async function toggleRecording() {
+  await updateRecordBtn();
+  if (recordingTab === null) {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab) return;
+    try { await macroMsg('recordStart', { tabId: tab.id }); }
+    catch (e) { setMacrosStatus(e.message, true); return; }
+    setMacrosStatus(`Recording “${tab.title}” — click and type on the page`);
+    updateRecordBtn();
+    return;
+  }
+  let steps = [];
+  try { steps = await macroMsg('recordStop'); }
+  catch (e) { setMacrosStatus(e.message, true); }
+  await updateRecordBtn();
+  // The first step only reopens the page the recording started on
+  if (!steps.some((s, i) => i > 0 || s.tool !== 'navigate')) { setMacrosStatus('Nothing was recorded'); return; }
+  const name = await askName(recordBtn, { placeholder: 'Name this macro' });
+  if (!name) { setMacrosStatus('Recording discarded'); return; }
+  try {
+    await macroMsg('macroSave', { name, steps });
+    setMacrosStatus(`Saved “${name}” — ${steps.length} steps`);
+  } catch (e) {
+    setMacrosStatus(e.message, true);
+  }
+  renderMacroList();
+}
+
+// ── Schedules view ────────────────────────────────────────────────────────
+//
+// Prompts and agent tasks the service worker runs on a timer (see its
+// Schedules section), each with its latest runs.
+
+const schedulesSearch = document.getElementById('schedules-search');
+const schedulesList   = document.getElementById('schedules-list');
+const schedulesStatus = document.getElementById('schedules-status');
+const scheduleForm    = document.getElementById('schedule-form');
+let editingSchedule = null; // id of the schedule in the form, null for a new one
+let openSchedule    = null; // id of the schedule whose runs are shown
+let scheduleSeq     = 0;    // newest list render; storage changes can start several
+
+const EVERY_LABELS = { 15: 'every 15 min', 30: 'every 30 min', 60: 'hourly', 360: 'every 6 h', 1440: 'daily', 10080: 'weekly' };
+const ICON_PAUSE = `<svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor"><rect x="6" y="4" width="4" height="16" rx="1"/><rect x="14" y="4" width="4" height="16" rx="1"/></svg>`;
+
+function scheduleMsg(action, data) {
+  return chrome.runtime.sendMessage({ action, data }).then(res => {
+    if (!res?.success) throw new Error(res?.error || 'Schedules are not available');
+    return res.result;
+  });
+}
+
+function setSchedulesStatus(text, isError) {
+  schedulesStatus.textContent = text;
+  schedulesStatus.classList.toggle('error', !!isError);
+}
+
+function toggleSchedulesView() {
+  if (currentView() === 'schedules') { showView('chat'); return; }
+  schedulesSearch.value = '';
+  setSchedulesStatus('');
+  scheduleForm.style.display = 'none';
+  showView('schedules');
+  renderScheduleList();
+}
+
+function when(ms) {
+  const d = new Date(ms);
+  const day = d.toDateString() === new Date().toDateString() ? '' : `${d.toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' })} `;
+  return day + ts(ms);
+}
+
+async function renderScheduleList() {
+  const query = schedulesSearch.value.trim().toLowerCase();
+  const seq = ++scheduleSeq;
+  let schedules;
+  try { schedules = await scheduleMsg('scheduleList'); }
+  catch (e) { setSchedulesStatus(e.message, true); return; }
+  if (seq !== scheduleSeq) return;
+  const shown = schedules.filter(s => !query || `${s.name} ${s.prompt}`.toLowerCase().includes(query));
+  schedulesList.innerHTML = '';
+  if (!shown.length) {
+    schedulesList.innerHTML = `<div class="view-empty">${query ? 'No matching schedules' : 'No schedules yet — click New to run a prompt or agent task on a timer'}</div>`;
+    return;
+  }
+  shown.forEach(s => schedulesList.appendChild(scheduleItem(s)));
+}
+
+function scheduleItem(s) {
+  const wrap = document.createElement('div');
+  const item = document.createElement('div');
+  item.className = `history-item${s.paused ? ' paused' : ''}`;
+  const timing = `${EVERY_LABELS[s.every] || `every ${s.every} min`}${s.every >= 1440 && s.at ? ` at ${s.at}` : ''}`;
+  const state = s.running ? 'running now'
+    : s.paused ? 'paused'
+    : s.nextRun ? `next ${when(s.nextRun)}` : '';
+  const last = s.last && (!s.last.ok ? 'last run failed' : s.last.matched ? 'condition met' : s.last.changed ? 'changed' : 'no change');
+  item.innerHTML = `
+    <div class="history-main">
+      <div class="history-title">${esc(s.name)}</div>
+      <div class="history-meta">${[s.kind === 'agent' ? 'agent' : 'chat', timing, state, last].filter(Boolean).map(esc).join(' · ')}</div>
+    </div>
+    <div class="history-actions">
+      <button class="history-action run" title="Run now">${ICON_RUN}</button>
+      <button class="history-action pause" title="${s.paused ? 'Resume' : 'Pause'}">${s.paused ? ICON_RUN : ICON_PAUSE}</button>
+      <button class="history-action edit" title="Edit">${ICON_EDIT}</button>
+      <button class="history-action delete" title="Delete">${ICON_DELETE}</button>
+    </div>`;
+  const runsEl = document.createElement('div');
+  runsEl.className = 'schedule-runs';
+  wrap.append(item, runsEl);
+  if (openSchedule === s.id) renderRuns(s, runsEl);
+
+  item.querySelector('.history-main').addEventListener('click', () => {
+    openSchedule = openSchedule === s.id ? null : s.id;
+    if (openSchedule) renderRuns(s, runsEl); else runsEl.innerHTML = '';
+  });
+  item.querySelector('.run').addEventListener('click', async () => {
+    try { await scheduleMsg('scheduleRunNow', { id: s.id }); setSchedulesStatus(`Running “${s.name}”…`); }
+    catch (e) { setSchedulesStatus(e.message, true); }
+  });
+  item.querySelector('.pause').addEventListener('click', async () => {
+    try { await scheduleMsg('schedulePause', { id: s.id, paused: !s.paused }); } catch (e) { setSchedulesStatus(e.message, true); }
+    renderScheduleList();
+  });
+  item.querySelector('.edit').addEventListener('click', () => editSchedule(s));
+
+  const del = item.querySelector('.delete');
+  del.addEventListener('click', async () => {
+    if (!del.classList.contains('armed')) { del.classList.add('armed'); del.title = 'Click again to delete'; return; }
+    try { await scheduleMsg('scheduleDelete', { id: s.id }); } catch (e) { setSchedulesStatus(e.message, true); }
+    renderScheduleList();
+  });
+  del.addEventListener('mouseleave', () => { del.classList.remove('armed'); del.title = 'Delete'; });
+  return wrap;
+}
+
+/** A schedule's latest runs, newest first; each result opens in full on click. */
+async function renderRuns(s, runsEl) {
+  let runs = [];
+  try { runs = await scheduleMsg('scheduleRuns', { id: s.id }); } catch (e) { setSchedulesStatus(e.message, true); }
+  runsEl.innerHTML = runs.length ? '' : '<div class="schedule-run-empty">No runs yet</div>';
+  for (const r of runs) {
+    const run = document.createElement('div');
+    run.className = `schedule-run${r.ok ? '' : ' failed'}`;
+    const badges = [r.matched && 'condition met', r.changed && 'changed'].filter(Boolean);
+    run.innerHTML = `
+      <div class="schedule-run-head">
+        <span>${r.ok ? '✓' : '✗'} ${esc(when(r.started))}</span>
+        <span class="schedule-run-time">${Math.max(1, Math.round((r.finished - r.started) / 1000))} s</span>
+        ${badges.map(b => `<span class="schedule-badge">${b}</span>`).join('')}
+      </div>
+      <div class="schedule-run-result">${md(r.result)}</div>
+      ${r.reason ? `<div class="schedule-run-reason">${esc(r.reason)}</div>` : ''}`;
+    run.addEventListener('click', () => run.classList.toggle('open'));
+    runsEl.appendChild(run);
+  }
+}
+
+function scheduleFormFields() {
+  const f = scheduleForm.elements;
+  const agent = f.kind.value === 'agent';
+  f.at.style.display = Number(f.every.value) >= 1440 ? '' : 'none';
+  f.condition.style.display = f.notify.value === 'condition' ? '' : 'none';
+  f.urls.placeholder = agent ? 'Optional: the page the agent starts on' : 'Pages to read, one address per line';
+  f.prompt.placeholder = agent ? 'e.g. Check my order status on the store page and report any delays' : 'e.g. Summarize what changed on these pages since last time';
+}
+
+function editSchedule(s = null) {
+  editingSchedule = s?.id || null;
+  const f = scheduleForm.elements;
+  f.name.value = s?.name || '';
+  f.kind.value = s?.kind || (agentMode ? 'agent' : 'chat');
+  f.every.value = String(s?.every || 1440);
+  f.at.value = s?.at || '08:00';
+  f.prompt.value = s?.prompt || '';
+  f.urls.value = (s?.urls || []).join('\n');
+  f.notify.value = s?.notify || 'changed';
+  f.condition.value = s?.condition || '';
+  // A schedule keeps its own model; new ones start with the model selected now
+  const models = selectedModel ? [...modelSelect.options].map(o => o.value) : []; // none while the server is down
+  const model = s?.model || selectedModel;
+  if (model && !models.includes(model)) models.push(model);
+  f.model.replaceChildren(...models.map(m => new Option(m, m)));
+  f.model.value = model || '';
+  scheduleFormFields();
+  scheduleForm.style.display = '';
+  f.prompt.focus();
+}
+
+async function saveSchedule(e) {
+  e.preventDefault();
+  const f = scheduleForm.elements;
+  const data = {
+    id: editingSchedule,
+    name: f.name.value, kind: f.kind.value, prompt: f.prompt.value,
+    urls: f.urls.value.split('\n'),
+    model: f.model.value,
+    every: Number(f.every.value), at: f.at.value,
+    notify: f.notify.value, condition: f.condition.value
+  };
+  try {
+    const s = await scheduleMsg('scheduleSave', data);
+    scheduleForm.style.display = 'none';
+    setSchedulesStatus(`Saved “${s.name}”`);
+    renderScheduleList();
+  } catch (err) {
+    setSchedulesStatus(err.message, true);
+  }
+}
+
+async function addTabToSchedule() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab?.url) return;
+  const urls = scheduleForm.elements.urls;
+  urls.value = [urls.value.trim(), tab.url].filter(Boolean).join('\n');
+}
+
+/** Opens the schedules view on the schedule whose notification was clicked. */
+async function showNotifiedSchedule() {
+  const { openSchedule: id } = await chrome.storage.session.get('openSchedule');
+  if (!id) return;
+  await chrome.storage.session.remove('openSchedule');
+  openSchedule = id;
+  if (currentView() !== 'schedules') toggleSchedulesView();
+  else renderScheduleList();
+}
+
+// ── Prompts view ──────────────────────────────────────────────────────────
+//
+// The prompt library: the user's own slash commands, kept in
+// chrome.storage.local. Each is a template with an optional mode, model and
+// system prompt that apply to the message it sends.
+
+const promptsSearch = document.getElementById('prompts-search');
+const promptsList   = document.getElementById('prompts-list');
+const promptsStatus = document.getElementById('prompts-status');
+const promptForm    = document.getElementById('prompt-form');
+let editingPrompt = null; // id of the prompt in the form, null for a new one
+
+const MODE_LABELS = { chat: 'chat', agent: 'agent' };
+
+function setPromptsStatus(text, isError) {
+  promptsStatus.textContent = text;
+  promptsStatus.classList.toggle('error', !!isError);
+}
+
+async function loadPrompts() {
+  ({ promptLibrary: savedPrompts = [] } = await chrome.storage.local.get('promptLibrary'));
+}
+
+function togglePromptsView() {
+  if (currentView() === 'prompts') { showView('chat'); return; }
+  promptsSearch.value = '';
+  setPromptsStatus('');
+  promptForm.style.display = 'none';
+  showView('prompts');
+  renderPromptList();
+}
+
+function renderPromptList() {
+  const query = promptsSearch.value.trim().toLowerCase();
+  const match = p => !query || `${p.name} ${p.description} ${p.prompt}`.toLowerCase().includes(query);
+  const saved = savedPrompts.filter(match);
+  const builtin = BUILTIN_PROMPTS.filter(b => !savedPrompts.some(p => p.name === b.name)).filter(match);
+  promptsList.innerHTML = '';
+  if (!saved.length && !query)
+    promptsList.innerHTML = '<div class="view-empty">No saved prompts yet — click New to make your own /command</div>';
+  else if (!saved.length && !builtin.length)
+    promptsList.innerHTML = '<div class="view-empty">No matching prompts</div>';
+  saved.forEach(p => promptsList.appendChild(promptItem(p)));
+  builtin.forEach(p => promptsList.appendChild(promptItem(p, true)));
+}
+
+function promptItem(p, builtin = false) {
+  const item = document.createElement('div');
+  item.className = 'history-item';
+  const meta = [builtin ? 'built-in' : '', p.description || p.prompt.replace(/\s+/g, ' '), MODE_LABELS[p.mode], p.model].filter(Boolean);
+  item.innerHTML = `
+    <div class="history-main">
+      <div class="history-title">/${esc(p.name)}</div>
+      <div class="history-meta">${meta.map(esc).join(' · ')}</div>
+    </div>
+    ${builtin ? '' : `<div class="history-actions">
+      <button class="history-action edit" title="Edit">${ICON_EDIT}</button>
+      <button class="history-action delete" title="Delete">${ICON_DELETE}</button>
+    </div>`}`;
+
+  // Clicking a prompt puts its command in the input
+  item.querySelector('.history-main').addEventListener('click', () => {
+    showView('chat');
+    input.value = `/${p.name} `;
+    input.focus();
+    input.selectionStart = input.selectionEnd = input.value.length;
+    updateSend();
+  });
+  if (builtin) return item;
+
+  item.querySelector('.edit').addEventListener('click', () => editPrompt(p));
+  const del = item.querySelector('.delete');
+  del.addEventListener('click', async () => {
+    if (!del.classList.contains('armed')) { del.classList.add('armed'); del.title = 'Click again to delete'; return; }
+    await chrome.storage.local.set({ promptLibrary: savedPrompts.filter(x => x.id !== p.id) });
+  });
+  del.addEventListener('mouseleave', () => { del.classList.remove('armed'); del.title = 'Delete'; });
+  return item;
+}
+
+function editPrompt(p = null) {
+  editingPrompt = p?.id || null;
+  const f = promptForm.elements;
+  f.name.value = p?.name || '';
+  f.description.value = p?.description || '';
+  f.prompt.value = p?.prompt || '';
+  f.mode.value = p?.mode || '';
+  f.system.value = p?.system || '';
+  f.model.innerHTML = '<option value="">Selected model</option>';
+  const models = [...modelSelect.options].map(o => o.value);
+  if (p?.model && !models.includes(p.model)) models.push(p.model);
+  models.forEach(m => f.model.appendChild(new Option(m, m)));
+  f.model.value = p?.model || '';
+  promptForm.style.display = '';
+  (p ? f.prompt : f.name).focus();
+}
+
+async function savePrompt(e) {
+  e.preventDefault();
+  const f = promptForm.elements;
+  const name = f.name.value.trim().replace(/^\//, '').toLowerCase();
+  const prompt = f.prompt.value.trim();
+  const error = !/^[\w-]+$/.test(name) ? 'Name the command with letters, digits, - and _'
+    : ACTION_COMMANDS.some(c => c.name === name) ? `/${name} is a built-in command`
+    : savedPrompts.some(p => p.name === name && p.id !== editingPrompt) ? `You already have /${name}`
+    : !prompt ? 'Write the prompt'
+    : promptVarError(prompt);
+  if (error) { setPromptsStatus(error, true); return; }
+
+  const entry = {
+    id: editingPrompt || `p${Date.now().toString(36)}`,
+    name, description: f.description.value.trim(), prompt,
+    mode: f.mode.value, model: f.model.value, system: f.system.value.trim()
+  };
+  const list = editingPrompt ? savedPrompts.map(p => p.id === entry.id ? entry : p) : [...savedPrompts, entry];
+  await chrome.storage.local.set({ promptLibrary: list });
+  promptForm.style.display = 'none';
+  setPromptsStatus(`Saved /${name}`);
+}
+
+function exportPrompts() {
+  if (!savedPrompts.length) { setPromptsStatus('No saved prompts to export', true); return; }
+  const data = { format: 'local-agent-prompts', version: 1, exported: new Date().toISOString(), prompts: savedPrompts.map(({ id, ...p }) => p) };
+  downloadFile(`local-agent-prompts-${Date.now()}.json`, JSON.stringify(data, null, 2), 'application/json');
+}
+
+/** Adds the prompts of an exported file; ones with a name already saved are replaced. */
+async function importPrompts(file) {
+  try {
+    const data = JSON.parse(await file.text());
+    if (data?.format !== 'local-agent-prompts' || !Array.isArray(data.prompts)) throw new Error('Not a Local-Agent prompt export');
+    const list = [...savedPrompts];
+    let count = 0;
+    for (const p of data.prompts) {
+      const name = String(p?.name || '').toLowerCase();
+      if (!/^[\w-]+$/.test(name) || ACTION_COMMANDS.some(c => c.name === name) || typeof p.prompt !== 'string' || promptVarError(p.prompt)) continue;
+      const at = list.findIndex(x => x.name === name);
+      const entry = {
+        id: at >= 0 ? list[at].id : `p${Date.now().toString(36)}${count}`,
+        name, description: String(p.description || ''), prompt: p.prompt,
+        mode: p.mode in MODE_LABELS ? p.mode : '', model: String(p.model || ''), system: String(p.system || '')
+      };
+      if (at >= 0) list[at] = entry; else list.push(entry);
+      count++;
+    }
+    await chrome.storage.local.set({ promptLibrary: list });
+    const skipped = data.prompts.length - count;
+    setPromptsStatus(`Imported ${count} prompt${count === 1 ? '' : 's'}${skipped ? ` · skipped ${skipped} that were not valid` : ''}`);
+  } catch (e) {
+    setPromptsStatus(e instanceof SyntaxError ? 'That file is not JSON' : e.message, true);
+  }
+}
+
+// ── Extraction view ───────────────────────────────────────────────────────
+//
+// Templates are a few built-in field lists plus the user's own, kept in
+// chrome.storage.local as extractionTemplates: [{ id, name, schema, instructions }].
+
+const EXTRACT_TEMPLATES = [
+  { id: 'products', name: 'Products',          schema: 'name, price:number, currency, rating:number, url' },
+  { id: 'results',  name: 'Search results',    schema: 'title, url, snippet' },
+  { id: 'jobs',     name: 'Job postings',      schema: 'title, company, location, salary, posted, url' },
+  { id: 'people',   name: 'People / contacts', schema: 'name, role, organization, email, phone' }
+];
+
+const extractTabSel   = document.getElementById('extract-tab');
+const extractTemplate = document.getElementById('extract-template');
+const extractSchema   = document.getElementById('extract-schema');
+const extractInstr    = document.getElementById('extract-instructions');
+const extractRunBtn   = document.getElementById('extract-run');
+const extractResult   = document.getElementById('extract-result');
+const extractStatus   = document.getElementById('extract-status');
+
+let extraction = null;  // { columns, rows } shown in the grid
+let extractRun = null;  // messageId of the running extraction
+
+function setExtractStatus(text, isError) {
+  extractStatus.textContent = text;
+  extractStatus.classList.toggle('error', !!isError);
+}
+
+async function userTemplates() {
+  const { extractionTemplates = [] } = await chrome.storage.local.get('extractionTemplates');
+  return extractionTemplates;
+}
+
+async function loadTemplates(selectId = extractTemplate.value) {
+  const saved = await userTemplates();
+  extractTemplate.innerHTML = '<option value="">Custom fields</option>';
+  const group = (label, list) => {
+    if (!list.length) return;
+    const g = document.createElement('optgroup');
+    g.label = label;
+    list.forEach(t => g.appendChild(new Option(t.name, t.id)));
+    extractTemplate.appendChild(g);
+  };
+  group('Built-in', EXTRACT_TEMPLATES);
+  group('Saved', saved);
+  extractTemplate.value = [...EXTRACT_TEMPLATES, ...saved].some(t => t.id === selectId) ? selectId : '';
+  document.getElementById('extract-delete-template').style.display = saved.some(t => t.id === extractTemplate.value) ? '' : 'none';
+}
+
+async function applyTemplate() {
+  const t = [...EXTRACT_TEMPLATES, ...await userTemplates()].find(t => t.id === extractTemplate.value);
+  if (t) { extractSchema.value = t.schema; extractInstr.value = t.instructions || ''; }
+  loadTemplates();
+}
+
+function saveTemplateInline(btn) {
+  const schema = extractSchema.value.trim();
+  if (!schema) { setExtractStatus('Enter fields or a schema first', true); return; }
+  const field = document.createElement('input');
+  field.className = 'extract-input';
+  field.placeholder = 'Template name';
+  btn.replaceWith(field);
+  field.focus();
+  let finished = false;
+  const finish = async save => {
+    if (finished) return;
+    finished = true;
+    const name = field.value.trim();
+    if (save && name) {
+      const list = await userTemplates();
+      const id = `t${Date.now().toString(36)}`;
+      list.push({ id, name, schema, instructions: extractInstr.value.trim() });
+      await chrome.storage.local.set({ extractionTemplates: list });
+      await loadTemplates(id);
+      setExtractStatus(`Saved template “${name}”`);
+    }
+    field.replaceWith(btn);
+  };
+  field.addEventListener('keydown', e => {
+    if (e.key === 'Enter') finish(true);
+    if (e.key === 'Escape') finish(false);
+  });
+  field.addEventListener('blur', () => finish(true));
+}
+
+async function deleteTemplate() {
+  const list = (await userTemplates()).filter(t => t.id !== extractTemplate.value);
+  await chrome.storage.local.set({ extractionTemplates: list });
+  await loadTemplates('');
+}
+
+async function toggleExtractView() {
+  if (currentView() === 'extract') { showView('chat'); return; }
+  await loadTabs();
+  const [active] = await chrome.tabs.query({ active: true, currentWindow: true });
+  extractTabSel.innerHTML = '';
+  allTabs.filter(t => /^https?:|^file:/.test(t.url || '')).forEach(t => extractTabSel.appendChild(new Option(t.title || t.url, t.id)));
+  if (active) extractTabSel.value = String(active.id);
+  await loadTemplates();
+  showView('extract');
+  renderGrid();
+  extractSchema.focus();
+}
+
+async function runExtract() {
+  if (extractRun) {
+    chrome.runtime.sendMessage({ action: 'cancel', messageId: extractRun }).catch(() => {});
+    return;
+  }
+  const schema = extractSchema.value.trim();
+  if (!selectedModel) { setExtractStatus('Pick a model first', true); return; }
+  if (!extractTabSel.value) { setExtractStatus('Open a web page to extract from', true); return; }
+  if (!schema) { setExtractStatus('Enter the fields to extract', true); extractSchema.focus(); return; }
+
+  const messageId = `x${Date.now()}`;
+  extractRun = messageId;
+  extractRunBtn.textContent = 'Stop';
+  setExtractStatus('Extracting…');
+  try {
+    const res = await chrome.runtime.sendMessage({
+      action: 'extractStructured',
+      data: { tabId: Number(extractTabSel.value), schema, instructions: extractInstr.value.trim(), model: selectedModel, messageId }
+    });
+    if (!res?.success) throw new Error(res?.error || 'Extraction failed');
+    const columns = [...new Set(res.rows.flatMap(r => Object.keys(r)))];
+    extraction = { columns, rows: res.rows };
+    renderGrid();
+    setExtractStatus(`${res.rows.length} row${res.rows.length === 1 ? '' : 's'} — click a cell to edit`);
+  } catch (e) {
+    setExtractStatus(e.message, true);
+  } finally {
+    extractRun = null;
+    extractRunBtn.textContent = 'Extract';
+  }
+}
+
+function cellDisplay(v) {
+  if (v === null || v === undefined) return '';
+  return typeof v === 'object' ? JSON.stringify(v) : String(v);
+}
+
+/** Reads an edited cell back with the type the value had before. */
+function cellValue(text, prev) {
+  const t = text.trim();
+  if (!t) return null;
+  if (typeof prev === 'number' && Number.isFinite(Number(t))) return Number(t);
+  if (typeof prev === 'boolean' && /^(true|false)$/i.test(t)) return t.toLowerCase() === 'true';
+  if (prev && typeof prev === 'object') { try { return JSON.parse(t); } catch {} }
+  return t;
+}
+
+function renderGrid() {
+  extractResult.innerHTML = '';
+  if (!extraction?.rows.length) {
+    extractResult.innerHTML = `<div class="view-empty">${extraction ? 'Nothing matching was found on the page' : 'Pick a template or list the fields you want, then Extract'}</div>`;
+    return;
+  }
+  const table = document.createElement('table');
+  table.className = 'extract-grid';
+  table.innerHTML = `<thead><tr>${extraction.columns.map(c => `<th>${esc(c)}</th>`).join('')}<th></th></tr></thead>`;
+  const body = document.createElement('tbody');
+  extraction.rows.forEach((row, r) => {
+    const tr = document.createElement('tr');
+    extraction.columns.forEach(col => {
+      const td = document.createElement('td');
+      td.contentEditable = 'plaintext-only';
+      td.textContent = cellDisplay(row[col]);
+      td.addEventListener('blur', () => { row[col] = cellValue(td.textContent, row[col]); });
+      tr.appendChild(td);
+    });
+    const del = document.createElement('td');
+    del.innerHTML = `<button class="history-action delete" title="Delete row">${ICON_DELETE}</button>`;
+    del.firstChild.addEventListener('click', () => { extraction.rows.splice(r, 1); renderGrid(); });
+    tr.appendChild(del);
+    body.appendChild(tr);
+  });
+  table.appendChild(body);
+  extractResult.appendChild(table);
+}
+
+function addGridRow() {
+  if (!extraction) {
+    const names = extractSchema.value.trim().startsWith('{') ? [] : extractSchema.value.split(/[,\n]+/).map(f => f.split(':')[0].trim()).filter(Boolean);
+    extraction = { columns: names.length ? names : ['value'], rows: [] };
+  }
+  extraction.rows.push(Object.fromEntries(extraction.columns.map(c => [c, null])));
+  renderGrid();
+  extractResult.querySelector('tbody tr:last-child td')?.focus();
+}
+
+function csvCell(v) {
+  const s = cellDisplay(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function exportExtraction(kind) {
+  if (!extraction?.rows.length) return;
+  document.activeElement?.blur(); // commit the cell being edited
+  const name = `local-agent-extract-${Date.now()}`;
+  if (kind === 'csv') {
+    const lines = [extraction.columns.map(csvCell).join(','), ...extraction.rows.map(r => extraction.columns.map(c => csvCell(r[c])).join(','))];
+    downloadFile(`${name}.csv`, lines.join('\r\n'), 'text/csv');
+  } else {
+    downloadFile(`${name}.json`, JSON.stringify(extraction.rows, null, 2), 'application/json');
+  }
+}
+
 // ── Boot ──────────────────────────────────────────────────────────────────
 
 async function init() {
@@ -515,29 +2366,125 @@ async function init() {
   // New chat
   document.getElementById('new-chat-btn').addEventListener('click', newChat);
 
+  // Conversation history
+  document.getElementById('history-btn').addEventListener('click', toggleHistoryView);
+  document.getElementById('history-close').addEventListener('click', () => showView('chat'));
+  let searchTimer;
+  historySearch.addEventListener('input', () => { clearTimeout(searchTimer); searchTimer = setTimeout(renderHistoryList, 150); });
+
+  // Library
+  document.getElementById('library-btn').addEventListener('click', toggleLibraryView);
+  document.getElementById('library-close').addEventListener('click', () => showView('chat'));
+  document.getElementById('library-save').addEventListener('click', saveActiveTab);
+  document.getElementById('library-export').addEventListener('click', exportLibrary);
+  const importFile = document.getElementById('library-import-file');
+  document.getElementById('library-import').addEventListener('click', () => importFile.click());
+  importFile.addEventListener('change', () => { if (importFile.files[0]) importLibrary(importFile.files[0]); importFile.value = ''; });
+  let librarySearchTimer;
+  librarySearch.addEventListener('input', () => { clearTimeout(librarySearchTimer); librarySearchTimer = setTimeout(renderLibraryList, 150); });
+
+  // Macros
+  document.getElementById('macros-btn').addEventListener('click', toggleMacrosView);
+  document.getElementById('macros-close').addEventListener('click', () => showView('chat'));
+  recordBtn.addEventListener('click', toggleRecording);
+  let macrosSearchTimer;
+  macrosSearch.addEventListener('input', () => { clearTimeout(macrosSearchTimer); macrosSearchTimer = setTimeout(renderMacroList, 150); });
+
+  // Schedules
+  document.getElementById('schedules-btn').addEventListener('click', toggleSchedulesView);
+  document.getElementById('schedules-close').addEventListener('click', () => showView('chat'));
+  document.getElementById('schedule-new').addEventListener('click', () => editSchedule());
+  scheduleForm.addEventListener('submit', saveSchedule);
+  scheduleForm.addEventListener('change', scheduleFormFields);
+  scheduleForm.elements.cancel.addEventListener('click', () => { scheduleForm.style.display = 'none'; });
+  scheduleForm.elements.addTab.addEventListener('click', addTabToSchedule);
+  let schedulesSearchTimer;
+  schedulesSearch.addEventListener('input', () => { clearTimeout(schedulesSearchTimer); schedulesSearchTimer = setTimeout(renderScheduleList, 150); });
+  // Runs finish in the background; keep the list current while it is open
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.schedules && currentView() === 'schedules') renderScheduleList();
+    if (area === 'session' && changes.openSchedule?.newValue) showNotifiedSchedule();
+  });
+
+  // Prompt library
+  document.getElementById('prompts-btn').addEventListener('click', togglePromptsView);
+  document.getElementById('prompts-close').addEventListener('click', () => showView('chat'));
+  document.getElementById('prompt-new').addEventListener('click', () => editPrompt());
+  promptForm.addEventListener('submit', savePrompt);
+  promptForm.elements.cancel.addEventListener('click', () => { promptForm.style.display = 'none'; });
+  document.getElementById('prompts-export').addEventListener('click', exportPrompts);
+  const promptsFile = document.getElementById('prompts-import-file');
+  document.getElementById('prompts-import').addEventListener('click', () => promptsFile.click());
+  promptsFile.addEventListener('change', () => { if (promptsFile.files[0]) importPrompts(promptsFile.files[0]); promptsFile.value = ''; });
+  promptsSearch.addEventListener('input', renderPromptList);
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local' || !changes.promptLibrary) return;
+    savedPrompts = changes.promptLibrary.newValue || [];
+    if (currentView() === 'prompts') renderPromptList();
+  });
+
+  // Extraction
+  document.getElementById('extract-btn').addEventListener('click', toggleExtractView);
+  document.getElementById('extract-close').addEventListener('click', () => showView('chat'));
+  extractTemplate.addEventListener('change', applyTemplate);
+  extractRunBtn.addEventListener('click', runExtract);
+  document.getElementById('extract-save-template').addEventListener('click', e => saveTemplateInline(e.currentTarget));
+  document.getElementById('extract-delete-template').addEventListener('click', deleteTemplate);
+  document.getElementById('extract-add-row').addEventListener('click', addGridRow);
+  document.getElementById('extract-csv').addEventListener('click', () => exportExtraction('csv'));
+  document.getElementById('extract-json').addEventListener('click', () => exportExtraction('json'));
+
   // Export
   document.getElementById('export-btn').addEventListener('click', exportChat);
 
   // Agent mode
-  agentBtn.addEventListener('click', () => {
-    agentMode = !agentMode;
-    agentBtn.classList.toggle('active', agentMode);
-    input.placeholder = agentMode ? 'Describe a task for the agent…' : 'Ask anything…';
-  });
+  agentBtn.addEventListener('click', () => setAgentMode(!agentMode));
 
   // Model change
   modelSelect.addEventListener('change', async () => {
     selectedModel = modelSelect.value;
     await chrome.storage.local.set({ selectedModel });
+    updateVision();
   });
 
-  // Reconnect
-  document.getElementById('reconnect-btn').addEventListener('click', async () => {
-    statusDot.className = 'dot connecting';
-    statusText.textContent = 'Reconnecting…';
-    await checkConn();
-    await loadModels();
+  // Screenshot toggle
+  screenshotBtn.addEventListener('click', toggleScreenshot);
+
+  // Selections and picked elements
+  document.getElementById('pick-btn').addEventListener('click', startPicker);
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'session' && changes.pendingSnippets?.newValue?.length) takeSnippets();
+  });
+
+  // Set-of-marks toggle
+  showMarks = (await chrome.storage.local.get('showMarks')).showMarks === true;
+  marksBtn.classList.toggle('active', showMarks);
+  marksBtn.addEventListener('click', toggleMarks);
+
+  // Persona — remembered here, the list itself syncs from the settings page
+  personaSelect.addEventListener('change', () => {
+    const p = personas.find(x => x.id === personaSelect.value) || null;
+    chrome.storage.local.set({ activePersona: p?.id || '' });
+    applyPersona(p);
   });
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'sync' && Object.keys(changes).some(k => k.startsWith('persona:'))) loadPersonas();
+  });
+
+  // Provider change
+  providerSelect.addEventListener('change', () => chrome.storage.sync.set({ provider: providerSelect.value }));
+
+  // Settings — the options page; reconnect when the backend is changed there
+  document.getElementById('settings-btn').addEventListener('click', () => chrome.runtime.openOptionsPage());
+  chrome.storage.onChanged.addListener(async (changes, area) => {
+    const backendChanged = area === 'sync' && (changes.provider || changes.providerConfig);
+    if (!backendChanged && !(area === 'local' && changes.providerKeys)) return;
+    if (area === 'sync' && changes.provider) await loadProvider();
+    await reconnect();
+  });
+
+  // Reconnect
+  document.getElementById('reconnect-btn').addEventListener('click', reconnect);
 
   // Suggestion buttons
   document.querySelectorAll('.suggestion').forEach(btn => {
@@ -546,10 +2493,16 @@ async function init() {
 
   await loadTabs();
   setInterval(loadTabs, 10000);
+  loadLibraryTags();
+  loadPrompts();
+  await loadProvider();
   await loadModels();
+  await loadPersonas();
   checkConn();
   setInterval(checkConn, 6000);
   await loadHistory();
+  showNotifiedSchedule();
+  takeSnippets();
 }
 
 init();